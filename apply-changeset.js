@@ -0,0 +1,70 @@
+import fs from 'fs';
+import { BareRepo } from './index.js';
+import { parseManifest } from './lib/changeset.js';
+import { parseFlags, COMMIT_FLAGS, COMMIT_USAGE, commitOptions } from './lib/args.js';
+
+const usage = `Usage: node apply-changeset.js <repo> <ref> <manifest.json|manifest.yaml|-> ${COMMIT_USAGE} [--expect <parent-sha>]`;
+
+// Parse arguments
+let parsed;
+try {
+  parsed = parseFlags(process.argv.slice(2), { value: [...COMMIT_FLAGS, 'expect'] });
+} catch (err) {
+  console.error("Error:", err.message);
+  console.error(usage);
+  process.exit(1);
+}
+const [repoPath, refName, manifestPath] = parsed.positional;
+// refName e.g. "main" or "refs/heads/dev"; manifestPath is a JSON or YAML file, or "-" for stdin
+const { message: messageArg, expect: expectArg } = parsed.options;
+
+if (!repoPath || !refName || !manifestPath || parsed.positional.length > 3) {
+  console.error(usage);
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+async function main() {
+  try {
+    console.log(`Open Repo: ${repo.gitdir}`);
+
+    // --- STEP 1: Load the Manifest ---
+    const text = manifestPath === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(manifestPath, 'utf8');
+    const manifest = parseManifest(text);
+    const message = messageArg || manifest.message;
+
+    if (!Array.isArray(manifest.changes) || manifest.changes.length === 0) {
+      throw new Error("Manifest has no changes. Expected a 'changes' list (or a top-level list).");
+    }
+    if (!message) {
+      throw new Error("No commit message. Pass --message or set 'message' in the manifest.");
+    }
+
+    // --- STEP 2: Apply it as one commit ---
+    // Any failure aborts before the ref moves, so the changeset lands entirely or not at all.
+    const result = await repo.writeFiles(refName, manifest.changes, {
+      ...commitOptions(parsed.options),
+      message,
+      expectedParent: expectArg || manifest.parent || undefined
+    });
+
+    if (result.parent) {
+      console.log(`Parent Commit (${refName}): ${result.parent.slice(0, 7)}`);
+    } else {
+      console.log(`Ref ${refName} not found. Created root commit.`);
+    }
+    for (const line of result.changes) {
+      console.log(line);
+    }
+    console.log(`New Root Tree: ${result.tree.slice(0, 7)}`);
+
+    console.log(`Success! Applied ${result.changes.length} change(s) to ${refName}. New Commit: ${result.commit.slice(0, 7)}`);
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,54 @@
+import fs from 'fs';
+import { BareRepo } from './index.js';
+import { parseFlags } from './lib/args.js';
+import { archiveFormat } from './lib/archive.js';
+
+const usage = "Usage: node archive.js <repo> <ref> <output-file|-> [--format tar|tar.gz|zip] [--prefix <dir/>] [--path <folder>]";
+
+// Parse arguments
+let parsed;
+try {
+  parsed = parseFlags(process.argv.slice(2), { value: ['format', 'prefix', 'path'] });
+} catch (err) {
+  console.error("Error:", err.message);
+  console.error(usage);
+  process.exit(1);
+}
+const [repoPath, refName, outputPath] = parsed.positional; // e.g. "v1.2.0", "dist/app-1.2.0.tar.gz"
+
+if (!repoPath || !refName || !outputPath || parsed.positional.length > 3) {
+  console.error(usage);
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+const toStdout = outputPath === '-';
+
+async function main() {
+  let output = null;
+  try {
+    // The format follows the file name (.tar, .tar.gz / .tgz, .zip) unless --format is given
+    const format = archiveFormat(parsed.options.format, toStdout ? '' : outputPath);
+    const commit = await repo.resolve(refName);
+
+    // Progress goes to stderr, so "-" can be piped: node archive.js repo main - | tar -t
+    console.error(`Open Repo: ${repo.gitdir}`);
+    console.error(`Archiving ${refName} (${commit.slice(0, 7)}) as ${format}...`);
+
+    output = toStdout ? process.stdout : fs.createWriteStream(outputPath);
+    const result = await repo.archive(commit, output, {
+      format,
+      prefix: parsed.options.prefix,
+      folder: parsed.options.path
+    });
+
+    console.error(`Success! Wrote ${result.entries} entries (${result.bytes} bytes) to ${toStdout ? 'stdout' : outputPath}.`);
+
+  } catch (err) {
+    if (output && !toStdout) fs.rmSync(outputPath, { force: true }); // No half-written archives
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+import { run } from '../lib/cli.js';
+
+// Exit codes are documented in the README (see EXIT_CODES in lib/cli.js)
+process.exitCode = await run(process.argv.slice(2));
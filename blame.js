@@ -0,0 +1,47 @@
+import { BareRepo } from './index.js';
+
+// Parse arguments
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const positional = args.filter(a => !a.startsWith('--'));
+
+const repoPath = positional[0];
+const refName = positional[1];   // e.g. "main"
+const filePath = positional[2];  // e.g. "config/app.yaml"
+
+if (!repoPath || !refName || !filePath || args.some(a => a.startsWith('--') && a !== '--json')) {
+  console.error("Usage: node blame.js <repo> <ref> <path> [--json]");
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+async function main() {
+  try {
+    const rows = await repo.blame(refName, filePath);
+    const cleanPath = filePath.replace(/^\/+|\/+$/g, '');
+
+    // --- Output ---
+    if (asJson) {
+      console.log(JSON.stringify(rows, null, 2));
+      return;
+    }
+
+    const showPath = rows.some(r => r.path !== cleanPath);
+    const pathWidth = Math.max(...rows.map(r => r.path.length));
+    const authorWidth = Math.max(0, ...rows.map(r => r.author.length));
+    const lineWidth = String(rows.length).length;
+
+    for (const row of rows) {
+      const pathCol = showPath ? ` ${row.path.padEnd(pathWidth)}` : '';
+      const date = row.date.replace('T', ' ').replace(/([+-]\d\d):(\d\d)$/, ' $1$2'); // e.g. "2026-10-19 14:03:11 +0200"
+      console.log(`${row.commit.slice(0, 8)}${pathCol} (${row.author.padEnd(authorWidth)} ${date} ${String(row.line).padStart(lineWidth)}) ${row.content}`);
+    }
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,6 @@
+import { runApplyCommitsScript } from './lib/apply-commits-script.js';
+
+// Usage: node cherry-pick.js <repo> <dest> <commit|from..to>... [--mainline N] [--resolutions <json|@file>] ...
+// Each commit becomes a new commit on <dest> with the original author and message,
+// plus "(cherry picked from commit <sha>)". The branch only moves if all of them apply.
+process.exitCode = await runApplyCommitsScript(process.argv.slice(2), { revert: false });
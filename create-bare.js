@@ -1,88 +1,45 @@
-import fs from 'fs';
-import git from 'isomorphic-git';
-import path from 'path';
+import { BareRepo } from './index.js';
+import { parseFlags, COMMIT_FLAGS, COMMIT_USAGE, commitOptions } from './lib/args.js';
 
-const repoName = process.argv[2];
+const usage = `Usage: node create-bare.js <folder-name> [--default-branch <name>] ${COMMIT_USAGE}`;
 
-if (!repoName) {
-  console.error("Usage: node create-bare.js <folder-name>");
+let parsed;
+try {
+  parsed = parseFlags(process.argv.slice(2), { value: ['default-branch', ...COMMIT_FLAGS] });
+} catch (err) {
+  console.error("Error:", err.message);
+  console.error(usage);
+  process.exit(1);
+}
+const repoName = parsed.positional[0];
+
+if (!repoName || parsed.positional.length > 1) {
+  console.error(usage);
   process.exit(1);
 }
 
-// We explicitly name this 'gitdir' to avoid confusion. 
 // In a bare repo, the root folder IS the git directory.
-const gitdir = path.resolve(repoName);
+const repo = new BareRepo(repoName);
 
 async function createBareRepo() {
   try {
-    console.log(`Initializing bare repository at: ${gitdir}`);
+    console.log(`Initializing bare repository at: ${repo.gitdir}`);
 
-    // --- STEP 1: Git Init (Bare) ---
-    // notice we pass 'gitdir' here, not 'dir'
-    await git.init({
-      fs,
-      gitdir, 
-      bare: true,
-      defaultBranch: 'main' 
+    // Init, then write a README blob, its tree and a root commit on the default branch
+    const { blob, tree, commit } = await repo.init({
+      defaultBranch: parsed.options['default-branch'] || 'main',
+      ...commitOptions(parsed.options)
     });
+    console.log(`Blob created:   ${blob}`);
+    console.log(`Tree created:   ${tree}`);
+    console.log(`Commit created: ${commit}`);
 
-    // --- STEP 2: Create a Blob ---
-    // Uses writeBlob directly (Plumbing)
-    const blobSha = await git.writeBlob({
-      fs,
-      gitdir,
-      blob: new Uint8Array(Buffer.from("Hello World\n")), 
-    });
-    console.log(`Blob created:   ${blobSha}`);
-
-    // --- STEP 3: Create a Tree ---
-    // Uses writeTree directly (Plumbing)
-    const treeSha = await git.writeTree({
-      fs,
-      gitdir,
-      tree: [
-        { mode: '100644', path: 'README.md', oid: blobSha, type: 'blob' }
-      ]
-    });
-    console.log(`Tree created:   ${treeSha}`);
-
-    // --- STEP 4: Create a Commit ---
-    // Uses writeCommit directly (Plumbing). 
-    // This creates the object but DOES NOT move HEAD (solving your previous error).
-    const author = {
-      name: 'API Bot',
-      email: 'bot@example.com',
-      timestamp: Math.floor(Date.now() / 1000),
-      timezoneOffset: 0
-    };
-
-    const commitSha = await git.writeCommit({
-      fs,
-      gitdir,
-      commit: {
-        message: 'Initial commit via isomorphic-git',
-        tree: treeSha,
-        parent: [], 
-        author: author,
-        committer: author
-      }
-    });
-    console.log(`Commit created: ${commitSha}`);
-
-    // --- STEP 5: Update Reference ---
-    // Manually point the branch to the new commit.
-    await git.writeRef({
-      fs,
-      gitdir,
-      ref: 'refs/heads/main',
-      value: commitSha
-    });
-    
     console.log("Success! Repository is ready.");
 
   } catch (err) {
-    console.error("Error creating repository:", err);
+    console.error("Error creating repository:", err.message);
+    process.exit(1);
   }
 }
 
-createBareRepo();
\ No newline at end of file
+createBareRepo();
@@ -0,0 +1,52 @@
+import { BareRepo } from './index.js';
+
+// Parse arguments
+const args = process.argv.slice(2);
+const valueFlags = ['--message', '--tagger', '--date'];
+const options = {};
+const positional = [];
+for (let i = 0; i < args.length; i++) {
+  if (valueFlags.includes(args[i])) options[args[i].slice(2)] = args[++i];
+  else if (args[i] === '--force') options.force = true;
+  else positional.push(args[i]);
+}
+
+const repoPath = positional[0];
+const tagName = positional[1];    // e.g. "v1.0"
+const targetName = positional[2]; // Optional: branch, tag, SHA or ref (default: HEAD)
+
+if (!repoPath || !tagName || positional.length > 3 || valueFlags.some(f => f.slice(2) in options && !options[f.slice(2)])) {
+  console.error('Usage: node create-tag.js <repo> <tag-name> [target] [--message <msg>] [--tagger "Name <email>"] [--date <date>] [--force]');
+  console.error("       A --message makes an annotated tag; without it the tag is lightweight.");
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+async function main() {
+  try {
+    console.log(`Open Repo: ${repo.gitdir}`);
+
+    // The tagger defaults to GIT_COMMITTER_*, then the repo's user.name / user.email
+    const targetRef = targetName || 'HEAD';
+    const tag = await repo.createTag(tagName, targetRef, {
+      message: options.message,
+      tagger: options.tagger,
+      date: options.date,
+      force: !!options.force
+    });
+    console.log(`Target (${targetRef}): ${tag.commit.slice(0, 7)}`);
+
+    if (tag.type === 'lightweight') {
+      console.log(`Success! Created lightweight tag '${tag.name}' pointing to ${tag.commit.slice(0, 7)}`);
+    } else {
+      console.log(`Success! Created annotated tag '${tag.name}' (${tag.oid.slice(0, 7)}) pointing to ${tag.commit.slice(0, 7)}`);
+    }
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
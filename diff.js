@@ -0,0 +1,91 @@
+import { BareRepo } from './index.js';
+
+// Parse arguments
+const booleanFlags = ['name-status', 'json', 'no-renames'];
+const valueFlags = ['unified'];
+const options = {};
+const positional = [];
+
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (!arg.startsWith('--')) {
+    positional.push(arg);
+    continue;
+  }
+  const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+  if (booleanFlags.includes(key)) {
+    options[key] = true;
+  } else if (valueFlags.includes(key)) {
+    options[key] = inlineValue !== undefined ? inlineValue : args[++i];
+  } else {
+    options.unknown = arg;
+  }
+}
+
+const repoPath = positional[0];
+const fromRef = positional[1];      // e.g. "main", or a commit SHA
+const toRef = positional[2];        // Optional: defaults to comparing <from>'s parent with <from>
+const folderPath = positional[3] || ''; // Optional: limit the diff to this folder
+
+if (!repoPath || !fromRef || options.unknown) {
+  console.error("Usage: node diff.js <repo> <from> [to] [folder-path] [--name-status] [--unified=N] [--no-renames] [--json]");
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+// --- HELPER: One-line summary, like `git diff --name-status` ---
+function nameStatus(change) {
+  const modeNote = change.old && change.new && change.old.mode !== change.new.mode
+    ? `  (mode ${change.old.mode} -> ${change.new.mode})`
+    : '';
+  if (change.status === 'R') {
+    return `R${String(change.similarity).padStart(3, '0')}\t${change.oldPath}\t${change.path}${modeNote}`;
+  }
+  return `${change.status}\t${change.path}${modeNote}`;
+}
+
+async function main() {
+  try {
+    const context = options.unified !== undefined ? Number(options.unified) : 3;
+    if (!Number.isInteger(context) || context < 0) {
+      throw new Error("--unified must be a non-negative integer.");
+    }
+
+    const result = await repo.diff(fromRef, toRef, {
+      path: folderPath,
+      renames: !options['no-renames'],
+      patches: !options['name-status'],
+      context
+    });
+
+    // --- Output ---
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+
+    if (result.changes.length === 0) {
+      console.log("No differences.");
+      return;
+    }
+
+    for (const change of result.changes) {
+      console.log(nameStatus(change));
+    }
+
+    if (options['name-status']) return;
+
+    console.log('');
+    for (const change of result.changes) {
+      process.stdout.write(change.patch);
+    }
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
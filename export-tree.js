@@ -0,0 +1,49 @@
+import { BareRepo } from './index.js';
+import { parseFlags } from './lib/args.js';
+
+const usage = "Usage: node export-tree.js <repo> <ref> <target-dir> [--path <folder>] [--force]";
+
+// Parse arguments
+let parsed;
+try {
+  parsed = parseFlags(process.argv.slice(2), { boolean: ['force'], value: ['path'] });
+} catch (err) {
+  console.error("Error:", err.message);
+  console.error(usage);
+  process.exit(1);
+}
+const [repoPath, refName, targetDir] = parsed.positional;
+
+if (!repoPath || !refName || !targetDir || parsed.positional.length > 3) {
+  console.error(usage);
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+async function main() {
+  try {
+    console.log(`Open Repo: ${repo.gitdir}`);
+
+    // A plain copy of the files: no .git folder. Executables and symlinks are kept.
+    // The target must be empty unless --force, which replaces whatever is in the
+    // way of an exported path (never following symlinks) and deletes nothing else.
+    const result = await repo.exportTree(refName, targetDir, {
+      folder: parsed.options.path,
+      force: !!parsed.options.force
+    });
+
+    console.log(`Commit:      ${result.commit.slice(0, 7)}`);
+    console.log(`Files:       ${result.files}`);
+    console.log(`Symlinks:    ${result.symlinks}`);
+    console.log(`Directories: ${result.directories}`);
+
+    console.log(`Success! Exported ${refName} to ${result.dir}`);
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
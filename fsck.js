@@ -0,0 +1,48 @@
+import { BareRepo } from './index.js';
+import { parseFlags } from './lib/args.js';
+import { printFsckReport } from './lib/output.js';
+
+const usage = "Usage: node fsck.js <repo> [--json] [--no-dangling]";
+
+// Parse arguments
+let parsed;
+try {
+  parsed = parseFlags(process.argv.slice(2), { boolean: ['json', 'no-dangling'] });
+} catch (err) {
+  console.error("Error:", err.message);
+  console.error(usage);
+  process.exit(1);
+}
+const repoPath = parsed.positional[0];
+const asJson = !!parsed.options.json;
+
+if (!repoPath || parsed.positional.length > 1) {
+  console.error(usage);
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+async function main() {
+  try {
+    if (!asJson) console.log(`Checking Repo: ${repo.gitdir}`);
+
+    const report = await repo.fsck({ dangling: !parsed.options['no-dangling'] });
+
+    // --- Output ---
+    if (asJson) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printFsckReport(report);
+    }
+
+    // Corruption is a failure, so nightly jobs notice
+    if (!report.ok) process.exit(1);
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
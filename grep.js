@@ -0,0 +1,64 @@
+import { BareRepo } from './index.js';
+import { parseFlags } from './lib/args.js';
+import { printGrep } from './lib/output.js';
+
+const usage = "Usage: node grep.js <repo> <pattern> [ref...] [--all-branches] [--path <folder|file>] [--include <glob>]... [--exclude <glob>]... [--fixed-strings] [--ignore-case] [--context N] [--files-with-matches] [--json]";
+
+// Parse arguments
+let parsed;
+try {
+  parsed = parseFlags(process.argv.slice(2), {
+    boolean: ['all-branches', 'fixed-strings', 'ignore-case', 'files-with-matches', 'json'],
+    value: ['path', 'context'],
+    list: ['include', 'exclude']
+  });
+} catch (err) {
+  console.error("Error:", err.message);
+  console.error(usage);
+  process.exit(1);
+}
+const { options } = parsed;
+const [repoPath, pattern, ...refs] = parsed.positional; // refs default to HEAD
+const context = options.context !== undefined ? Number(options.context) : 0;
+
+if (!repoPath || !pattern || !(Number.isInteger(context) && context >= 0) || (options['all-branches'] && refs.length > 0)) {
+  console.error(usage);
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+async function main() {
+  try {
+    // Reads blobs straight from the object store: no clone, no checkout.
+    // Binary files are skipped; a blob shared by many branches is searched once.
+    const result = await repo.grep(pattern, {
+      refs,
+      allBranches: !!options['all-branches'],
+      path: options.path || '',
+      include: options.include,
+      exclude: options.exclude,
+      fixedStrings: !!options['fixed-strings'],
+      ignoreCase: !!options['ignore-case'],
+      before: context,
+      after: context
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+
+    if (result.files.length === 0) {
+      console.log(`No matches for '${pattern}' in ${result.refs.map(r => r.ref).join(', ') || '(no refs)'}.`);
+      return;
+    }
+    printGrep(result, { filesWithMatches: !!options['files-with-matches'] });
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
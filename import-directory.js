@@ -0,0 +1,65 @@
+import { BareRepo } from './index.js';
+import { parseFlags, COMMIT_FLAGS, COMMIT_USAGE, commitOptions } from './lib/args.js';
+
+const usage = `Usage: node import-directory.js <repo> <ref> <local-dir> [--path <folder>] [--exclude-from <file>] [--exclude <glob>]... [--expect <parent-sha>] [--verbose] ${COMMIT_USAGE}`;
+
+// Parse arguments
+let parsed;
+try {
+  parsed = parseFlags(process.argv.slice(2), {
+    boolean: ['verbose'],
+    value: [...COMMIT_FLAGS, 'path', 'exclude-from', 'expect'],
+    list: ['exclude']
+  });
+} catch (err) {
+  console.error("Error:", err.message);
+  console.error(usage);
+  process.exit(1);
+}
+const { options } = parsed;
+const [repoPath, refName, localDir] = parsed.positional; // e.g. "gh-pages", "./build/docs"
+
+if (!repoPath || !refName || !localDir || parsed.positional.length > 3) {
+  console.error(usage);
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+async function main() {
+  try {
+    console.log(`Open Repo: ${repo.gitdir}`);
+
+    // The directory becomes the full content of the branch, or of --path only.
+    // Files missing from the directory are deleted; <local-dir>/.gitignore applies unless --exclude-from.
+    const result = await repo.importDirectory(refName, localDir, {
+      folder: options.path || '',
+      excludeFrom: options['exclude-from'],
+      exclude: options.exclude,
+      ...(options.expect !== undefined ? { expectedParent: options.expect } : {}),
+      ...commitOptions(options)
+    });
+
+    if (options.verbose) {
+      for (const line of result.changes) console.log(line);
+    }
+    const counts = { A: 0, M: 0, D: 0 };
+    for (const line of result.changes) counts[line[0]]++;
+    console.log(`Files: ${result.files} (${counts.A} added, ${counts.M} modified, ${counts.D} deleted; ${result.blobsWritten} blobs written)`);
+
+    if (result.unchanged) {
+      console.log(`Success! Nothing changed; ${refName} stays at ${result.commit.slice(0, 7)}.`);
+      return;
+    }
+    console.log(`Parent Commit (${refName}): ${result.parent ? result.parent.slice(0, 7) : '(root)'}`);
+    console.log(`New Root Tree: ${result.tree.slice(0, 7)}`);
+
+    console.log(`Success! Imported ${localDir}. New Commit: ${result.commit.slice(0,7)}`);
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,12 @@
+// Public entry point: `import { BareRepo } from 'bare-git-cli'`
+export { BareRepo } from './lib/bare-repo.js';
+export { createServer } from './lib/server.js';
+export {
+  BareGitError,
+  NotFoundError,
+  AlreadyExistsError,
+  InvalidArgumentError,
+  ConcurrencyError,
+  MergeConflictError,
+  NotFastForwardError
+} from './lib/errors.js';
@@ -0,0 +1,43 @@
+import { BareRepo } from './bare-repo.js';
+import { parseFlags, APPLY_COMMITS_USAGE, APPLY_COMMITS_FLAGS, applyCommitsOptions } from './args.js';
+import { describeConflict, printAppliedCommits } from './output.js';
+
+// Body of the cherry-pick.js and revert-commit.js scripts:
+//   node <script> <repo> <dest> <commit|from..to>... [options]
+// Returns the exit code (0, or 1 on any error).
+export async function runApplyCommitsScript(argv, { revert }) {
+  const usage = `Usage: node ${revert ? 'revert-commit.js' : 'cherry-pick.js'} <repo> ${APPLY_COMMITS_USAGE}`;
+  let parsed;
+  try {
+    parsed = parseFlags(argv, APPLY_COMMITS_FLAGS);
+  } catch (err) {
+    console.error("Error:", err.message);
+    console.error(usage);
+    return 1;
+  }
+  const [repoPath, dest, ...commits] = parsed.positional;
+  if (!repoPath || !dest || commits.length === 0) {
+    console.error(usage);
+    return 1;
+  }
+
+  const repo = new BareRepo(repoPath);
+  console.log(`Open Repo: ${repo.gitdir}`);
+  try {
+    const options = { ...applyCommitsOptions(parsed.options), log: console.log };
+    const result = revert
+      ? await repo.revert(commits, dest, options)
+      : await repo.cherryPick(commits, dest, options);
+    printAppliedCommits(result);
+    console.log(result.status === 'no-changes'
+      ? `Success! Nothing to ${revert ? 'revert' : 'pick'}; ${dest} is unchanged.`
+      : `Success! ${dest} now points to ${result.oid.slice(0, 7)}`);
+    return 0;
+  } catch (err) {
+    if (err.code === 'MergeConflictError') {
+      for (const conflict of err.data.conflicts) describeConflict(conflict).forEach(line => console.log(line));
+    }
+    console.error("Error:", err.message);
+    return 1;
+  }
+}
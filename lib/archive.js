@@ -0,0 +1,356 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+import { resolveCommit } from './refs.js';
+import { resolveTreeSha, walkTree } from './tree-walk.js';
+import { AlreadyExistsError, InvalidArgumentError } from './errors.js';
+
+// Turns the tree of a commit (or one folder of it) into a .tar, .tar.gz or .zip
+// stream like `git archive`, or writes it out as plain files. Executables keep
+// their x bit and symlinks stay symlinks. File times are the commit time.
+
+export const ARCHIVE_FORMATS = ['tar', 'tar.gz', 'zip'];
+
+// --- HELPER: Pick the format from an explicit value or the output file name ---
+export function archiveFormat(format, output = '') {
+  if (format) {
+    const normalized = format === 'tgz' ? 'tar.gz' : format;
+    if (!ARCHIVE_FORMATS.includes(normalized)) {
+      throw new InvalidArgumentError(`Unknown archive format '${format}'. Use ${ARCHIVE_FORMATS.join(', ')}.`, { format });
+    }
+    return normalized;
+  }
+  if (/\.(tar\.gz|tgz)$/.test(output)) return 'tar.gz';
+  if (/\.zip$/.test(output)) return 'zip';
+  return 'tar';
+}
+
+// --- HELPER: Unix permission bits for a tree entry ---
+function fileMode(entry) {
+  if (entry.type === 'tree') return 0o755;
+  if (entry.mode === '120000') return 0o777;
+  return entry.mode === '100755' ? 0o755 : 0o644;
+}
+
+// Yields { path, type, mode, content? } for every folder, file and symlink below
+// `folder`, with `prefix` in front of each path. `content` is a Buffer (the link
+// target for symlinks). Submodules are skipped.
+async function* treeEntries(gitdir, tree, folder, prefix) {
+  const cache = {};
+  const target = await resolveTreeSha(gitdir, tree, folder);
+  if (target.type !== 'tree') {
+    throw new InvalidArgumentError(`Path '${folder}' is a file, not a folder.`, { path: folder });
+  }
+
+  // Like git archive, the prefix itself gets a folder entry
+  if (prefix) yield { path: prefix.slice(0, -1), type: 'tree', mode: '040000' };
+
+  for await (const entry of walkTree(gitdir, target.sha, { cache })) {
+    if (entry.type === 'commit') continue;
+    const result = { path: `${prefix}${entry.path}`, type: entry.type, mode: entry.mode };
+    if (entry.type === 'blob') {
+      result.content = Buffer.from((await git.readBlob({ fs, gitdir, oid: entry.oid, cache })).blob);
+    }
+    yield result;
+  }
+}
+
+// --- HELPER: Resolve a ref to its commit SHA, commit time and tree ---
+async function readTarget(gitdir, ref) {
+  const commitSha = await resolveCommit(gitdir, ref);
+  const { commit } = await git.readCommit({ fs, gitdir, oid: commitSha });
+  return { commitSha, tree: commit.tree, mtime: commit.committer.timestamp };
+}
+
+// --- HELPER: Clean up a prefix ("release-1.0" -> "release-1.0/") ---
+function normalizePrefix(prefix = '') {
+  if (!prefix) return '';
+  const clean = prefix.replace(/^\/+/, '').replace(/\/*$/, '/');
+  if (clean.split('/').slice(0, -1).some(p => p === '' || p === '.' || p === '..')) {
+    throw new InvalidArgumentError(`Invalid prefix '${prefix}'.`, { prefix });
+  }
+  return clean;
+}
+
+// --- TAR (POSIX ustar, with pax headers for long names) ---
+
+function tarHeader({ name, size = 0, mode, mtime, typeflag, linkname = '' }) {
+  const header = Buffer.alloc(512);
+  const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+  header.write(name, 0, 100);
+  header.write(octal(mode, 8), 100);
+  header.write(octal(0, 8), 108);            // uid
+  header.write(octal(0, 8), 116);            // gid
+  header.write(octal(size, 12), 124);
+  header.write(octal(mtime, 12), 136);
+  header.write('        ', 148);             // checksum placeholder
+  header.write(typeflag, 156);
+  header.write(linkname, 157, 100);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.write('root', 265);
+  header.write('root', 297);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(octal(checksum, 7) + ' ', 148);
+  return header;
+}
+
+function tarPadding(size) {
+  return Buffer.alloc((512 - (size % 512)) % 512);
+}
+
+// One pax record: "<length> <key>=<value>\n", where length counts itself
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body) + 1;
+  while (String(length).length + Buffer.byteLength(body) !== length) length++;
+  return `${length}${body}`;
+}
+
+function* paxHeader(name, records, mtime, typeflag) {
+  const data = Buffer.from(records.join(''));
+  yield tarHeader({ name, size: data.length, mode: 0o644, mtime, typeflag });
+  yield data;
+  yield tarPadding(data.length);
+}
+
+async function* tarStream(entries, { commitSha, mtime }) {
+  // Like `git archive`, record the commit in a global pax header (`git get-tar-commit-id`)
+  yield* paxHeader('pax_global_header', [paxRecord('comment', commitSha)], mtime, 'g');
+
+  for await (const entry of entries) {
+    const name = entry.type === 'tree' ? `${entry.path}/` : entry.path;
+    const symlink = entry.mode === '120000';
+    const linkname = symlink ? entry.content.toString('utf8') : '';
+    const size = entry.type === 'blob' && !symlink ? entry.content.length : 0;
+
+    const records = [];
+    if (Buffer.byteLength(name) > 100) records.push(paxRecord('path', name));
+    if (Buffer.byteLength(linkname) > 100) records.push(paxRecord('linkpath', linkname));
+    if (records.length > 0) yield* paxHeader('pax_header', records, mtime, 'x');
+
+    yield tarHeader({
+      name: Buffer.byteLength(name) > 100 ? name.slice(0, 100) : name,
+      size,
+      mode: fileMode(entry),
+      mtime,
+      typeflag: entry.type === 'tree' ? '5' : (symlink ? '2' : '0'),
+      linkname: Buffer.byteLength(linkname) > 100 ? '' : linkname
+    });
+    if (size > 0) {
+      yield entry.content;
+      yield tarPadding(size);
+    }
+  }
+  yield Buffer.alloc(1024); // Two empty blocks end the archive
+}
+
+// --- ZIP (deflate, unix modes in the external attributes) ---
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// --- HELPER: MS-DOS date and time (local time, 2 second steps) ---
+function dosDateTime(timestamp) {
+  const d = new Date(timestamp * 1000);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+const ZIP_LIMIT = 0xffffffff;
+
+async function* zipStream(entries, { mtime }) {
+  const { time, date } = dosDateTime(mtime);
+  const central = [];
+  let offset = 0;
+
+  for await (const entry of entries) {
+    const name = Buffer.from(entry.type === 'tree' ? `${entry.path}/` : entry.path);
+    const raw = entry.type === 'blob' ? entry.content : Buffer.alloc(0);
+    const deflated = raw.length > 0 ? zlib.deflateRawSync(raw) : raw;
+    const stored = deflated.length >= raw.length;
+    const data = stored ? raw : deflated;
+    const crc = crc32(raw);
+    if (raw.length >= ZIP_LIMIT || offset >= ZIP_LIMIT) {
+      throw new InvalidArgumentError("Archive too large for zip (over 4 GB). Use tar or tar.gz.");
+    }
+
+    const unixType = entry.type === 'tree' ? 0o040000 : (entry.mode === '120000' ? 0o120000 : 0o100000);
+    const external = (((unixType | fileMode(entry)) << 16) | (entry.type === 'tree' ? 0x10 : 0)) >>> 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);                 // version needed
+    local.writeUInt16LE(0x0800, 6);             // flags: UTF-8 names
+    local.writeUInt16LE(stored ? 0 : 8, 8);     // method
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);                 // extra length
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE((3 << 8) | 20, 4);     // made by: unix, spec 2.0
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(0x0800, 8);
+    header.writeUInt16LE(stored ? 0 : 8, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(data.length, 20);
+    header.writeUInt32LE(raw.length, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE(external, 38);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, name);
+
+    yield local;
+    yield name;
+    yield data;
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+  const count = central.length / 2;
+  if (count > 0xffff || offset >= ZIP_LIMIT) {
+    throw new InvalidArgumentError("Archive has too many files for zip. Use tar or tar.gz.");
+  }
+  yield* central;
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  yield end;
+}
+
+// Streams an archive of `ref` (or its `folder`) into the writable `output`.
+// Options:
+//   format - 'tar' (default), 'tar.gz' or 'zip'
+//   prefix - put every path under this folder, e.g. "myapp-1.2/"
+//   folder - only archive this folder of the tree
+// Resolves once everything is written. Returns { commit, format, entries, bytes }.
+export async function writeArchive(gitdir, ref, output, { format = 'tar', prefix = '', folder = '' } = {}) {
+  const fmt = archiveFormat(format);
+  const { commitSha, tree, mtime } = await readTarget(gitdir, ref);
+  const cleanPrefix = normalizePrefix(prefix);
+
+  let count = 0;
+  async function* counted() {
+    for await (const entry of treeEntries(gitdir, tree, folder, cleanPrefix)) {
+      count++;
+      yield entry;
+    }
+  }
+
+  // Make sure the folder exists before anything is written
+  await resolveTreeSha(gitdir, tree, folder);
+
+  const chunks = fmt === 'zip' ? zipStream(counted(), { mtime }) : tarStream(counted(), { commitSha, mtime });
+  let bytes = 0;
+  const stages = [Readable.from(chunks)];
+  if (fmt === 'tar.gz') stages.push(zlib.createGzip());
+  stages.push(async function* (source) {
+    for await (const chunk of source) {
+      bytes += chunk.length;
+      yield chunk;
+    }
+  });
+  await pipeline(...stages, output, { end: output !== process.stdout });
+
+  return { commit: commitSha, format: fmt, entries: count, bytes };
+}
+
+// --- HELPER: lstat that returns null for a missing path ---
+async function lstatOrNull(file) {
+  try {
+    return await fs.promises.lstat(file);
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+// Writes the tree of `ref` (or its `folder`) into the directory `dir` as plain
+// files. `dir` must be missing or empty unless `force` is set, in which case
+// whatever is in the way of the tree (files, folders, symlinks) is replaced and
+// nothing else is deleted. Existing symlinks are never followed.
+// Returns { commit, dir, files, directories, symlinks }.
+export async function exportTree(gitdir, ref, dir, { folder = '', force = false } = {}) {
+  const { commitSha, tree } = await readTarget(gitdir, ref);
+  const root = path.resolve(dir);
+
+  // --- STEP 1: Check the destination ---
+  let existing = [];
+  try {
+    existing = await fs.promises.readdir(root);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  if (existing.length > 0 && !force) {
+    throw new AlreadyExistsError(`Directory '${dir}' is not empty. Use force to write into it anyway.`, { path: dir });
+  }
+  await fs.promises.mkdir(root, { recursive: true });
+
+  // --- STEP 2: Write folders, files and symlinks ---
+  // Folders come before their contents, so each parent was made a real folder
+  // by this export; the lstat check guards against writing through anything else.
+  const counts = { files: 0, directories: 0, symlinks: 0 };
+  for await (const entry of treeEntries(gitdir, tree, folder, '')) {
+    const parts = entry.path.split('/');
+    if (parts.some(p => p === '.' || p === '..' || p === '.git')) {
+      throw new InvalidArgumentError(`Refusing to export unsafe path '${entry.path}'.`, { path: entry.path });
+    }
+    for (let i = 1; i < parts.length; i++) {
+      const parent = await lstatOrNull(path.join(root, ...parts.slice(0, i)));
+      if (!parent || !parent.isDirectory()) {
+        throw new InvalidArgumentError(`Refusing to write '${entry.path}' through a symlink or file.`, { path: entry.path });
+      }
+    }
+
+    const target = path.join(root, ...parts);
+    const existing = await lstatOrNull(target);
+    if (entry.type === 'tree') {
+      if (existing && !existing.isDirectory()) await fs.promises.rm(target); // A file or symlink in the way
+      if (!existing || !existing.isDirectory()) await fs.promises.mkdir(target);
+      counts.directories++;
+      continue;
+    }
+
+    if (existing) await fs.promises.rm(target, { recursive: true }); // Replace, never write through
+    if (entry.mode === '120000') {
+      await fs.promises.symlink(entry.content.toString('utf8'), target);
+      counts.symlinks++;
+    } else {
+      await fs.promises.writeFile(target, entry.content, { mode: fileMode(entry) });
+      counts.files++;
+    }
+  }
+
+  return { commit: commitSha, dir: root, ...counts };
+}
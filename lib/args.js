@@ -0,0 +1,143 @@
+import fs from 'fs';
+import { InvalidArgumentError } from './errors.js';
+
+// Argument parsing shared by the `bare-git` command and the standalone scripts.
+
+// --- HELPER: Split arguments into positional args and --flags ---
+// Accepts "--flag value" and "--flag=value". Anything not in `spec` is an error.
+// "--" ends the options: every argument after it is positional, even "-x".
+// `spec.list` flags may be repeated; their values are collected into an array.
+export function parseFlags(args, spec = {}) {
+  const booleanFlags = spec.boolean || [];
+  const listFlags = spec.list || [];
+  const valueFlags = [...(spec.value || []), ...listFlags];
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-' || !arg.startsWith('-')) {
+      positional.push(arg);
+      continue;
+    }
+    if (arg === '--') {
+      positional.push(...args.slice(i + 1));
+      break;
+    }
+    const [key, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    if (booleanFlags.includes(key) && inlineValue === undefined) {
+      options[key] = true;
+    } else if (valueFlags.includes(key)) {
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (value === undefined) {
+        throw new InvalidArgumentError(`Option '--${key}' needs a value.`);
+      }
+      if (listFlags.includes(key)) {
+        options[key] = [...(options[key] || []), value];
+      } else {
+        options[key] = value;
+      }
+    } else {
+      throw new InvalidArgumentError(`Unknown option '${arg}'.`);
+    }
+  }
+  return { options, positional };
+}
+
+// --- HELPER: Read a JSON argument given inline or as @file ---
+export function jsonArgument(value, name) {
+  let text = value;
+  if (value.startsWith('@')) {
+    try {
+      text = fs.readFileSync(value.slice(1), 'utf8');
+    } catch (e) {
+      throw new InvalidArgumentError(`Cannot read --${name} file '${value.slice(1)}': ${e.message}`);
+    }
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new InvalidArgumentError(`--${name} is not valid JSON: ${e.message}`);
+  }
+}
+
+// Flags taken by every command that writes a commit:
+//   --message "text"         commit message (each command has a default)
+//   --author "Name <email>"  who wrote the change
+//   --committer "Name <email>"
+//   --date DATE              author date, e.g. "2024-05-01T12:00:00+02:00" or "1714557600 +0200"
+// Unset identities and dates fall back to GIT_AUTHOR_* / GIT_COMMITTER_*, then
+// the repo's user.name / user.email (see signature.js).
+export const COMMIT_FLAGS = ['message', 'author', 'committer', 'date'];
+
+export const COMMIT_USAGE = '[--message <msg>] [--author "Name <email>"] [--committer "Name <email>"] [--date <date>]';
+
+// --- HELPER: Pick the commit options out of parsed flags ---
+export function commitOptions(options) {
+  const result = {};
+  for (const key of COMMIT_FLAGS) {
+    if (options[key] !== undefined) result[key] = options[key];
+  }
+  return result;
+}
+
+// --- HELPER: Parse an integer option ---
+export function intOption(options, key) {
+  if (options[key] === undefined) return undefined;
+  const value = Number(options[key]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new InvalidArgumentError(`--${key} must be a non-negative integer.`);
+  }
+  return value;
+}
+
+// --- HELPER: Commit options plus --expect (the expected parent) ---
+export function writeOptions(options) {
+  return {
+    ...commitOptions(options),
+    ...(options.expect !== undefined ? { expectedParent: options.expect } : {})
+  };
+}
+
+// Arguments and flags of cherry-pick and revert (the CLI commands and the scripts)
+export const APPLY_COMMITS_USAGE = `<dest> <commit|from..to>... [--mainline N] [--resolutions <json|@file>] [--strategy-option ours|theirs] [--conflict-markers] ${COMMIT_USAGE} [--expect <dest-sha>]`;
+export const APPLY_COMMITS_FLAGS = {
+  boolean: ['conflict-markers'],
+  value: ['mainline', 'resolutions', 'strategy-option', ...COMMIT_FLAGS, 'expect']
+};
+
+// --- HELPER: Options of cherry-pick and revert ---
+export function applyCommitsOptions(options) {
+  return {
+    resolutions: options.resolutions ? jsonArgument(options.resolutions, 'resolutions') : {},
+    mainline: intOption(options, 'mainline'),
+    strategyOption: options['strategy-option'] || null,
+    conflictMarkers: !!options['conflict-markers'],
+    ...writeOptions(options)
+  };
+}
+
+// Flags for commands that write one file's content:
+//   --file <path>   read the content from a local file, as raw bytes
+//   --mode <mode>   100644 (default for new files), 100755 or 120000 (symlink)
+// A content argument of "-" reads stdin, also as raw bytes.
+export const CONTENT_FLAGS = ['file', 'mode'];
+
+// --- HELPER: Resolve the content of a file write to a Buffer ---
+// `content` is the positional argument (undefined when --file is used).
+export function readContent(content, options) {
+  if (options.file !== undefined) {
+    if (content !== undefined) {
+      throw new InvalidArgumentError("Pass either a content argument or --file, not both.");
+    }
+    try {
+      return fs.readFileSync(options.file);
+    } catch (e) {
+      throw new InvalidArgumentError(`Cannot read --file '${options.file}': ${e.message}`, { file: options.file });
+    }
+  }
+  if (content === undefined) {
+    throw new InvalidArgumentError("No content. Pass it as an argument, '-' for stdin, or --file <path>.");
+  }
+  return content === '-' ? fs.readFileSync(0) : Buffer.from(content, 'utf8');
+}
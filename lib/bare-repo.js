@@ -0,0 +1,505 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import path from 'path';
+import { resolveCommit, branchRef, writableBranchRef, readRef, updateRef, deleteRef } from './refs.js';
+import { findReflog, readReflog } from './reflog.js';
+import { resolveTreeSha, resolveBlobEntry, walkTree } from './tree-walk.js';
+import { createMatcher, matchesPathOrParent } from './glob.js';
+import { splitPath, loadTree, getEntry, putEntry, removeEntry, writeTree } from './tree-edit.js';
+import { loadIgnoreRules, snapshotDirectory } from './import.js';
+import { applyChange } from './changeset.js';
+import { isBinary } from './blob.js';
+import { resolveSignatures } from './signature.js';
+import { mergeRefs } from './merge.js';
+import { applyCommits } from './cherry-pick.js';
+import { readLog } from './history.js';
+import { diffRefs } from './patch.js';
+import { blameFile } from './blame.js';
+import { grepRefs } from './grep.js';
+import { createTag, listTags, deleteTag } from './tags.js';
+import { runGc } from './gc.js';
+import { writeArchive, exportTree } from './archive.js';
+import { checkRepo } from './fsck.js';
+import { AlreadyExistsError, ConcurrencyError, InvalidArgumentError, NotFoundError } from './errors.js';
+
+// --- HELPER: Commit `tree` on top of `parentSha` and move `fullRef` to it ---
+// The ref update is an atomic compare-and-swap against `parentSha` (see refs.js).
+async function commitTree(gitdir, fullRef, parentSha, tree, message, who) {
+  const { author, committer } = await resolveSignatures(gitdir, who);
+  const commitSha = await git.writeCommit({
+    fs,
+    gitdir,
+    commit: {
+      message,
+      tree,
+      parent: parentSha ? [parentSha] : [],
+      author,
+      committer
+    }
+  });
+
+  await updateRef(gitdir, fullRef, commitSha, parentSha, {
+    message: `commit${parentSha ? '' : ' (initial)'}: ${message.split('\n')[0]}`,
+    committer
+  });
+  return commitSha;
+}
+
+// A bare repository on disk. Every method returns plain data and throws the
+// typed errors from errors.js; nothing is printed and nothing exits.
+//
+//   const repo = new BareRepo('./data/my-repo.git');
+//   const { content } = await repo.readFile('main', 'config/app.yaml');
+//   await repo.writeFiles('main', [{ op: 'put', path: 'a.txt', content: 'hi' }], { message: 'Update a' });
+export class BareRepo {
+  constructor(gitdir) {
+    // In a bare repo, the root folder IS the git directory.
+    this.gitdir = path.resolve(gitdir);
+  }
+
+  // --- Repository ---
+
+  // Initializes the bare repo with a README on `defaultBranch`.
+  // Takes the same message/author/committer/date options as writeFiles.
+  // Returns the { blob, tree, commit } SHAs of that first commit.
+  async init({ defaultBranch = 'main', message = 'Initial commit via isomorphic-git', ...who } = {}) {
+    const { gitdir } = this;
+    await git.init({ fs, gitdir, bare: true, defaultBranch });
+
+    const blob = await git.writeBlob({ fs, gitdir, blob: new Uint8Array(Buffer.from("Hello World\n")) });
+    const tree = await git.writeTree({
+      fs,
+      gitdir,
+      tree: [
+        { mode: '100644', path: 'README.md', oid: blob, type: 'blob' }
+      ]
+    });
+
+    const { author, committer } = await resolveSignatures(gitdir, who);
+    const commit = await git.writeCommit({
+      fs,
+      gitdir,
+      commit: {
+        message,
+        tree,
+        parent: [],
+        author,
+        committer
+      }
+    });
+
+    await updateRef(gitdir, branchRef(defaultBranch), commit, undefined, {
+      message: `commit (initial): ${message.split('\n')[0]}`,
+      committer
+    });
+    return { blob, tree, commit };
+  }
+
+  // Resolves a branch, tag, SHA or "main~2"-style spec to a commit SHA
+  async resolve(ref) {
+    return await resolveCommit(this.gitdir, ref);
+  }
+
+  // --- Branches ---
+
+  // Returns [{ name, oid }] for every local branch
+  async listBranches() {
+    const { gitdir } = this;
+    const branches = await git.listBranches({ fs, gitdir });
+    const results = [];
+    for (const name of branches) {
+      results.push({ name, oid: await git.resolveRef({ fs, gitdir, ref: `refs/heads/${name}` }) });
+    }
+    return results;
+  }
+
+  // Creates a branch at `source` (branch, tag or SHA; default HEAD). Returns { ref, oid }.
+  async createBranch(name, source = 'HEAD') {
+    const { gitdir } = this;
+    let oid;
+    try {
+      oid = await resolveCommit(gitdir, source);
+    } catch (e) {
+      throw new NotFoundError(`Source '${source}' does not exist. Cannot branch off nothing.`, { ref: source });
+    }
+
+    const ref = branchRef(name);
+    if (await readRef(gitdir, ref) !== null) {
+      throw new AlreadyExistsError(`Branch '${name}' already exists.`, { ref });
+    }
+    await updateRef(gitdir, ref, oid, null, { message: `branch: Created from ${source}` });
+    return { ref, oid };
+  }
+
+  // Deletes a branch and returns the oid it pointed to
+  async deleteBranch(name) {
+    const ref = branchRef(name);
+    if (await readRef(this.gitdir, ref) === null) {
+      throw new NotFoundError(`Branch '${name}' not found.`, { ref });
+    }
+    return await deleteRef(this.gitdir, ref, undefined, { message: 'branch: deleted' });
+  }
+
+  // Recreates a deleted branch at the last commit its reflog recorded.
+  // Returns { ref, oid }.
+  async restoreBranch(name) {
+    const { gitdir } = this;
+    const ref = branchRef(name);
+    if (await readRef(gitdir, ref) !== null) {
+      throw new AlreadyExistsError(`Branch '${name}' exists. Only deleted branches can be restored.`, { ref });
+    }
+
+    const last = (await readReflog(gitdir, ref)).find(entry => entry.newOid || entry.oldOid);
+    const oid = last && (last.newOid || last.oldOid);
+    if (!oid) {
+      throw new NotFoundError(`No reflog for branch '${name}'. Nothing to restore.`, { ref });
+    }
+
+    await updateRef(gitdir, ref, oid, null, { message: `branch: Restored from reflog at ${oid.slice(0, 7)}` });
+    return { ref, oid };
+  }
+
+  // Moves the branch `name` to `target`: any commit spec, typically a reflog
+  // entry like "main@{1}" (where main was before its last move).
+  // Options: expectedParent - fail unless the branch is at this commit.
+  // Returns { ref, oldOid, oid }.
+  async resetBranch(name, target, { expectedParent } = {}) {
+    const { gitdir } = this;
+    const ref = await writableBranchRef(gitdir, name);
+    const oldOid = await readRef(gitdir, ref);
+    if (oldOid === null) {
+      throw new NotFoundError(`Branch '${name}' not found. Use restoreBranch for deleted branches.`, { ref });
+    }
+
+    const oid = await resolveCommit(gitdir, target);
+    await updateRef(gitdir, ref, oid, expectedParent !== undefined ? expectedParent : oldOid, {
+      message: `reset: moving to ${target}`
+    });
+    return { ref, oldOid, oid };
+  }
+
+  // --- Reading files ---
+
+  // Lists a folder at `ref`. Returns { type: 'tree', oid, entries: [{ path, mode, type, oid }] },
+  // or { type: 'blob', oid } if `folder` is a file. Options:
+  //   recursive - list everything below the folder, folders before their contents;
+  //               paths are relative to the folder
+  //   maxDepth  - list this many levels (1 = just the folder's own entries)
+  //   include   - glob patterns (see glob.js); only files matching one, or inside a
+  //               matching folder, are listed, plus the folders leading to them
+  //   exclude   - glob patterns for files and folders to leave out, with their contents
+  //   long      - add each file's `size` in bytes
+  async listFiles(ref = 'HEAD', folder = '', { recursive = false, maxDepth, include = [], exclude = [], long = false } = {}) {
+    const { gitdir } = this;
+    const commitSha = await resolveCommit(gitdir, ref);
+    const { commit } = await git.readCommit({ fs, gitdir, oid: commitSha });
+    const target = await resolveTreeSha(gitdir, commit.tree, folder);
+    const cache = {};
+    const sizeOf = async oid => (await git.readBlob({ fs, gitdir, oid, cache })).blob.length;
+
+    if (target.type !== 'tree') {
+      return { type: target.type, oid: target.sha, ...(long && target.type === 'blob' ? { size: await sizeOf(target.sha) } : {}) };
+    }
+
+    const depth = maxDepth !== undefined ? Number(maxDepth) : (recursive ? Infinity : 1);
+    if (!(depth >= 1) || (depth !== Infinity && !Number.isInteger(depth))) {
+      throw new InvalidArgumentError(`Invalid depth '${maxDepth}'. Use a whole number of 1 or more.`, { maxDepth });
+    }
+
+    // --- STEP 1: Walk, leaving excluded entries (and their contents) out ---
+    const excluded = createMatcher(exclude);
+    const found = [];
+    for await (const entry of walkTree(gitdir, target.sha, { maxDepth: depth, skip: e => excluded(e.path), cache })) {
+      found.push(entry);
+    }
+
+    // --- STEP 2: Keep included files and the folders above them ---
+    let entries = found;
+    if (include.length > 0) {
+      const included = createMatcher(include);
+      const keep = entry => matchesPathOrParent(included, entry.path);
+      const parents = new Set();
+      for (const entry of found) {
+        if (entry.type === 'tree' || !keep(entry)) continue;
+        const parts = entry.path.split('/');
+        for (let i = 1; i < parts.length; i++) parents.add(parts.slice(0, i).join('/'));
+      }
+      entries = found.filter(entry => keep(entry) || (entry.type === 'tree' && parents.has(entry.path)));
+    }
+
+    // --- STEP 3: Shape the result ---
+    const results = [];
+    for (const e of entries) {
+      const result = { path: e.path, mode: e.mode, type: e.type, oid: e.oid };
+      if (long && e.type === 'blob') result.size = await sizeOf(e.oid);
+      results.push(result);
+    }
+    return { type: 'tree', oid: target.sha, entries: results };
+  }
+
+  // Reads a file at `ref`. Returns { oid, mode, content (Buffer), binary }.
+  async readFile(ref, filePath) {
+    const { gitdir } = this;
+    const commitSha = await resolveCommit(gitdir, ref);
+    const { commit } = await git.readCommit({ fs, gitdir, oid: commitSha });
+    const target = await resolveBlobEntry(gitdir, commit.tree, filePath);
+
+    if (target.type !== 'blob') {
+      throw new InvalidArgumentError(`Path '${filePath}' points to a ${target.type}, not a file.`, { path: filePath });
+    }
+
+    const { blob } = await git.readBlob({ fs, gitdir, oid: target.sha });
+    const content = Buffer.from(blob);
+    return { oid: target.sha, mode: target.mode, content, binary: isBinary(content) };
+  }
+
+  // Streams a .tar, .tar.gz or .zip of `ref` into the writable `output`.
+  // Options: { format, prefix, folder }; see writeArchive in archive.js.
+  async archive(ref, output, options = {}) {
+    return await writeArchive(this.gitdir, ref, output, options);
+  }
+
+  // Writes the files of `ref` into the directory `dir`. Options: { folder, force }.
+  async exportTree(ref, dir, options = {}) {
+    return await exportTree(this.gitdir, ref, dir, options);
+  }
+
+  // --- Writing files ---
+
+  // Applies a changeset (see changeset.js) to the branch `ref` as one commit.
+  // "HEAD" writes to the branch HEAD points to; tags and other refs are refused.
+  // A missing branch gets a root commit. Options:
+  //   message        - commit message (required)
+  //   expectedParent - fail unless the branch is at this commit (null = must not exist yet)
+  //   author         - "Name <email>" or { name, email }
+  //   committer      - same; both fall back to GIT_AUTHOR_* / GIT_COMMITTER_*,
+  //                    then user.name / user.email, then API Bot
+  //   date           - author date ("2024-05-01T12:00:00+02:00", "1714557600 +0200", ...)
+  // Either every change lands or none does. Returns { ref, parent, tree, commit, changes },
+  // where `changes` holds one status line per change.
+  async writeFiles(ref, changes, { message, expectedParent, ...who } = {}) {
+    const { gitdir } = this;
+    if (!Array.isArray(changes) || changes.length === 0) {
+      throw new InvalidArgumentError("No changes to write.");
+    }
+    if (!message) {
+      throw new InvalidArgumentError("A commit message is required.");
+    }
+
+    // --- STEP 1: Resolve Parent Commit ---
+    const fullRef = await writableBranchRef(gitdir, ref);
+    const parentSha = await readRef(gitdir, fullRef);
+
+    if (expectedParent !== undefined && expectedParent !== parentSha) {
+      throw new ConcurrencyError(
+        `Concurrency Error: The ref '${ref}' is at ${parentSha}, expected ${expectedParent}. Aborting.`,
+        { ref: fullRef, expected: expectedParent, actual: parentSha }
+      );
+    }
+
+    // --- STEP 2: Apply every change to the tree in memory ---
+    // Any failure aborts before the ref moves, so the changeset lands entirely or not at all.
+    let rootTreeSha = null;
+    if (parentSha) {
+      const { commit } = await git.readCommit({ fs, gitdir, oid: parentSha });
+      rootTreeSha = commit.tree;
+    }
+
+    const root = loadTree(rootTreeSha);
+    const statuses = [];
+    for (const change of changes) {
+      statuses.push(await applyChange(gitdir, root, change));
+    }
+
+    const treeSha = await writeTree(gitdir, root) || await git.writeTree({ fs, gitdir, tree: [] });
+
+    // --- STEP 3: Commit and move the ref ---
+    const commitSha = await commitTree(gitdir, fullRef, parentSha, treeSha, message, who);
+    return { ref: fullRef, parent: parentSha, tree: treeSha, commit: commitSha, changes: statuses };
+  }
+
+  // Creates or replaces one file (content: string or Buffer). `mode` may be
+  // 100644, 100755 or 120000 (symlink; content is the target); without it a
+  // replaced file keeps its mode. Other options: see writeFiles.
+  async addFile(ref, filePath, content, { mode, ...options } = {}) {
+    return await this.writeFiles(ref, [{ op: 'put', path: filePath, content, mode }], {
+      message: `Add ${filePath}`,
+      ...options
+    });
+  }
+
+  // Removes one file or folder; empty parent folders go with it. See writeFiles.
+  async removeFile(ref, filePath, options = {}) {
+    if (await readRef(this.gitdir, await writableBranchRef(this.gitdir, ref)) === null) {
+      throw new NotFoundError(`Ref ${ref} does not exist. Cannot remove file.`, { ref });
+    }
+    return await this.writeFiles(ref, [{ op: 'delete', path: filePath }], {
+      message: `Remove ${filePath}`,
+      ...options
+    });
+  }
+
+  // Commits the contents of the local directory `dir` as the new state of the
+  // branch, or of one `folder` in it, in a single commit. Options:
+  //   folder      - replace only this folder of the branch (default: everything)
+  //   excludeFrom - .gitignore-style rules (default: `dir`/.gitignore if present)
+  //   exclude     - extra exclude patterns, in the same syntax
+  //   message, expectedParent, author, committer, date - as in writeFiles
+  // Only blobs and trees the branch does not already have are written. If nothing
+  // changed, no commit is made and `commit` is the current one.
+  // Returns { ref, parent, tree, commit, changes, files, blobsWritten, unchanged }.
+  async importDirectory(ref, dir, { folder = '', excludeFrom, exclude = [], message, expectedParent, ...who } = {}) {
+    const { gitdir } = this;
+
+    // --- STEP 1: Resolve Parent Commit ---
+    const fullRef = await writableBranchRef(gitdir, ref);
+    const parentSha = await readRef(gitdir, fullRef);
+    if (expectedParent !== undefined && expectedParent !== parentSha) {
+      throw new ConcurrencyError(
+        `Concurrency Error: The ref '${ref}' is at ${parentSha}, expected ${expectedParent}. Aborting.`,
+        { ref: fullRef, expected: expectedParent, actual: parentSha }
+      );
+    }
+    let rootTreeSha = null;
+    if (parentSha) {
+      const { commit } = await git.readCommit({ fs, gitdir, oid: parentSha });
+      rootTreeSha = commit.tree;
+    }
+
+    // --- STEP 2: Snapshot the directory against what the folder holds now ---
+    const parts = folder ? splitPath(folder) : [];
+    const root = loadTree(rootTreeSha);
+    const previous = parts.length > 0 ? await getEntry(gitdir, root, parts) : null;
+    const previousTree = parts.length === 0 ? rootTreeSha : (previous && previous.type === 'tree' ? previous.oid : null);
+
+    const ignored = await loadIgnoreRules(dir, { excludeFrom, exclude });
+    const snapshot = await snapshotDirectory(gitdir, dir, { previousTree, ignored });
+
+    // --- STEP 3: Put the new tree in place ---
+    let treeSha;
+    if (parts.length === 0) {
+      treeSha = snapshot.tree || await git.writeTree({ fs, gitdir, tree: [] });
+    } else if (previousTree && snapshot.tree === previousTree) {
+      treeSha = rootTreeSha;
+    } else {
+      if (snapshot.tree) {
+        await putEntry(gitdir, root, parts, { mode: '040000', type: 'tree', oid: snapshot.tree });
+      } else if (previous) {
+        await removeEntry(gitdir, root, parts);
+      }
+      treeSha = await writeTree(gitdir, root) || await git.writeTree({ fs, gitdir, tree: [] });
+    }
+
+    const result = {
+      ref: fullRef,
+      parent: parentSha,
+      tree: treeSha,
+      changes: parts.length > 0 ? snapshot.changes.map(line => `${line.slice(0, 3)}${parts.join('/')}/${line.slice(3)}`) : snapshot.changes,
+      files: snapshot.files,
+      blobsWritten: snapshot.blobsWritten
+    };
+    if (parentSha && treeSha === rootTreeSha) {
+      return { ...result, commit: parentSha, unchanged: true };
+    }
+
+    // --- STEP 4: Commit and move the ref (compare-and-swap, like writeFiles) ---
+    const defaultMessage = `Import ${path.basename(path.resolve(dir))}${folder ? ` into ${parts.join('/')}` : ''}`;
+    const commitSha = await commitTree(gitdir, fullRef, parentSha, treeSha, message || defaultMessage, who);
+    return { ...result, commit: commitSha, unchanged: false };
+  }
+
+  // Moves a file or folder within the branch in one commit. The moved tree
+  // entry keeps its OID, so no content is read or written again. Options:
+  //   force - replace an existing file or folder at `to`
+  // Other options: see writeFiles.
+  async moveFile(ref, from, to, { force = false, ...options } = {}) {
+    if (await readRef(this.gitdir, await writableBranchRef(this.gitdir, ref)) === null) {
+      throw new NotFoundError(`Ref ${ref} does not exist. Cannot move files.`, { ref });
+    }
+    return await this.writeFiles(ref, [{ op: 'move', from, to, force }], {
+      message: `Move ${from} to ${to}`,
+      ...options
+    });
+  }
+
+  // --- Merging ---
+
+  // Merges `source` into the branch `dest`. See mergeRefs in merge.js for the options.
+  async merge(source, dest, options = {}) {
+    return await mergeRefs(this.gitdir, { ...options, source, dest, preview: false });
+  }
+
+  // Runs the merge in memory and returns what it would do, without writing anything
+  async previewMerge(source, dest, options = {}) {
+    return await mergeRefs(this.gitdir, { ...options, source, dest, preview: true });
+  }
+
+  // Applies one or more commits (or "A..B" ranges) onto the branch `dest`, each as a
+  // new commit that keeps the original author and message. See applyCommits in
+  // cherry-pick.js for the options.
+  async cherryPick(commits, dest, options = {}) {
+    return await applyCommits(this.gitdir, { ...options, commits, dest, revert: false });
+  }
+
+  // Undoes one or more commits (or ranges) on the branch `dest`, newest first,
+  // with one "Revert ..." commit each.
+  async revert(commits, dest, options = {}) {
+    return await applyCommits(this.gitdir, { ...options, commits, dest, revert: true });
+  }
+
+  // --- History ---
+
+  // Every recorded value of a ref, newest first (see readReflog in reflog.js).
+  // `ref` is "HEAD", a branch or tag name, or a full ref; deleted branches work too.
+  async reflog(ref = 'HEAD') {
+    const fullRef = findReflog(this.gitdir, ref);
+    if (!fullRef) {
+      throw new NotFoundError(`No reflog for '${ref}'.`, { ref });
+    }
+    return { ref: fullRef, entries: await readReflog(this.gitdir, fullRef) };
+  }
+
+  async log(ref = 'HEAD', options = {}) {
+    return await readLog(this.gitdir, ref, options);
+  }
+
+  async diff(from, to, options = {}) {
+    return await diffRefs(this.gitdir, from, to, options);
+  }
+
+  async blame(ref, filePath) {
+    return await blameFile(this.gitdir, ref, filePath);
+  }
+
+  // Searches file contents at one or more refs. See grepRefs in grep.js for the options.
+  async grep(pattern, options = {}) {
+    return await grepRefs(this.gitdir, pattern, options);
+  }
+
+  // --- Tags ---
+
+  async createTag(name, target = 'HEAD', options = {}) {
+    return await createTag(this.gitdir, name, target, options);
+  }
+
+  async listTags() {
+    return await listTags(this.gitdir);
+  }
+
+  async deleteTag(name) {
+    return await deleteTag(this.gitdir, name);
+  }
+
+  // --- Maintenance ---
+
+  // Packs, prunes and packs refs; see runGc in gc.js for the options and the report
+  async gc(options = {}) {
+    return await runGc(this.gitdir, options);
+  }
+
+  // Verifies objects, trees and refs; see checkRepo in fsck.js for the report.
+  // Corruption is reported (ok: false), not thrown.
+  async fsck(options = {}) {
+    return await checkRepo(this.gitdir, options);
+  }
+}
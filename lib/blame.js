@@ -0,0 +1,170 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import { resolveCommit } from './refs.js';
+import { resolveBlobEntry } from './tree-walk.js';
+import { diffTrees, detectRenames } from './tree-diff.js';
+import { diffLines, splitLines } from './diff3.js';
+import { isBinary } from './blob.js';
+import { formatIsoDate } from './history.js';
+import { InvalidArgumentError } from './errors.js';
+
+// --- HELPER: Map unchanged lines of `after` back to their index in `before` ---
+function unchangedLineMap(before, after) {
+  const map = new Map();
+  let a = 0;
+  let b = 0;
+  for (const hunk of [...diffLines(before, after), { aStart: before.length, aEnd: before.length, bStart: after.length, bEnd: after.length }]) {
+    while (a < hunk.aStart && b < hunk.bStart) map.set(b++, a++);
+    a = hunk.aEnd;
+    b = hunk.bEnd;
+  }
+  return map;
+}
+
+// Annotates every line of `filePath` at `ref` with the commit that last changed it.
+// Returns one row per line: { line, content, commit, author, email, timestamp,
+// date, summary, path, originalLine } (`path` differs from `filePath` when the
+// line comes from before a rename).
+export async function blameFile(gitdir, ref, filePath) {
+  // Caches: commit objects and file lines per blob
+  const commits = new Map();
+  const blobLines = new Map();
+
+  async function readCommit(oid) {
+    if (!commits.has(oid)) {
+      commits.set(oid, (await git.readCommit({ fs, gitdir, oid })).commit);
+    }
+    return commits.get(oid);
+  }
+
+  async function readLines(blobSha) {
+    if (!blobLines.has(blobSha)) {
+      const { blob } = await git.readBlob({ fs, gitdir, oid: blobSha });
+      blobLines.set(blobSha, isBinary(blob) ? null : splitLines(Buffer.from(blob).toString('utf8')));
+    }
+    return blobLines.get(blobSha);
+  }
+
+  // --- HELPER: The blob at a path, or null (uses resolveBlobEntry's walk) ---
+  async function blobAt(treeSha, targetPath) {
+    try {
+      const entry = await resolveBlobEntry(gitdir, treeSha, targetPath);
+      return entry.type === 'blob' ? entry.sha : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Assigns every line of the file to the commit that last changed it.
+  //
+  // Lines start out pending on the starting commit. Each commit passes the lines
+  // it did not change on to its parents (following renames); whatever is left is
+  // blamed on that commit. Commits are processed newest first, so a commit that
+  // receives lines from several children handles them all at once.
+  async function blame(startSha, startPath) {
+    const startCommit = await readCommit(startSha);
+    const startBlob = await blobAt(startCommit.tree, startPath);
+    const startLines = await readLines(startBlob);
+    if (startLines === null) {
+      throw new InvalidArgumentError(`Path '${startPath}' is a binary file. Cannot blame it.`, { path: startPath });
+    }
+
+    const result = new Array(startLines.length);
+    const pending = new Map(); // "oid:path" -> { oid, path, blob, lines: [{ final, idx }] }
+
+    const addPending = (oid, pendingPath, blob, lines) => {
+      const key = `${oid}:${pendingPath}`;
+      if (!pending.has(key)) pending.set(key, { oid, path: pendingPath, blob, lines: [] });
+      pending.get(key).lines.push(...lines);
+    };
+
+    addPending(startSha, startPath, startBlob, startLines.map((_, i) => ({ final: i, idx: i })));
+
+    while (pending.size > 0) {
+      // Newest commit first
+      let next = null;
+      for (const item of pending.values()) {
+        const ts = (await readCommit(item.oid)).committer.timestamp;
+        if (!next || ts > next.ts) next = { item, ts };
+      }
+      const { oid, path: currentPath, blob, lines } = next.item;
+      pending.delete(`${oid}:${currentPath}`);
+
+      const commit = await readCommit(oid);
+      const currentLines = await readLines(blob);
+      let remaining = lines;
+
+      for (const parentSha of commit.parent) {
+        if (remaining.length === 0) break;
+
+        const parent = await readCommit(parentSha);
+        let parentPath = currentPath;
+        let parentBlob = await blobAt(parent.tree, currentPath);
+
+        // Not there in the parent: was it renamed?
+        if (!parentBlob) {
+          const changes = await detectRenames(gitdir, await diffTrees(gitdir, parent.tree, commit.tree));
+          const rename = changes.find(c => c.status === 'R' && c.path === currentPath);
+          if (!rename) continue;
+          parentPath = rename.oldPath;
+          parentBlob = rename.old.oid;
+        }
+
+        const parentLines = await readLines(parentBlob);
+        if (parentLines === null) continue;
+
+        const map = parentBlob === blob ? null : unchangedLineMap(parentLines, currentLines);
+        const passed = [];
+        const kept = [];
+        for (const line of remaining) {
+          if (!map) passed.push(line);
+          else if (map.has(line.idx)) passed.push({ final: line.final, idx: map.get(line.idx) });
+          else kept.push(line);
+        }
+
+        if (passed.length > 0) addPending(parentSha, parentPath, parentBlob, passed);
+        remaining = kept;
+      }
+
+      for (const line of remaining) {
+        result[line.final] = { oid, path: currentPath, originalLine: line.idx + 1 };
+      }
+    }
+
+    return { lines: startLines, origins: result };
+  }
+
+  // --- STEP 1: Resolve the Commit ---
+  const commitSha = await resolveCommit(gitdir, ref);
+  const commit = await readCommit(commitSha);
+
+  // --- STEP 2: Find the File ---
+  const cleanPath = filePath.replace(/^\/+|\/+$/g, '');
+  const target = await resolveBlobEntry(gitdir, commit.tree, cleanPath);
+  if (target.type !== 'blob') {
+    throw new InvalidArgumentError(`Path '${filePath}' points to a ${target.type}, not a file.`, { path: filePath });
+  }
+
+  // --- STEP 3: Blame ---
+  const { lines, origins } = await blame(commitSha, cleanPath);
+
+  const rows = [];
+  for (let i = 0; i < lines.length; i++) {
+    const origin = origins[i];
+    const source = await readCommit(origin.oid);
+    rows.push({
+      line: i + 1,
+      content: lines[i].replace(/\r?\n$/, ''),
+      commit: origin.oid,
+      author: source.author.name,
+      email: source.author.email,
+      timestamp: source.author.timestamp,
+      date: formatIsoDate(source.author.timestamp, source.author.timezoneOffset),
+      summary: source.message.split('\n')[0],
+      path: origin.path,
+      originalLine: origin.originalLine
+    });
+  }
+
+  return rows;
+}
@@ -0,0 +1,10 @@
+// --- HELPER: Detect Binary (Simple Heuristic) ---
+// Check start of buffer for null bytes (common in images/binaries).
+// A simple check is looking for null bytes in the first 8000 chars.
+export function isBinary(buffer) {
+  const chunk = buffer.slice(0, 8000);
+  for (let i = 0; i < chunk.length; i++) {
+    if (chunk[i] === 0) return true;
+  }
+  return false;
+}
@@ -0,0 +1,129 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import YAML from 'yaml';
+import { splitPath, getEntry, putEntry, removeEntry } from './tree-edit.js';
+import { AlreadyExistsError, InvalidArgumentError, NotFoundError } from './errors.js';
+
+// A changeset is a list of changes applied to one tree, in order:
+//   { op: 'add',    path, content, encoding?, mode? }  create a file (fails if it exists)
+//   { op: 'update', path, content, encoding?, mode? }  replace a file (fails if missing)
+//   { op: 'put',    path, content, encoding?, mode? }  create or replace a file
+//   { op: 'delete', path }                             remove a file or folder
+//   { op: 'move',   from, to, force? }                 relocate a file or folder, reusing its objects;
+//                                                      `force` replaces whatever is at `to`
+// `content` is a string (utf8 unless `encoding: 'base64'`) or a Buffer/Uint8Array.
+// `mode` is one of FILE_MODES; for a symlink the content is the link target.
+// Without it, new files get 100644 and replaced files keep their mode.
+
+export const FILE_MODES = ['100644', '100755', '120000'];
+
+// --- HELPER: Parse a manifest (JSON or YAML) into { message, parent, changes } ---
+// The manifest may also be a bare list of changes.
+export function parseManifest(text) {
+  let manifest;
+  try {
+    manifest = JSON.parse(text);
+  } catch (e) {
+    try {
+      manifest = YAML.parse(text);
+    } catch (e2) {
+      throw new InvalidArgumentError(`Manifest is neither valid JSON nor YAML: ${e2.message}`);
+    }
+  }
+
+  if (Array.isArray(manifest)) return { changes: manifest };
+  if (!manifest || typeof manifest !== 'object') {
+    throw new InvalidArgumentError("Manifest must be an object with a 'changes' list, or a list of changes.");
+  }
+  return manifest;
+}
+
+// --- HELPER: Validate one change and return its content as bytes ---
+function contentOf(change) {
+  if (change.content instanceof Uint8Array) return new Uint8Array(change.content);
+  if (typeof change.content !== 'string') {
+    throw new InvalidArgumentError(`Change '${change.op} ${change.path}' needs a string 'content'.`);
+  }
+  const encoding = change.encoding || 'utf8';
+  if (encoding !== 'utf8' && encoding !== 'base64') {
+    throw new InvalidArgumentError(`Change '${change.op} ${change.path}' has unknown encoding '${encoding}'.`);
+  }
+  return new Uint8Array(Buffer.from(change.content, encoding));
+}
+
+// --- HELPER: Validate an optional file mode ---
+function modeOf(change) {
+  if (change.mode === undefined || change.mode === null) return null;
+  const mode = String(change.mode);
+  if (!FILE_MODES.includes(mode)) {
+    throw new InvalidArgumentError(
+      `Change '${change.op} ${change.path}' has unsupported mode '${mode}'. Use ${FILE_MODES.join(', ')}.`,
+      { path: change.path, mode }
+    );
+  }
+  return mode;
+}
+
+// Applies one change to an in-memory tree (see tree-edit.js).
+// Returns a short status line like "A  docs/x.md".
+export async function applyChange(gitdir, root, change) {
+  switch (change.op) {
+    case 'add':
+    case 'update':
+    case 'put': {
+      const parts = splitPath(change.path || '');
+      const existing = await getEntry(gitdir, root, parts);
+
+      if (change.op === 'add' && existing) {
+        throw new AlreadyExistsError(`Cannot add '${change.path}': it already exists.`, { path: change.path });
+      }
+      if (change.op === 'update' && (!existing || existing.type !== 'blob')) {
+        throw new NotFoundError(`Cannot update '${change.path}': no such file.`, { path: change.path });
+      }
+
+      const mode = modeOf(change);
+      const content = contentOf(change);
+      if (mode === '120000' && content.length === 0) {
+        throw new InvalidArgumentError(`Symlink '${change.path}' needs a target as its content.`, { path: change.path });
+      }
+
+      const blobSha = await git.writeBlob({ fs, gitdir, blob: content });
+      const keepMode = existing && existing.type === 'blob';
+      await putEntry(gitdir, root, parts, {
+        mode: mode || (keepMode ? existing.mode : '100644'), // Updates keep the existing mode
+        type: 'blob',
+        oid: blobSha
+      });
+      return `${existing ? 'M' : 'A'}  ${change.path}`;
+    }
+
+    case 'delete': {
+      await removeEntry(gitdir, root, splitPath(change.path || ''));
+      return `D  ${change.path}`;
+    }
+
+    case 'move': {
+      const from = splitPath(change.from || '');
+      const to = splitPath(change.to || '');
+
+      if (to.length >= from.length && from.every((part, i) => to[i] === part)) {
+        throw new InvalidArgumentError(`Cannot move '${change.from}' into itself.`, { path: change.from });
+      }
+      if (from.length > to.length && to.every((part, i) => from[i] === part)) {
+        throw new InvalidArgumentError(`Cannot move '${change.from}' over its own parent '${change.to}'.`, { path: change.from });
+      }
+
+      // Reuse the entry (and its OID) as-is; nothing is re-uploaded
+      const entry = await removeEntry(gitdir, root, from);
+      const existing = await getEntry(gitdir, root, to);
+      if (existing && !change.force) {
+        throw new AlreadyExistsError(`Cannot move to '${change.to}': it already exists. Use force to replace it.`, { path: change.to });
+      }
+      await putEntry(gitdir, root, to, entry);
+      return `R  ${change.from} -> ${change.to}${existing ? ' (replaced)' : ''}`;
+    }
+
+    default:
+      throw new InvalidArgumentError(`Unknown op '${change.op}'. Use add, update, put, delete or move.`);
+  }
+}
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import { createTreeMerger } from './merge.js';
+import { walkCommits } from './history.js';
+import { resolveCommit, writableBranchRef, readRef, updateRef } from './refs.js';
+import { resolveSignature, resolveSignatures } from './signature.js';
+import { ConcurrencyError, InvalidArgumentError, MergeConflictError, NotFoundError } from './errors.js';
+
+// Cherry-pick and revert onto a branch, like `git cherry-pick -x` and `git revert`.
+// Each commit is replayed with a three-way tree merge (see createTreeMerger):
+//   cherry-pick: base = the commit's parent, ours = the branch, theirs = the commit
+//   revert:      base = the commit, ours = the branch, theirs = the commit's parent
+// All commits are applied in memory first and the branch moves once at the end,
+// so a conflict in the third commit of a range leaves the branch untouched.
+
+// --- HELPER: First line of a commit message ---
+function subjectOf(commit) {
+  return commit.message.split('\n')[0];
+}
+
+// --- HELPER: Expand commit specs into SHAs, oldest first ---
+// A spec is anything resolveCommit accepts, or a range "A..B": the commits
+// reachable from B but not from A (B defaults to HEAD), like `git rev-list A..B`.
+async function expandCommits(gitdir, specs) {
+  const oids = [];
+  for (const spec of specs) {
+    const range = /^(.*?)\.\.(.*)$/.exec(spec);
+    if (!range) {
+      oids.push(await resolveCommit(gitdir, spec));
+      continue;
+    }
+    if (!range[1] || range[2].startsWith('.')) {
+      throw new InvalidArgumentError(`Invalid range '${spec}'. Use <from>..<to>.`, { spec });
+    }
+
+    const from = await resolveCommit(gitdir, range[1]);
+    const to = await resolveCommit(gitdir, range[2] || 'HEAD');
+    const excluded = new Set();
+    for await (const { oid } of walkCommits(gitdir, [from])) excluded.add(oid);
+
+    const inRange = [];
+    for await (const { oid } of walkCommits(gitdir, [to])) {
+      if (!excluded.has(oid)) inRange.push(oid);
+    }
+    if (inRange.length === 0) {
+      throw new InvalidArgumentError(`Range '${spec}' contains no commits.`, { spec });
+    }
+    oids.push(...inRange.reverse());
+  }
+  if (oids.length === 0) {
+    throw new InvalidArgumentError("No commits given.");
+  }
+  return oids;
+}
+
+// --- HELPER: The parent a commit is replayed against ---
+// Merge commits need `mainline`: the 1-based number of the parent whose side
+// of the merge is kept, as with `git cherry-pick -m`. Root commits have none.
+function pickParent(oid, commit, mainline) {
+  if (commit.parent.length <= 1) return commit.parent[0] || null;
+  if (mainline === undefined) {
+    throw new InvalidArgumentError(
+      `Commit ${oid.slice(0, 7)} is a merge but no mainline was given. Pass the parent number to replay against (e.g. 1).`,
+      { commit: oid }
+    );
+  }
+  const parent = commit.parent[mainline - 1];
+  if (!parent) {
+    throw new InvalidArgumentError(`Commit ${oid.slice(0, 7)} has no parent ${mainline}.`, { commit: oid, mainline });
+  }
+  return parent;
+}
+
+// --- HELPER: Resolutions for one commit ---
+// Keys that are full commit SHAs hold the resolutions for that commit only;
+// every other key is a path and applies to any commit without its own entry.
+function resolutionsFor(resolutions, oid) {
+  if (resolutions[oid]) return resolutions[oid];
+  return Object.fromEntries(Object.entries(resolutions).filter(([key]) => !/^[0-9a-f]{40}$/.test(key)));
+}
+
+// Applies `commits` onto the branch `dest` as new commits. Options:
+//   commits        - commit specs or ranges ("A..B"), applied in the order given
+//                    (ranges oldest first; reverted newest first, like `git revert`)
+//   revert         - undo the commits instead of applying them
+//   mainline       - parent number to replay merge commits against
+//   message        - commit message instead of the generated one (single commit only)
+//   author, committer, date - see BareRepo#writeFiles. A cherry-pick keeps the
+//                    original author unless `author` is given.
+//   expectedParent - fail unless dest is at this commit
+//   resolutions, strategyOption, conflictMarkers, log - see createTreeMerger;
+//                    resolutions may also be grouped by full commit SHA
+//
+// Returns { status, dest, oid, commits: [{ source, subject, status, oid, conflicts }] }
+// where status is 'applied' or 'no-changes', and each commit's status is
+// 'applied' or 'empty' (its changes were already there; no commit is made).
+// Throws MergeConflictError (with `data.commit` and `data.conflicts`) if
+// conflicts remain; the branch is not moved.
+export async function applyCommits(gitdir, options) {
+  const {
+    commits,
+    dest,
+    revert = false,
+    mainline,
+    message,
+    resolutions = {},
+    author,
+    committer,
+    date,
+    expectedParent,
+    log = () => {}
+  } = options;
+  const action = revert ? 'revert' : 'cherry-pick';
+
+  if (mainline !== undefined && (!Number.isInteger(mainline) || mainline < 1)) {
+    throw new InvalidArgumentError(`Invalid mainline '${mainline}'. Use a parent number starting at 1.`);
+  }
+
+  // --- STEP 1: Resolve the branch and the commits ---
+  const destRef = await writableBranchRef(gitdir, dest);
+  const destSha = await readRef(gitdir, destRef);
+  if (!destSha) {
+    throw new NotFoundError(`Branch '${dest}' not found.`, { ref: destRef });
+  }
+  if (expectedParent !== undefined && expectedParent !== destSha) {
+    throw new ConcurrencyError(
+      `Concurrency Error: The ref '${dest}' is at ${destSha}, expected ${expectedParent}. Aborting.`,
+      { ref: destRef, expected: expectedParent, actual: destSha }
+    );
+  }
+
+  const oids = await expandCommits(gitdir, Array.isArray(commits) ? commits : [commits]);
+  if (revert) oids.reverse();
+  if (message !== undefined && oids.length > 1) {
+    throw new InvalidArgumentError("A message can only be given when applying a single commit.");
+  }
+
+  const committerSig = await resolveSignature(gitdir, 'committer', { explicit: committer });
+  const revertSignatures = revert ? await resolveSignatures(gitdir, { author, committer, date }) : null;
+  const authorOverride = !revert && author ? await resolveSignature(gitdir, 'author', { explicit: author, date }) : null;
+
+  // --- STEP 2: Replay each commit on top of the previous result ---
+  const { commit: destCommit } = await git.readCommit({ fs, gitdir, oid: destSha });
+  let head = destSha;
+  let headTree = destCommit.tree;
+  const results = [];
+
+  for (const oid of oids) {
+    const { commit } = await git.readCommit({ fs, gitdir, oid });
+    const short = oid.slice(0, 7);
+    const subject = subjectOf(commit);
+    const parent = pickParent(oid, commit, mainline);
+    const parentTree = parent ? (await git.readCommit({ fs, gitdir, oid: parent })).commit.tree : null;
+    log(`${revert ? 'Reverting' : 'Picking'} ${short} ${subject}`);
+
+    const merger = createTreeMerger(gitdir, {
+      ...options,
+      resolutions: resolutionsFor(resolutions, oid),
+      preview: false,
+      labels: revert
+        ? { ours: dest, theirs: `parent of ${short} (${subject})`, base: `${short} (${subject})` }
+        : { ours: dest, theirs: `${short} (${subject})`, base: `parent of ${short} (${subject})` },
+      log
+    });
+    const tree = revert
+      ? await merger.mergeRootTrees(commit.tree, headTree, parentTree)
+      : await merger.mergeRootTrees(parentTree, headTree, commit.tree);
+
+    const unresolved = merger.unresolvedConflicts();
+    if (unresolved.length > 0) {
+      throw new MergeConflictError(
+        `Conflict in ${action} of ${short} (${subject}) in ${unresolved.map(c => `'${c.path}'`).join(', ')}. No resolution provided. '${dest}' was not changed.`,
+        { dest: { ref: destRef, oid: destSha }, commit: oid, conflicts: merger.conflicts, applied: results }
+      );
+    }
+
+    if (tree === headTree) {
+      log(` -> ${short} changes nothing on ${dest}. Skipping.`);
+      results.push({ source: oid, subject, status: 'empty', oid: null, conflicts: [] });
+      continue;
+    }
+
+    const signatures = revert
+      ? revertSignatures
+      : { author: authorOverride || commit.author, committer: committerSig };
+    const commitMessage = message !== undefined ? message : revert
+      ? `Revert "${subject}"\n\nThis reverts commit ${oid}.\n`
+      : `${commit.message.replace(/\n+$/, '')}\n\n(cherry picked from commit ${oid})\n`;
+
+    head = await git.writeCommit({
+      fs, gitdir,
+      commit: { message: commitMessage, tree, parent: [head], ...signatures }
+    });
+    headTree = tree;
+    results.push({ source: oid, subject, status: 'applied', oid: head, conflicts: merger.conflicts });
+  }
+
+  // --- STEP 3: Move the branch once (compare-and-swap) ---
+  const summary = { dest: { ref: destRef, oid: destSha }, commits: results };
+  if (head === destSha) {
+    return { status: 'no-changes', ...summary, oid: destSha };
+  }
+
+  const applied = results.filter(r => r.status === 'applied');
+  const reflogSubject = applied.length === 1 ? applied[0].subject : `${applied.length} commits`;
+  await updateRef(gitdir, destRef, head, destSha, {
+    message: `${action}: ${reflogSubject}`,
+    committer: committerSig
+  });
+
+  return { status: 'applied', ...summary, oid: head };
+}
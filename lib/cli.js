@@ -0,0 +1,722 @@
+import fs from 'fs';
+import path from 'path';
+import { BareRepo } from './bare-repo.js';
+import { createServer } from './server.js';
+import { parseManifest } from './changeset.js';
+import { archiveFormat } from './archive.js';
+import { formatGitDate } from './history.js';
+import {
+  parseFlags, COMMIT_FLAGS, COMMIT_USAGE, commitOptions, CONTENT_FLAGS, readContent, jsonArgument, intOption, writeOptions,
+  APPLY_COMMITS_USAGE, APPLY_COMMITS_FLAGS, applyCommitsOptions
+} from './args.js';
+import { describeConflict, listingName, printAppliedCommits, printReflog, printGrep, printGcReport, printFsckReport } from './output.js';
+import { InvalidArgumentError } from './errors.js';
+
+// The `bare-git` command line: argument parsing, help, output and exit codes.
+// Commands call BareRepo and hand its result either to a text printer or,
+// with --json, straight to JSON.stringify, so the JSON schema of every command
+// is the return value of the matching BareRepo method.
+
+// Exit codes (documented in the README; automation relies on them)
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,              // Unexpected failure
+  USAGE: 2,              // Bad arguments or invalid input (InvalidArgumentError)
+  NOT_FOUND: 3,          // NotFoundError
+  ALREADY_EXISTS: 4,     // AlreadyExistsError
+  CONCURRENCY: 5,        // ConcurrencyError: the ref moved, retry
+  MERGE_CONFLICT: 6,     // MergeConflictError
+  NOT_FAST_FORWARD: 7,   // NotFastForwardError
+  CORRUPT: 8             // fsck found errors
+};
+
+const EXIT_CODE_BY_ERROR = {
+  InvalidArgumentError: EXIT_CODES.USAGE,
+  NotFoundError: EXIT_CODES.NOT_FOUND,
+  AlreadyExistsError: EXIT_CODES.ALREADY_EXISTS,
+  ConcurrencyError: EXIT_CODES.CONCURRENCY,
+  MergeConflictError: EXIT_CODES.MERGE_CONFLICT,
+  NotFastForwardError: EXIT_CODES.NOT_FAST_FORWARD
+};
+
+const GLOBAL_USAGE = `Usage: bare-git [--repo <path>] [--json] <command> [<args>]
+
+Commands:
+  init [path]                         Create a bare repository with an initial commit
+  branch list|create|delete           Manage branches
+  branch restore|reset                Undo a branch delete or move (from the reflog)
+  file ls|read|add|rm|mv              Read and write files on a branch
+  apply <ref> <manifest|->            Apply a changeset as one commit
+  import <ref> <dir>                  Commit a local directory as the content of a branch or folder
+  merge <source> <dest>               Merge a branch, tag or commit into a branch
+  cherry-pick <dest> <commit>...      Apply commits or ranges from elsewhere onto a branch
+  revert <dest> <commit>...           Undo commits on a branch with new commits
+  log [ref]                           Show commit history
+  reflog [ref]                        Show where a ref has pointed (also for deleted branches)
+  diff <from> [to]                    Compare two commits
+  blame <ref> <path>                  Show who last changed each line
+  grep <pattern> [ref...]             Search file contents at refs or on every branch
+  tag list|create|delete              Manage tags
+  archive <ref> <file|->              Write a .tar, .tar.gz or .zip of a ref
+  export <ref> <dir>                  Write the files of a ref into a directory
+  gc                                  Pack objects and refs, prune unreachable objects
+  fsck                                Check the integrity of the repository
+  serve                               Serve the repos in a directory over HTTP (REST and git clone/push)
+
+Global options:
+  --repo <path>   Repository to work on (default: $BARE_GIT_DIR, else the current directory)
+  --json          Print one JSON document on stdout, for success and errors alike
+  --help          Show help (also: bare-git help <command>)
+
+Run 'bare-git <command> --help' for the options of a command.
+Arguments after '--' are never read as options, e.g. bare-git file add main a.txt -- -x`;
+
+// --- HELPER: Check the number of positional arguments ---
+function expectArgs(positional, min, max, usage) {
+  if (positional.length < min || positional.length > max) {
+    throw new InvalidArgumentError(`Wrong number of arguments.\nUsage: ${usage}`);
+  }
+}
+
+// --- HELPER: Print a commit result from writeFiles ---
+function printCommit(result) {
+  for (const line of result.changes) console.log(line);
+  console.log(`${result.ref} ${result.parent ? result.parent.slice(0, 7) : '(root)'} -> ${result.commit.slice(0, 7)}`);
+}
+
+const FILE_WRITE_FLAGS = { value: [...COMMIT_FLAGS, 'expect'] };
+
+// Every command: { usage, flags, run(repo, positional, options) -> result, print(result, options) }
+// Commands with subcommands list them under `subcommands`. An optional
+// exitCode(result) lets a command fail after printing its result.
+const COMMANDS = {
+  init: {
+    usage: `bare-git init [path] [--default-branch <name>] ${COMMIT_USAGE}`,
+    flags: { value: ['default-branch', ...COMMIT_FLAGS] },
+    repoFromArgs: true,
+    async run(repo, positional, options) {
+      expectArgs(positional, 0, 1, this.usage);
+      const result = await repo.init({ defaultBranch: options['default-branch'] || 'main', ...commitOptions(options) });
+      return { gitdir: repo.gitdir, ...result };
+    },
+    print(result) {
+      console.log(`Initialized bare repository at ${result.gitdir} (initial commit ${result.commit.slice(0, 7)})`);
+    }
+  },
+
+  branch: {
+    subcommands: {
+      list: {
+        usage: 'bare-git branch list',
+        async run(repo, positional) {
+          expectArgs(positional, 0, 0, this.usage);
+          return await repo.listBranches();
+        },
+        print(branches) {
+          for (const { name, oid } of branches) {
+            console.log(`${name.padEnd(15)} ${oid.slice(0, 7)}`);
+          }
+        }
+      },
+      create: {
+        usage: 'bare-git branch create <name> [source]',
+        async run(repo, positional) {
+          expectArgs(positional, 1, 2, this.usage);
+          return await repo.createBranch(positional[0], positional[1] || 'HEAD');
+        },
+        print(result) {
+          console.log(`Created branch '${result.ref}' at ${result.oid.slice(0, 7)}`);
+        }
+      },
+      delete: {
+        usage: 'bare-git branch delete <name>',
+        async run(repo, positional) {
+          expectArgs(positional, 1, 1, this.usage);
+          const oid = await repo.deleteBranch(positional[0]);
+          return { name: positional[0], oid };
+        },
+        print(result) {
+          console.log(`Deleted branch '${result.name}' (was ${result.oid.slice(0, 7)})`);
+        }
+      },
+      restore: {
+        usage: 'bare-git branch restore <name>',
+        async run(repo, positional) {
+          expectArgs(positional, 1, 1, this.usage);
+          return await repo.restoreBranch(positional[0]);
+        },
+        print(result) {
+          console.log(`Restored branch '${result.ref}' at ${result.oid.slice(0, 7)}`);
+        }
+      },
+      reset: {
+        usage: 'bare-git branch reset <name> <target> [--expect <sha>]   (target e.g. main@{1})',
+        flags: { value: ['expect'] },
+        async run(repo, positional, options) {
+          expectArgs(positional, 2, 2, this.usage);
+          return await repo.resetBranch(positional[0], positional[1], {
+            ...(options.expect !== undefined ? { expectedParent: options.expect } : {})
+          });
+        },
+        print(result) {
+          console.log(`Reset '${result.ref}' from ${result.oldOid.slice(0, 7)} to ${result.oid.slice(0, 7)}`);
+        }
+      }
+    }
+  },
+
+  file: {
+    subcommands: {
+      ls: {
+        usage: 'bare-git file ls [ref] [folder] [-r | --tree] [--max-depth N] [--include <glob>]... [--exclude <glob>]... [--long]',
+        flags: { boolean: ['r', 'recursive', 'tree', 'long'], value: ['max-depth'], list: ['include', 'exclude'] },
+        async run(repo, positional, options) {
+          expectArgs(positional, 0, 2, this.usage);
+          return await repo.listFiles(positional[0] || 'HEAD', positional[1] || '', {
+            recursive: !!(options.r || options.recursive || options.tree),
+            maxDepth: intOption(options, 'max-depth'),
+            include: options.include,
+            exclude: options.exclude,
+            long: !!options.long
+          });
+        },
+        print(result, options) {
+          if (result.type !== 'tree') {
+            console.log(`${result.type} ${result.oid}${result.size !== undefined ? ` ${result.size}` : ''}`);
+            return;
+          }
+          for (const entry of result.entries) {
+            const size = options.long ? ` ${String(entry.size !== undefined ? entry.size : '-').padStart(8)}` : '';
+            console.log(`${entry.mode} ${entry.type.padEnd(4)} ${entry.oid.slice(0, 7)}${size}  ${listingName(entry, options.tree)}`);
+          }
+        }
+      },
+      read: {
+        usage: 'bare-git file read <ref> <path>',
+        async run(repo, positional) {
+          expectArgs(positional, 2, 2, this.usage);
+          const file = await repo.readFile(positional[0], positional[1]);
+          return {
+            oid: file.oid,
+            mode: file.mode,
+            binary: file.binary,
+            size: file.content.length,
+            encoding: file.binary ? 'base64' : 'utf8',
+            content: file.content.toString(file.binary ? 'base64' : 'utf8'),
+            raw: file.content
+          };
+        },
+        json(result) {
+          const { raw, ...rest } = result;
+          return rest;
+        },
+        print(result) {
+          // Raw bytes, exactly as stored
+          process.stdout.write(result.raw);
+        }
+      },
+      add: {
+        usage: `bare-git file add <ref> <path> (<content> | - | --file <local-path>) [--mode 100644|100755|120000] ${COMMIT_USAGE} [--expect <parent-sha>]
+Content that starts with '-' goes after '--': bare-git file add <ref> <path> -- "-x"`,
+        flags: { value: [...FILE_WRITE_FLAGS.value, ...CONTENT_FLAGS] },
+        async run(repo, positional, options) {
+          expectArgs(positional, 2, 3, this.usage);
+          const content = readContent(positional[2], options);
+          return await repo.addFile(positional[0], positional[1], content, {
+            ...(options.mode !== undefined ? { mode: options.mode } : {}),
+            ...writeOptions(options)
+          });
+        },
+        print: printCommit
+      },
+      rm: {
+        usage: `bare-git file rm <ref> <path> ${COMMIT_USAGE} [--expect <parent-sha>]`,
+        flags: FILE_WRITE_FLAGS,
+        async run(repo, positional, options) {
+          expectArgs(positional, 2, 2, this.usage);
+          return await repo.removeFile(positional[0], positional[1], writeOptions(options));
+        },
+        print: printCommit
+      },
+      mv: {
+        usage: `bare-git file mv <ref> <from> <to> [--force] ${COMMIT_USAGE} [--expect <parent-sha>]`,
+        flags: { ...FILE_WRITE_FLAGS, boolean: ['force'] },
+        async run(repo, positional, options) {
+          expectArgs(positional, 3, 3, this.usage);
+          return await repo.moveFile(positional[0], positional[1], positional[2], {
+            force: !!options.force,
+            ...writeOptions(options)
+          });
+        },
+        print: printCommit
+      }
+    }
+  },
+
+  archive: {
+    usage: 'bare-git archive <ref> <output-file|-> [--format tar|tar.gz|zip] [--prefix <dir/>] [--path <folder>]',
+    flags: { value: ['format', 'prefix', 'path'] },
+    async run(repo, positional, options) {
+      expectArgs(positional, 2, 2, this.usage);
+      const [ref, output] = positional;
+      const format = archiveFormat(options.format, output === '-' ? '' : output);
+      const commit = await repo.resolve(ref);
+      const stream = output === '-' ? process.stdout : fs.createWriteStream(output);
+      try {
+        const result = await repo.archive(commit, stream, { format, prefix: options.prefix, folder: options.path });
+        return { ...result, output };
+      } catch (err) {
+        if (output !== '-') fs.rmSync(output, { force: true });
+        throw err;
+      }
+    },
+    print(result) {
+      // With "-" the archive itself is on stdout
+      const log = result.output === '-' ? console.error : console.log;
+      log(`Wrote ${result.format} of ${result.commit.slice(0, 7)}: ${result.entries} entries, ${result.bytes} bytes`);
+    }
+  },
+
+  export: {
+    usage: 'bare-git export <ref> <target-dir> [--path <folder>] [--force]',
+    flags: { boolean: ['force'], value: ['path'] },
+    async run(repo, positional, options) {
+      expectArgs(positional, 2, 2, this.usage);
+      return await repo.exportTree(positional[0], positional[1], { folder: options.path, force: !!options.force });
+    },
+    print(result) {
+      console.log(`Exported ${result.commit.slice(0, 7)} to ${result.dir}: ${result.files} files, ${result.symlinks} symlinks, ${result.directories} directories`);
+    }
+  },
+
+  apply: {
+    usage: `bare-git apply <ref> <manifest.json|manifest.yaml|-> ${COMMIT_USAGE} [--expect <parent-sha>]`,
+    flags: FILE_WRITE_FLAGS,
+    async run(repo, positional, options) {
+      expectArgs(positional, 2, 2, this.usage);
+      const source = positional[1];
+      const manifest = parseManifest(source === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(source, 'utf8'));
+      return await repo.writeFiles(positional[0], manifest.changes, {
+        message: manifest.message,
+        ...(manifest.parent ? { expectedParent: manifest.parent } : {}),
+        ...writeOptions(options)
+      });
+    },
+    print: printCommit
+  },
+
+  import: {
+    usage: `bare-git import <ref> <local-dir> [--path <folder>] [--exclude-from <file>] [--exclude <glob>]... ${COMMIT_USAGE} [--expect <parent-sha>]`,
+    flags: { value: [...FILE_WRITE_FLAGS.value, 'path', 'exclude-from'], list: ['exclude'] },
+    async run(repo, positional, options) {
+      expectArgs(positional, 2, 2, this.usage);
+      return await repo.importDirectory(positional[0], positional[1], {
+        folder: options.path || '',
+        excludeFrom: options['exclude-from'],
+        exclude: options.exclude,
+        ...writeOptions(options)
+      });
+    },
+    print(result) {
+      if (result.unchanged) {
+        console.log(`Nothing changed (${result.files} files); ${result.ref} stays at ${result.commit.slice(0, 7)}`);
+        return;
+      }
+      printCommit(result);
+    }
+  },
+
+  merge: {
+    usage: `bare-git merge <source> <dest> [--resolutions <json|@file>] [--ff | --ff-only | --no-ff] [--squash] [--strategy-option ours|theirs] [--conflict-markers] [--preview] ${COMMIT_USAGE} [--expect <dest-sha>]`,
+    flags: {
+      boolean: ['ff', 'ff-only', 'no-ff', 'squash', 'conflict-markers', 'preview', 'dry-run'],
+      value: ['resolutions', 'strategy-option', ...COMMIT_FLAGS, 'expect']
+    },
+    async run(repo, positional, options) {
+      expectArgs(positional, 2, 2, this.usage);
+      const ffModes = ['ff', 'ff-only', 'no-ff'].filter(f => options[f]);
+      if (ffModes.length > 1) {
+        throw new InvalidArgumentError("--ff, --ff-only and --no-ff are mutually exclusive.");
+      }
+      const mergeOptions = {
+        resolutions: options.resolutions ? jsonArgument(options.resolutions, 'resolutions') : {},
+        ff: ffModes[0] || 'ff',
+        squash: !!options.squash,
+        strategyOption: options['strategy-option'] || null,
+        conflictMarkers: !!options['conflict-markers'],
+        ...writeOptions(options)
+      };
+      if (options.preview || options['dry-run']) {
+        return { preview: true, ...await repo.previewMerge(positional[0], positional[1], mergeOptions) };
+      }
+      return await repo.merge(positional[0], positional[1], mergeOptions);
+    },
+    print(result) {
+      if (result.preview) {
+        console.log(`${result.clean ? 'Clean' : 'Conflicting'} merge of ${result.source.ref} into ${result.dest.ref}`);
+        for (const item of result.merged) console.log(`  ${item.status.padEnd(8)} ${item.path}`);
+        for (const conflict of result.conflicts) describeConflict(conflict).forEach(line => console.log(line));
+        return;
+      }
+      switch (result.status) {
+        case 'up-to-date':
+          console.log("Already up to date.");
+          break;
+        case 'fast-forward':
+          console.log(`Fast-forward ${result.dest.oid.slice(0, 7)}..${result.oid.slice(0, 7)}`);
+          break;
+        case 'no-changes':
+          console.log("Squash produced no changes. Nothing to commit.");
+          break;
+        default:
+          for (const conflict of result.conflicts) describeConflict(conflict).forEach(line => console.log(line));
+          if (result.conflicts.length > 0) {
+            console.log(`Committed with conflict markers in ${result.conflicts.length} file(s).`);
+          }
+          console.log(`${result.status === 'squashed' ? 'Squashed' : 'Merged'} into ${result.dest.ref}: ${result.oid.slice(0, 7)}`);
+      }
+    }
+  },
+
+  'cherry-pick': {
+    usage: `bare-git cherry-pick ${APPLY_COMMITS_USAGE}`,
+    flags: APPLY_COMMITS_FLAGS,
+    async run(repo, positional, options) {
+      expectArgs(positional, 2, Infinity, this.usage);
+      return await repo.cherryPick(positional.slice(1), positional[0], applyCommitsOptions(options));
+    },
+    print: printAppliedCommits
+  },
+
+  revert: {
+    usage: `bare-git revert ${APPLY_COMMITS_USAGE}`,
+    flags: APPLY_COMMITS_FLAGS,
+    async run(repo, positional, options) {
+      expectArgs(positional, 2, Infinity, this.usage);
+      return await repo.revert(positional.slice(1), positional[0], applyCommitsOptions(options));
+    },
+    print: printAppliedCommits
+  },
+
+  reflog: {
+    usage: 'bare-git reflog [ref] [--max-count N]',
+    flags: { value: ['max-count'] },
+    async run(repo, positional, options) {
+      expectArgs(positional, 0, 1, this.usage);
+      const result = await repo.reflog(positional[0] || 'HEAD');
+      const maxCount = intOption(options, 'max-count');
+      return maxCount === undefined ? result : { ...result, entries: result.entries.slice(0, maxCount) };
+    },
+    print: printReflog
+  },
+
+  log: {
+    usage: 'bare-git log [ref] [--max-count N] [--skip N] [--since DATE] [--until DATE] [--author PATTERN] [--path PATH] [--follow]',
+    flags: { boolean: ['follow'], value: ['max-count', 'skip', 'since', 'until', 'author', 'path'] },
+    async run(repo, positional, options) {
+      expectArgs(positional, 0, 1, this.usage);
+      return await repo.log(positional[0] || 'HEAD', {
+        maxCount: intOption(options, 'max-count'),
+        skip: intOption(options, 'skip'),
+        since: options.since,
+        until: options.until,
+        author: options.author,
+        path: options.path,
+        follow: !!options.follow
+      });
+    },
+    print(entries) {
+      for (const entry of entries) {
+        console.log(`commit ${entry.oid}`);
+        if (entry.parents.length > 1) {
+          console.log(`Merge:  ${entry.parents.map(p => p.slice(0, 7)).join(' ')}`);
+        }
+        console.log(`Author: ${entry.author.name} <${entry.author.email}>`);
+        console.log(`Date:   ${formatGitDate(entry.author.timestamp, entry.author.timezoneOffset)}`);
+        if (entry.renamedFrom) {
+          console.log(`Rename: ${entry.renamedFrom} -> ${entry.path}`);
+        }
+        console.log('');
+        for (const line of entry.message.replace(/\n+$/, '').split('\n')) {
+          console.log(`    ${line}`);
+        }
+        console.log('');
+      }
+    }
+  },
+
+  diff: {
+    usage: 'bare-git diff <from> [to] [--path <folder>] [--name-status] [--unified N] [--no-renames]',
+    flags: { boolean: ['name-status', 'no-renames'], value: ['path', 'unified'] },
+    async run(repo, positional, options) {
+      expectArgs(positional, 1, 2, this.usage);
+      return await repo.diff(positional[0], positional[1], {
+        path: options.path || '',
+        renames: !options['no-renames'],
+        patches: !options['name-status'],
+        context: intOption(options, 'unified') !== undefined ? intOption(options, 'unified') : 3
+      });
+    },
+    print(result) {
+      for (const change of result.changes) {
+        const name = change.status === 'R'
+          ? `R${String(change.similarity).padStart(3, '0')}\t${change.oldPath}\t${change.path}`
+          : `${change.status}\t${change.path}`;
+        console.log(name);
+      }
+      const patches = result.changes.filter(c => c.patch !== undefined);
+      if (patches.length === 0) return;
+      console.log('');
+      for (const change of patches) process.stdout.write(change.patch);
+    }
+  },
+
+  blame: {
+    usage: 'bare-git blame <ref> <path>',
+    async run(repo, positional) {
+      expectArgs(positional, 2, 2, this.usage);
+      return await repo.blame(positional[0], positional[1]);
+    },
+    print(rows) {
+      const authorWidth = Math.max(0, ...rows.map(r => r.author.length));
+      const lineWidth = String(rows.length).length;
+      for (const row of rows) {
+        console.log(`${row.commit.slice(0, 8)} (${row.author.padEnd(authorWidth)} ${row.date} ${String(row.line).padStart(lineWidth)}) ${row.content}`);
+      }
+    }
+  },
+
+  grep: {
+    usage: 'bare-git grep <pattern> [ref...] [--all-branches] [--path <folder|file>] [--include <glob>]... [--exclude <glob>]... [-F] [-i] [-C N | -A N | -B N] [-l]',
+    flags: {
+      boolean: ['all-branches', 'F', 'fixed-strings', 'i', 'ignore-case', 'l', 'files-with-matches'],
+      value: ['path', 'C', 'A', 'B'],
+      list: ['include', 'exclude']
+    },
+    async run(repo, positional, options) {
+      expectArgs(positional, 1, Infinity, this.usage);
+      const [pattern, ...refs] = positional;
+      if (options['all-branches'] && refs.length > 0) {
+        throw new InvalidArgumentError(`Pass refs or --all-branches, not both.\nUsage: ${this.usage}`);
+      }
+      const context = intOption(options, 'C') || 0;
+      return await repo.grep(pattern, {
+        refs,
+        allBranches: !!options['all-branches'],
+        path: options.path || '',
+        include: options.include,
+        exclude: options.exclude,
+        fixedStrings: !!(options.F || options['fixed-strings']),
+        ignoreCase: !!(options.i || options['ignore-case']),
+        before: intOption(options, 'B') !== undefined ? intOption(options, 'B') : context,
+        after: intOption(options, 'A') !== undefined ? intOption(options, 'A') : context
+      });
+    },
+    print(result, options) {
+      printGrep(result, { filesWithMatches: !!(options.l || options['files-with-matches']) });
+    }
+  },
+
+  tag: {
+    subcommands: {
+      list: {
+        usage: 'bare-git tag list',
+        async run(repo, positional) {
+          expectArgs(positional, 0, 0, this.usage);
+          return await repo.listTags();
+        },
+        print(tags) {
+          for (const t of tags) {
+            const target = (t.commit || t.oid).slice(0, 7);
+            const summary = t.message ? `  ${t.message.split('\n')[0]}` : '';
+            console.log(`${t.name.padEnd(15)} ${target} ${t.type.padEnd(11)}${summary}`);
+          }
+        }
+      },
+      create: {
+        usage: 'bare-git tag create <name> [target] [--message <msg>] [--tagger "Name <email>"] [--date <date>] [--force]',
+        flags: { boolean: ['force'], value: ['message', 'tagger', 'date'] },
+        async run(repo, positional, options) {
+          expectArgs(positional, 1, 2, this.usage);
+          return await repo.createTag(positional[0], positional[1] || 'HEAD', {
+            message: options.message,
+            tagger: options.tagger,
+            date: options.date,
+            force: !!options.force
+          });
+        },
+        print(tag) {
+          console.log(`Created ${tag.type} tag '${tag.name}' at ${tag.commit.slice(0, 7)}`);
+        }
+      },
+      delete: {
+        usage: 'bare-git tag delete <name>',
+        async run(repo, positional) {
+          expectArgs(positional, 1, 1, this.usage);
+          const oid = await repo.deleteTag(positional[0]);
+          return { name: positional[0], oid };
+        },
+        print(result) {
+          console.log(`Deleted tag '${result.name}' (was ${result.oid.slice(0, 7)})`);
+        }
+      }
+    }
+  },
+
+  gc: {
+    usage: 'bare-git gc [--dry-run] [--prune <date>|now|never]',
+    flags: { boolean: ['dry-run'], value: ['prune'] },
+    async run(repo, positional, options) {
+      expectArgs(positional, 0, 0, this.usage);
+      return await repo.gc({
+        dryRun: !!options['dry-run'],
+        ...(options.prune !== undefined ? { pruneExpire: options.prune } : {})
+      });
+    },
+    print: printGcReport
+  },
+
+  fsck: {
+    usage: 'bare-git fsck [--no-dangling]',
+    flags: { boolean: ['no-dangling'] },
+    async run(repo, positional, options) {
+      expectArgs(positional, 0, 0, this.usage);
+      return await repo.fsck({ dangling: !options['no-dangling'] });
+    },
+    print: printFsckReport,
+    exitCode: (report) => report.ok ? EXIT_CODES.OK : EXIT_CODES.CORRUPT
+  },
+
+  serve: {
+    usage: 'bare-git serve [--root <dir>] [--port 8080] [--host 127.0.0.1]',
+    flags: { value: ['root', 'port', 'host'] },
+    async run(repo, positional, options) {
+      expectArgs(positional, 0, 0, this.usage);
+      const port = options.port !== undefined ? intOption(options, 'port') : 8080;
+      const host = options.host || '127.0.0.1';
+      const root = path.resolve(options.root || '.');
+
+      const server = createServer({ root });
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+      });
+      // Keeps running until the process is stopped
+      return { url: `http://${host}:${server.address().port}`, root };
+    },
+    print(result) {
+      console.log(`Serving repos in ${result.root}`);
+      console.log(`  REST API:  ${result.url}/repos/<name>/...`);
+      console.log(`  Git:       git clone ${result.url}/<name>`);
+    }
+  }
+};
+
+// --- HELPER: Help text for a command (or a group of subcommands) ---
+function helpFor(command) {
+  if (command.subcommands) {
+    return Object.values(command.subcommands).map(sub => `Usage: ${sub.usage}`).join('\n');
+  }
+  return `Usage: ${command.usage}`;
+}
+
+// --- HELPER: Report a failure; returns the exit code ---
+function reportError(err, asJson) {
+  const exitCode = EXIT_CODE_BY_ERROR[err.code] || EXIT_CODES.ERROR;
+  if (asJson) {
+    console.log(JSON.stringify({
+      error: { code: err.code || 'Error', message: err.message, exitCode, data: err.data || {} }
+    }, null, 2));
+    return exitCode;
+  }
+  console.error("Error:", err.message);
+  if (err.code === 'MergeConflictError') {
+    for (const conflict of err.data.conflicts) describeConflict(conflict).forEach(line => console.error(line));
+  }
+  return exitCode;
+}
+
+// Runs the CLI with `argv` (without "node bare-git") and returns the exit code
+export async function run(argv) {
+  // --- STEP 1: Global options ---
+  // --repo/-C only count before the command name, so commands keep their own
+  // options (grep -C N). --json and --help may go anywhere.
+  let asJson = false;
+  let repoPath = process.env.BARE_GIT_DIR || '.';
+  let help = false;
+  let commandSeen = false;
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      // Everything after "--" is a positional argument, for the command to see
+      rest.push(...argv.slice(i));
+      break;
+    }
+    if (arg === '--json') asJson = true;
+    else if (arg === '--help' || arg === '-h') help = true;
+    else if (!commandSeen && (arg === '--repo' || arg === '-C')) repoPath = argv[++i];
+    else if (!commandSeen && arg.startsWith('--repo=')) repoPath = arg.slice('--repo='.length);
+    else {
+      if (!arg.startsWith('-')) commandSeen = true;
+      rest.push(arg);
+    }
+  }
+
+  try {
+    if (!repoPath) {
+      throw new InvalidArgumentError("--repo needs a value.");
+    }
+
+    // --- STEP 2: Find the command ---
+    let [name, ...args] = rest;
+    if (name === 'help') {
+      help = true;
+      [name, ...args] = args;
+    }
+    if (!name) {
+      (help ? console.log : console.error)(GLOBAL_USAGE);
+      return help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    let command = COMMANDS[name];
+    if (!command) {
+      throw new InvalidArgumentError(`Unknown command '${name}'. Run 'bare-git --help'.`);
+    }
+    if (command.subcommands) {
+      const sub = command.subcommands[args[0]];
+      if (!sub) {
+        if (help) {
+          console.log(helpFor(command));
+          return EXIT_CODES.OK;
+        }
+        throw new InvalidArgumentError(args[0]
+          ? `Unknown subcommand '${name} ${args[0]}'.\n${helpFor(command)}`
+          : `Missing subcommand.\n${helpFor(command)}`);
+      }
+      command = sub;
+      args = args.slice(1);
+    }
+
+    if (help) {
+      console.log(helpFor(command));
+      return EXIT_CODES.OK;
+    }
+
+    // --- STEP 3: Run it ---
+    const { options, positional } = parseFlags(args, command.flags);
+    const repo = new BareRepo(command.repoFromArgs && positional[0] ? positional[0] : repoPath);
+    const result = await command.run(repo, positional, options);
+
+    // --- STEP 4: Output ---
+    if (asJson) {
+      console.log(JSON.stringify(command.json ? command.json(result) : result, null, 2));
+    } else {
+      command.print(result, options);
+    }
+    return command.exitCode ? command.exitCode(result) : EXIT_CODES.OK;
+
+  } catch (err) {
+    return reportError(err, asJson);
+  }
+}
@@ -0,0 +1,292 @@
+// Line-based diff and three-way merge helpers.
+//
+// Lines keep their line endings, so joining the output reproduces the
+// original bytes exactly (including a missing newline at end of file).
+
+// Above this many edits we stop looking for a minimal diff and report the
+// remaining region as one changed block. Keeps memory bounded on huge files.
+const MAX_EDIT_DISTANCE = 4000;
+
+const MARKER_SIZE = 7;
+
+// --- HELPER: Split text into lines (keeping the "\n") ---
+export function splitLines(text) {
+  if (!text) return [];
+  return text.split(/(?<=\n)/);
+}
+
+// --- HELPER: Myers O(ND) diff ---
+// Returns the matched [aIndex, bIndex] pairs of the longest common subsequence,
+// in ascending order. `a` and `b` are arrays of comparable values.
+function myersMatches(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    if (d > MAX_EDIT_DISTANCE) return [];
+
+    // Snapshot the diagonals the backtrack will need for this step
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Walk the trace backwards, collecting the diagonal (matching) moves
+  const matches = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      matches.push([x - 1, y - 1]);
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      x = prevX;
+      y = prevY;
+    }
+  }
+
+  return matches.reverse();
+}
+
+// Computes the changed regions between two arrays of lines.
+// Returns hunks as { aStart, aEnd, bStart, bEnd } (0-based, end exclusive).
+// An empty a-range is a pure insertion, an empty b-range a pure deletion.
+export function diffLines(a, b) {
+  // Intern lines as numbers so the inner loop compares integers
+  const ids = new Map();
+  const intern = (line) => {
+    if (!ids.has(line)) ids.set(line, ids.size);
+    return ids.get(line);
+  };
+  const aIds = a.map(intern);
+  const bIds = b.map(intern);
+
+  // Common prefix / suffix never take part in the diff
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && aIds[prefix] === bIds[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    aIds[a.length - 1 - suffix] === bIds[b.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const aMid = aIds.slice(prefix, a.length - suffix);
+  const bMid = bIds.slice(prefix, b.length - suffix);
+  const matches = myersMatches(aMid, bMid);
+  matches.push([aMid.length, bMid.length]); // sentinel closes the last hunk
+
+  const hunks = [];
+  let i = 0;
+  let j = 0;
+  for (const [mi, mj] of matches) {
+    if (mi > i || mj > j) {
+      hunks.push({
+        aStart: prefix + i,
+        aEnd: prefix + mi,
+        bStart: prefix + j,
+        bEnd: prefix + mj
+      });
+    }
+    i = mi + 1;
+    j = mj + 1;
+  }
+
+  return hunks;
+}
+
+// Formats the differences between two arrays of lines as unified diff hunks
+// (the "@@ -1,3 +1,4 @@" part of a patch) with `context` lines around each change.
+// Returns the hunk text, or '' when the inputs are identical.
+export function unifiedDiff(a, b, context = 3) {
+  const hunks = diffLines(a, b);
+  if (hunks.length === 0) return '';
+
+  // Merge changes that are close enough to share context
+  const groups = [];
+  for (const hunk of hunks) {
+    const last = groups[groups.length - 1];
+    if (last && hunk.aStart - last[last.length - 1].aEnd <= 2 * context) {
+      last.push(hunk);
+    } else {
+      groups.push([hunk]);
+    }
+  }
+
+  const out = [];
+  const emit = (prefix, line) => {
+    out.push(`${prefix}${line.endsWith('\n') ? line : `${line}\n\\ No newline at end of file\n`}`);
+  };
+  // git prints "start,count", using the line before the hunk when count is 0
+  const range = (start, count) => `${count === 0 ? start : start + 1}${count === 1 ? '' : `,${count}`}`;
+
+  for (const group of groups) {
+    const first = group[0];
+    const last = group[group.length - 1];
+    const aFrom = Math.max(0, first.aStart - context);
+    const bFrom = Math.max(0, first.bStart - context);
+    const aTo = Math.min(a.length, last.aEnd + context);
+    const bTo = Math.min(b.length, last.bEnd + context);
+
+    out.push(`@@ -${range(aFrom, aTo - aFrom)} +${range(bFrom, bTo - bFrom)} @@\n`);
+
+    let pos = aFrom;
+    for (const hunk of group) {
+      for (const line of a.slice(pos, hunk.aStart)) emit(' ', line);
+      for (const line of a.slice(hunk.aStart, hunk.aEnd)) emit('-', line);
+      for (const line of b.slice(hunk.bStart, hunk.bEnd)) emit('+', line);
+      pos = hunk.aEnd;
+    }
+    for (const line of a.slice(pos, aTo)) emit(' ', line);
+  }
+
+  return out.join('');
+}
+
+// --- HELPER: Make sure a block ends with a newline before a marker ---
+function withTrailingNewline(lines) {
+  if (lines.length === 0) return lines;
+  const last = lines[lines.length - 1];
+  return last.endsWith('\n') ? lines : [...lines.slice(0, -1), `${last}\n`];
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+// Performs a line-based three-way merge of base/ours/theirs text.
+//
+// Changes that only one side made are taken as-is. Changes that both sides made
+// identically are taken once. Overlapping (or touching) changes that differ are
+// conflicts; they are reported with their 1-based line ranges in each version.
+//
+// Options:
+//   markers:  write diff3-style conflict markers into `text` (default: true)
+//   labels:   { ours, base, theirs } names printed after the markers
+//   favor:    'ours' | 'theirs' resolves every conflict by taking that side
+//
+// Returns { text, conflicts, clean }
+export function merge3(baseText, oursText, theirsText, options = {}) {
+  const { markers = true, labels = {}, favor = null } = options;
+  const oursLabel = labels.ours || 'ours';
+  const baseLabel = labels.base || 'base';
+  const theirsLabel = labels.theirs || 'theirs';
+
+  const base = splitLines(baseText);
+  const ours = splitLines(oursText);
+  const theirs = splitLines(theirsText);
+
+  // 1. Diff each side against the base and order all hunks by base position
+  const hunks = [
+    ...diffLines(base, ours).map(h => ({ ...h, side: 'ours' })),
+    ...diffLines(base, theirs).map(h => ({ ...h, side: 'theirs' }))
+  ].sort((x, y) => x.aStart - y.aStart || x.aEnd - y.aEnd);
+
+  // 2. Group hunks whose base ranges overlap or touch
+  const groups = [];
+  for (const hunk of hunks) {
+    const last = groups[groups.length - 1];
+    if (last && hunk.aStart <= last.end) {
+      last.end = Math.max(last.end, hunk.aEnd);
+      last.hunks.push(hunk);
+    } else {
+      groups.push({ start: hunk.aStart, end: hunk.aEnd, hunks: [hunk] });
+    }
+  }
+
+  // 3. Walk the base, copying stable regions and resolving each group
+  const output = [];
+  const conflicts = [];
+  const sideLines = { ours, theirs };
+  const delta = { ours: 0, theirs: 0 }; // line offset of each side vs. base
+  let basePos = 0;
+
+  // Maps a group's base range onto the lines one side has there
+  const sideRange = (group, side) => {
+    const own = group.hunks.filter(h => h.side === side);
+    if (own.length === 0) {
+      return [group.start + delta[side], group.end + delta[side]];
+    }
+    const first = own[0];
+    const last = own[own.length - 1];
+    delta[side] = last.bEnd - last.aEnd;
+    return [first.bStart - (first.aStart - group.start), last.bEnd + (group.end - last.aEnd)];
+  };
+
+  for (const group of groups) {
+    output.push(...base.slice(basePos, group.start));
+
+    const [oStart, oEnd] = sideRange(group, 'ours');
+    const [tStart, tEnd] = sideRange(group, 'theirs');
+    const oursChunk = sideLines.ours.slice(oStart, oEnd);
+    const theirsChunk = sideLines.theirs.slice(tStart, tEnd);
+    const sides = new Set(group.hunks.map(h => h.side));
+
+    if (!sides.has('theirs') || sameLines(oursChunk, theirsChunk)) {
+      output.push(...oursChunk);
+    } else if (!sides.has('ours')) {
+      output.push(...theirsChunk);
+    } else if (favor) {
+      output.push(...(favor === 'ours' ? oursChunk : theirsChunk));
+    } else {
+      const baseChunk = base.slice(group.start, group.end);
+      conflicts.push({
+        base: { start: group.start + 1, count: baseChunk.length },
+        ours: { start: oStart + 1, count: oursChunk.length },
+        theirs: { start: tStart + 1, count: theirsChunk.length }
+      });
+
+      if (markers) {
+        output.push(`${'<'.repeat(MARKER_SIZE)} ${oursLabel}\n`);
+        output.push(...withTrailingNewline(oursChunk));
+        output.push(`${'|'.repeat(MARKER_SIZE)} ${baseLabel}\n`);
+        output.push(...withTrailingNewline(baseChunk));
+        output.push(`${'='.repeat(MARKER_SIZE)}\n`);
+        output.push(...withTrailingNewline(theirsChunk));
+        output.push(`${'>'.repeat(MARKER_SIZE)} ${theirsLabel}\n`);
+      }
+    }
+
+    basePos = group.end;
+  }
+
+  output.push(...base.slice(basePos));
+
+  return { text: output.join(''), conflicts, clean: conflicts.length === 0 };
+}
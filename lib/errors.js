@@ -0,0 +1,32 @@
+// Typed errors thrown by the library.
+//
+// Every error carries a `code` equal to its class name (the same convention
+// isomorphic-git uses), so callers can branch on `err.code` or `instanceof`.
+// Extra details live in `err.data`.
+
+export class BareGitError extends Error {
+  constructor(message, data = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = this.constructor.name;
+    this.data = data;
+  }
+}
+
+// A ref, commit, path or tag does not exist
+export class NotFoundError extends BareGitError {}
+
+// A branch or tag (or file, for strict adds) already exists
+export class AlreadyExistsError extends BareGitError {}
+
+// Bad input: invalid path, unknown option, wrong object type...
+export class InvalidArgumentError extends BareGitError {}
+
+// A ref moved between reading it and updating it (compare-and-swap failed)
+export class ConcurrencyError extends BareGitError {}
+
+// A merge could not be completed automatically. `data.conflicts` lists them.
+export class MergeConflictError extends BareGitError {}
+
+// --ff-only was requested but the destination cannot be fast-forwarded
+export class NotFastForwardError extends BareGitError {}
@@ -0,0 +1,318 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import git from 'isomorphic-git';
+import zlib from 'zlib';
+import { listLooseObjects, listPacks, listAllRefs, listReflogOids } from './object-store.js';
+
+// Integrity check for a bare repo, like `git fsck`. Every object in the store
+// (loose or packed) is read, re-hashed and parsed; then history is walked from
+// every ref to make sure nothing reachable is missing or of the wrong type.
+//
+// Problems are reported as { kind, oid?, ref?, message }. `errors` mean the
+// repo is corrupt; `warnings` are oddities that git tolerates.
+
+// Tree entry modes git writes. 100664 (old git) and 040000 (zero-padded) are tolerated with a warning.
+const VALID_MODES = new Set(['100644', '100755', '120000', '40000', '160000']);
+const TOLERATED_MODES = new Set(['100664', '040000']);
+
+const IDENT = /^[^<>\n]* <[^<>\n]*> \d+ [+-]\d{4}$/;
+const OID = /^[0-9a-f]{40}$/;
+
+// --- HELPER: Expected object type for a tree entry mode ---
+function typeForMode(mode) {
+  if (mode === '40000' || mode === '040000') return 'tree';
+  if (mode === '160000') return 'commit';
+  return 'blob';
+}
+
+// --- HELPER: git's object id for a type and content ---
+function hashObject(type, content) {
+  return crypto.createHash('sha1')
+    .update(`${type} ${content.length}\0`)
+    .update(content)
+    .digest('hex');
+}
+
+// --- HELPER: Read a loose object straight from disk as { type, content } ---
+// Done by hand (not through isomorphic-git) so a bad header or a short body is caught.
+async function readLoose(file) {
+  const raw = zlib.inflateSync(await fs.promises.readFile(file));
+  const nul = raw.indexOf(0);
+  const match = nul === -1 ? null : /^(blob|tree|commit|tag) (\d+)$/.exec(raw.toString('latin1', 0, nul));
+  if (!match) throw new Error("bad object header");
+  const content = raw.subarray(nul + 1);
+  if (content.length !== Number(match[2])) {
+    throw new Error(`header says ${match[2]} bytes, object has ${content.length}`);
+  }
+  return { type: match[1], content };
+}
+
+// --- HELPER: Check a tree's entries; returns the objects it links to ---
+function checkTree(oid, content, problems) {
+  const links = [];
+  let offset = 0;
+  let previous = null;
+  const names = new Set();
+
+  while (offset < content.length) {
+    const space = content.indexOf(0x20, offset);
+    const nul = space === -1 ? -1 : content.indexOf(0, space);
+    if (space === -1 || nul === -1 || nul + 21 > content.length) {
+      problems.error('badTree', oid, "truncated tree entry");
+      return links;
+    }
+    const mode = content.toString('latin1', offset, space);
+    const nameBytes = content.subarray(space + 1, nul);
+    const name = nameBytes.toString('utf8');
+    const entryOid = content.toString('hex', nul + 1, nul + 21);
+    offset = nul + 21;
+
+    if (TOLERATED_MODES.has(mode)) {
+      problems.warning('oddFilemode', oid, `entry '${name}' has mode ${mode}`);
+    } else if (!VALID_MODES.has(mode)) {
+      problems.error('badFilemode', oid, `entry '${name}' has invalid mode ${mode}`);
+    }
+    if (name === '') problems.error('emptyName', oid, "entry with an empty name");
+    if (name.includes('/')) problems.error('fullPathname', oid, `entry '${name}' contains '/'`);
+    if (name === '.' || name === '..') problems.error('hasDot', oid, `entry named '${name}'`);
+    if (name.toLowerCase() === '.git') problems.error('hasDotgit', oid, `entry named '${name}'`);
+    if (names.has(name)) problems.error('duplicateEntries', oid, `duplicate entry '${name}'`);
+    names.add(name);
+
+    // git sorts entries by name, comparing trees as if their name ended in '/'
+    const type = typeForMode(mode);
+    const sortKey = type === 'tree' ? Buffer.concat([nameBytes, Buffer.from('/')]) : nameBytes;
+    if (previous && Buffer.compare(previous, sortKey) > 0) {
+      problems.error('treeNotSorted', oid, `entry '${name}' is out of order`);
+    }
+    previous = sortKey;
+
+    if (type !== 'commit') links.push({ oid: entryOid, type, via: name }); // Submodule commits live elsewhere
+  }
+  return links;
+}
+
+// --- HELPER: Split "key value" header lines of a commit or tag ---
+function headerLines(content) {
+  const text = content.toString('utf8');
+  const end = text.indexOf('\n\n');
+  return (end === -1 ? text : text.slice(0, end)).split('\n').filter(line => !line.startsWith(' '));
+}
+
+// --- HELPER: Check a commit's headers; returns the objects it links to ---
+function checkCommit(oid, content, problems) {
+  const lines = headerLines(content);
+  const links = [];
+  let i = 0;
+
+  const tree = /^tree (.*)$/.exec(lines[i] || '');
+  if (!tree || !OID.test(tree[1])) {
+    problems.error('badCommit', oid, "missing or invalid 'tree' line");
+  } else {
+    links.push({ oid: tree[1], type: 'tree', via: 'tree' });
+    i++;
+  }
+  for (let parent; (parent = /^parent (.*)$/.exec(lines[i] || '')); i++) {
+    if (!OID.test(parent[1])) problems.error('badCommit', oid, `invalid parent '${parent[1]}'`);
+    else links.push({ oid: parent[1], type: 'commit', via: 'parent' });
+  }
+  for (const role of ['author', 'committer']) {
+    const line = /^(\w+) (.*)$/.exec(lines[i] || '');
+    if (!line || line[1] !== role) {
+      problems.error('badCommit', oid, `missing '${role}' line`);
+      continue;
+    }
+    if (!IDENT.test(line[2])) problems.error('badCommit', oid, `invalid ${role} '${line[2]}'`);
+    i++;
+  }
+  return links;
+}
+
+// --- HELPER: Check an annotated tag's headers; returns the object it links to ---
+function checkTag(oid, content, problems) {
+  const headers = new Map(headerLines(content).map(line => {
+    const space = line.indexOf(' ');
+    return [line.slice(0, space), line.slice(space + 1)];
+  }));
+
+  const target = headers.get('object');
+  const type = headers.get('type');
+  if (!target || !OID.test(target)) {
+    problems.error('badTag', oid, "missing or invalid 'object' line");
+    return [];
+  }
+  if (!['blob', 'tree', 'commit', 'tag'].includes(type)) {
+    problems.error('badTag', oid, `invalid type '${type}'`);
+    return [];
+  }
+  if (!headers.get('tag')) problems.error('badTag', oid, "missing 'tag' line");
+  if (headers.has('tagger') && !IDENT.test(headers.get('tagger'))) {
+    problems.error('badTag', oid, `invalid tagger '${headers.get('tagger')}'`);
+  }
+  if (!headers.has('tagger')) problems.warning('missingTagger', oid, "tag has no tagger");
+  return [{ oid: target, type, via: 'object' }];
+}
+
+// --- HELPER: Check a pack's trailing checksum and that its index belongs to it ---
+async function checkPack(pack, problems) {
+  const data = await fs.promises.readFile(pack.packFile);
+  const index = await fs.promises.readFile(pack.indexFile);
+  const trailer = data.toString('hex', data.length - 20);
+  const computed = crypto.createHash('sha1').update(data.subarray(0, data.length - 20)).digest('hex');
+  if (computed !== trailer) {
+    problems.error('badPackChecksum', null, `${pack.name}: checksum ${trailer}, contents hash to ${computed}`);
+  }
+  if (index.toString('hex', index.length - 40, index.length - 20) !== trailer) {
+    problems.error('badPackIndex', null, `${pack.name}: index was built for a different pack`);
+  }
+}
+
+// Checks the repository and returns a report:
+//   { ok, counts: { objects, loose, packed, packs, refs, reachable, unreachable, dangling },
+//     errors, warnings, dangling: [{ oid, type }] }
+// `ok` is false if there are errors. Options:
+//   dangling - list dangling objects (default true): unreachable objects that no
+//              other unreachable object points to, e.g. leftovers of failed writes
+export async function checkRepo(gitdir, { dangling: listDangling = true } = {}) {
+  const errors = [];
+  const warnings = [];
+  const problems = {
+    error: (kind, oid, message, extra = {}) => errors.push({ kind, ...(oid ? { oid } : {}), ...extra, message }),
+    warning: (kind, oid, message, extra = {}) => warnings.push({ kind, ...(oid ? { oid } : {}), ...extra, message })
+  };
+
+  // --- STEP 1: Packfiles ---
+  const loose = await listLooseObjects(gitdir);
+  let packs = [];
+  try {
+    packs = await listPacks(gitdir);
+  } catch (e) {
+    problems.error('badPackIndex', null, e.message);
+  }
+  for (const pack of packs) {
+    await checkPack(pack, problems);
+  }
+
+  // --- STEP 2: Read, hash and parse every object ---
+  // objects: oid -> { type, links }; corrupt objects are left out
+  const objects = new Map();
+  const corrupt = new Set();
+  const cache = {};
+
+  async function checkObject(oid, read) {
+    let type, content;
+    try {
+      ({ type, content } = await read());
+    } catch (e) {
+      problems.error('corruptObject', oid, `cannot read object: ${e.message}`);
+      corrupt.add(oid);
+      return;
+    }
+    const computed = hashObject(type, content);
+    if (computed !== oid) {
+      problems.error('hashMismatch', oid, `${type} hashes to ${computed}`);
+      corrupt.add(oid);
+      return;
+    }
+
+    let links = [];
+    if (type === 'tree') links = checkTree(oid, content, problems);
+    else if (type === 'commit') links = checkCommit(oid, content, problems);
+    else if (type === 'tag') links = checkTag(oid, content, problems);
+    objects.set(oid, { type, links });
+  }
+
+  for (const object of loose) {
+    await checkObject(object.oid, () => readLoose(object.file));
+  }
+  let packed = 0;
+  for (const pack of packs) {
+    for (const oid of pack.oids) {
+      if (objects.has(oid)) continue;
+      packed++;
+      await checkObject(oid, async () => {
+        const { type, object } = await git.readObject({ fs, gitdir, oid, format: 'content', cache });
+        return { type, content: Buffer.from(object) };
+      });
+    }
+  }
+  // --- STEP 3: Refs ---
+  const refs = await listAllRefs(gitdir);
+  for (const { ref, oid } of refs) {
+    const object = objects.get(oid);
+    if (!object) {
+      const kind = corrupt.has(oid) ? 'corruptObject' : 'missingObject';
+      problems.error(kind, oid, `ref ${ref} points to a ${corrupt.has(oid) ? 'corrupt' : 'missing'} object`, { ref });
+    } else if (ref.startsWith('refs/heads/') && object.type !== 'commit') {
+      problems.error('badRefTarget', oid, `branch ${ref} points to a ${object.type}`, { ref });
+    }
+  }
+  try {
+    await git.resolveRef({ fs, gitdir, ref: 'HEAD' });
+  } catch (e) {
+    problems.warning('unbornHead', null, "HEAD points to a branch that does not exist", { ref: 'HEAD' });
+  }
+
+  // --- STEP 4: Connectivity ---
+  // Everything reachable from a ref must exist and have the type its parent expects.
+  // Reflog entries count as roots too, but a missing one is only a warning.
+  const reachable = new Set();
+  const stack = refs.map(r => r.oid);
+  const walk = (reportMissing) => {
+    while (stack.length > 0) {
+      const oid = stack.pop();
+      if (reachable.has(oid)) continue;
+      const object = objects.get(oid);
+      if (!object) continue;
+      reachable.add(oid);
+      for (const link of object.links) {
+        const target = objects.get(link.oid);
+        if (!target) {
+          if (reportMissing && !corrupt.has(link.oid)) {
+            problems.error('missingObject', link.oid, `${object.type} ${oid} (${link.via}) points to a missing ${link.type}`, { from: oid });
+          }
+          continue;
+        }
+        if (target.type !== link.type) {
+          problems.error('badType', link.oid, `${object.type} ${oid} (${link.via}) expects a ${link.type}, found a ${target.type}`, { from: oid });
+        }
+        stack.push(link.oid);
+      }
+    }
+  };
+  walk(true);
+
+  for (const oid of await listReflogOids(gitdir)) {
+    if (objects.has(oid)) stack.push(oid);
+    else if (!corrupt.has(oid)) problems.warning('missingReflogObject', oid, "reflog entry points to a missing object");
+  }
+  walk(false);
+
+  // --- STEP 5: Dangling objects ---
+  const unreachable = [...objects.keys()].filter(oid => !reachable.has(oid));
+  const referenced = new Set();
+  for (const oid of unreachable) {
+    for (const link of objects.get(oid).links) referenced.add(link.oid);
+  }
+  const danglingObjects = unreachable
+    .filter(oid => !referenced.has(oid))
+    .map(oid => ({ oid, type: objects.get(oid).type }))
+    .sort((a, b) => a.type.localeCompare(b.type) || a.oid.localeCompare(b.oid));
+
+  return {
+    ok: errors.length === 0,
+    counts: {
+      objects: loose.length + packed,
+      loose: loose.length,
+      packed,
+      packs: packs.length,
+      refs: refs.length,
+      reachable: reachable.size,
+      unreachable: unreachable.length,
+      dangling: danglingObjects.length
+    },
+    errors,
+    warnings,
+    ...(listDangling ? { dangling: danglingObjects } : {})
+  };
+}
@@ -0,0 +1,257 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import path from 'path';
+import zlib from 'zlib';
+import {
+  listLooseObjects, listPacks, readLooseRefs, listAllRefs, listReflogOids, collectObjects
+} from './object-store.js';
+import { withPackedRefs, withRefLock } from './refs.js';
+import { parseDate } from './history.js';
+import { BareGitError, InvalidArgumentError } from './errors.js';
+
+// Garbage collection without a git binary, like `git gc`:
+//   1. find every object reachable from a ref or a reflog entry
+//   2. repack all reachable objects into a single pack (with its .idx)
+//   3. delete the old packs and the loose objects that are now packed
+//   4. prune unreachable loose objects older than the grace period; younger
+//      ones stay loose, since a writer may be about to point a ref at them
+//   5. move loose refs into packed-refs
+// Unreachable objects from old packs that are younger than the grace period
+// are written back out as loose objects instead of being dropped.
+
+// Same grace period as git's gc.pruneExpire
+export const DEFAULT_PRUNE_EXPIRE = '2 weeks ago';
+
+// --- HELPER: Turn --prune's value into a cutoff time in ms ---
+// Unreachable objects modified before the cutoff are pruned.
+function pruneCutoff(value) {
+  if (value === 'now') return Infinity;
+  if (value === 'never') return -Infinity;
+  try {
+    return parseDate(value) * 1000;
+  } catch (e) {
+    throw new InvalidArgumentError(`Invalid prune date '${value}'. Use a date, "2 weeks ago", 'now' or 'never'.`, { value });
+  }
+}
+
+// --- HELPER: Object counts and sizes for the report ---
+function summarize(loose, packs) {
+  const looseBytes = loose.reduce((sum, o) => sum + o.size, 0);
+  const packBytes = packs.reduce((sum, p) => sum + p.size, 0);
+  return {
+    looseObjects: loose.length,
+    looseBytes,
+    packs: packs.length,
+    packedObjects: packs.reduce((sum, p) => sum + p.oids.length, 0),
+    packBytes,
+    totalBytes: looseBytes + packBytes
+  };
+}
+
+// --- HELPER: Size of a version 2 .idx for `count` objects (packs under 2 GB) ---
+function indexSize(count) {
+  return 8 + 256 * 4 + count * (20 + 4 + 4) + 20 + 20;
+}
+
+// --- HELPER: Remove empty fan-out folders under objects/ ---
+async function removeEmptyObjectDirs(gitdir) {
+  const objectsDir = path.join(gitdir, 'objects');
+  for (const dir of await fs.promises.readdir(objectsDir)) {
+    if (!/^[0-9a-f]{2}$/.test(dir)) continue;
+    const full = path.join(objectsDir, dir);
+    if ((await fs.promises.readdir(full)).length === 0) await fs.promises.rmdir(full);
+  }
+}
+
+// --- HELPER: Remove empty folders below refs/heads, refs/tags, ... (not those folders themselves) ---
+async function removeEmptyRefDirs(dir, depth = 0) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    return;
+  }
+  for (const entry of entries) {
+    if (entry.isDirectory()) await removeEmptyRefDirs(path.join(dir, entry.name), depth + 1);
+  }
+  if (depth >= 2 && (await fs.promises.readdir(dir)).length === 0) await fs.promises.rmdir(dir);
+}
+
+// --- HELPER: Follow annotated tags to the object they finally point at ---
+async function peel(gitdir, oid, cache) {
+  let current = oid;
+  for (;;) {
+    const { type, object } = await git.readObject({ fs, gitdir, oid: current, format: 'parsed', cache });
+    if (type !== 'tag') return current === oid ? null : current;
+    current = object.object;
+  }
+}
+
+// Moves every loose ref into packed-refs, holding packed-refs.lock throughout.
+// A loose ref is only deleted under its own lock and if it still holds the
+// value that was packed, so a concurrent update is never lost.
+// Returns the number of refs packed.
+async function packRefs(gitdir, cache) {
+  return await withPackedRefs(gitdir, async (packed, writePacked) => {
+    const loose = await readLooseRefs(gitdir);
+    if (loose.size === 0) return 0;
+
+    for (const [ref, oid] of loose) {
+      packed.set(ref, { oid, peeled: await peel(gitdir, oid, cache) });
+    }
+    await writePacked(packed);
+
+    for (const [ref, oid] of loose) {
+      try {
+        await withRefLock(gitdir, ref, async () => {
+          const file = path.join(gitdir, ref);
+          if ((await fs.promises.readFile(file, 'utf8')).trim() === oid) await fs.promises.unlink(file);
+        });
+      } catch (e) {
+        // Locked or changed meanwhile: the loose ref stays, and wins over packed-refs
+      }
+    }
+    await removeEmptyRefDirs(path.join(gitdir, 'refs'));
+    return loose.size;
+  });
+}
+
+// Runs a full garbage collection. Options:
+//   dryRun      - work out and report everything, but change nothing
+//   pruneExpire - prune unreachable objects older than this: a date, "2 weeks ago",
+//                 'now' or 'never' (default: DEFAULT_PRUNE_EXPIRE)
+//   log         - progress callback
+// Returns a report: { dryRun, before, after, reachable, pack, packedObjects,
+// pruned, prunedBytes, keptUnreachable, refsPacked, bytesSaved }, where
+// before/after hold { looseObjects, looseBytes, packs, packedObjects, packBytes, totalBytes }.
+export async function runGc(gitdir, { dryRun = false, pruneExpire = DEFAULT_PRUNE_EXPIRE, log = () => {} } = {}) {
+  const cutoff = pruneCutoff(pruneExpire);
+  const cache = {};
+
+  // --- STEP 1: Inventory ---
+  const loose = await listLooseObjects(gitdir);
+  const packs = await listPacks(gitdir);
+  const before = summarize(loose, packs);
+  const looseOids = new Set(loose.map(o => o.oid));
+  const packedOids = new Set(packs.flatMap(p => p.oids));
+  log(`Found ${before.looseObjects} loose object(s) and ${before.packs} pack(s) (${before.packedObjects} object(s))`);
+
+  // --- STEP 2: Reachability ---
+  // Refs must be intact; reflogs may name objects that were pruned long ago.
+  const refs = await listAllRefs(gitdir);
+  const missing = [];
+  const reachable = await collectObjects(gitdir, refs.map(r => r.oid), { cache, onMissing: oid => missing.push(oid) });
+  for (const oid of reachable) {
+    if (!looseOids.has(oid) && !packedOids.has(oid)) missing.push(oid);
+  }
+  if (missing.length > 0) {
+    throw new BareGitError(
+      `Repository is missing ${missing.length} reachable object(s), e.g. ${missing[0]}. Run fsck; gc refuses to repack a broken repository.`,
+      { missing }
+    );
+  }
+  const fromReflogs = await collectObjects(gitdir, await listReflogOids(gitdir), { exclude: reachable, cache, onMissing: () => {} });
+  for (const oid of fromReflogs) {
+    if (looseOids.has(oid) || packedOids.has(oid)) reachable.add(oid);
+  }
+  log(`Reachable objects: ${reachable.size}`);
+
+  // --- STEP 3: Plan ---
+  const unreachableLoose = loose.filter(o => !reachable.has(o.oid));
+  const prunable = unreachableLoose.filter(o => o.mtimeMs < cutoff);
+  const keptLoose = unreachableLoose.filter(o => o.mtimeMs >= cutoff);
+
+  // Unreachable objects that only live in a pack: dropped with the pack, unless the pack is recent
+  const explode = new Set();
+  for (const pack of packs) {
+    if (pack.mtimeMs < cutoff) continue;
+    for (const oid of pack.oids) {
+      if (!reachable.has(oid) && !looseOids.has(oid)) explode.add(oid);
+    }
+  }
+  const droppedFromPacks = [...packedOids].filter(oid => !reachable.has(oid) && !looseOids.has(oid) && !explode.has(oid));
+
+  const needsRepack = loose.some(o => reachable.has(o.oid)) || packs.length > 1 ||
+    (packs.length === 1 && packs[0].oids.length !== reachable.size);
+
+  // --- STEP 4: Build the new pack (in memory; needed for its size even in a dry run) ---
+  let newPack = null;
+  if (needsRepack && reachable.size > 0) {
+    log(`Packing ${reachable.size} object(s)...`);
+    const { filename, packfile } = await git.packObjects({ fs, gitdir, oids: [...reachable].sort(), cache });
+    newPack = { filename, packfile };
+  }
+
+  // --- STEP 5: Apply ---
+  if (!dryRun) {
+    // Rescue recent unreachable objects from the packs that are about to go
+    for (const oid of explode) {
+      const { type, object } = await git.readObject({ fs, gitdir, oid, format: 'content', cache });
+      await git.writeObject({ fs, gitdir, type, object, format: 'content' });
+    }
+
+    if (newPack) {
+      const relativePath = path.join('objects', 'pack', newPack.filename);
+      const packPath = path.join(gitdir, relativePath);
+      await fs.promises.writeFile(packPath, newPack.packfile);
+      await git.indexPack({ fs, dir: gitdir, gitdir, filepath: relativePath });
+      log(`Wrote ${relativePath}`);
+
+      // The new pack is complete, so the old packs and the packed loose objects can go
+      for (const pack of packs) {
+        if (pack.packFile === packPath) continue;
+        await fs.promises.unlink(pack.packFile);
+        await fs.promises.unlink(pack.indexFile);
+      }
+      for (const object of loose) {
+        if (reachable.has(object.oid)) await fs.promises.unlink(object.file);
+      }
+    } else if (reachable.size === 0) {
+      for (const pack of packs) {
+        await fs.promises.unlink(pack.packFile);
+        await fs.promises.unlink(pack.indexFile);
+      }
+    }
+
+    for (const object of prunable) {
+      await fs.promises.unlink(object.file);
+    }
+    await removeEmptyObjectDirs(gitdir);
+  }
+
+  // --- STEP 6: Pack refs ---
+  const refsPacked = dryRun ? (await readLooseRefs(gitdir)).size : await packRefs(gitdir, cache);
+
+  // --- STEP 7: Report ---
+  let after;
+  if (dryRun) {
+    const explodedBytes = [];
+    for (const oid of explode) {
+      const { type, object } = await git.readObject({ fs, gitdir, oid, format: 'content', cache });
+      const raw = Buffer.concat([Buffer.from(`${type} ${object.length}\0`), Buffer.from(object)]);
+      explodedBytes.push(zlib.deflateSync(raw).length);
+    }
+    const afterLoose = keptLoose.map(o => o.size).concat(explodedBytes);
+    const afterPacks = newPack
+      ? [{ size: newPack.packfile.length + indexSize(reachable.size), oids: [...reachable] }]
+      : (reachable.size === 0 ? [] : packs);
+    after = summarize(afterLoose.map(size => ({ size })), afterPacks);
+  } else {
+    after = summarize(await listLooseObjects(gitdir), await listPacks(gitdir));
+  }
+
+  return {
+    dryRun,
+    pruneExpire,
+    before,
+    after,
+    reachable: reachable.size,
+    pack: newPack ? newPack.filename : null,
+    packedObjects: newPack ? reachable.size : 0,
+    pruned: prunable.length + droppedFromPacks.length,
+    prunedBytes: prunable.reduce((sum, o) => sum + o.size, 0),
+    keptUnreachable: keptLoose.length + explode.size,
+    refsPacked,
+    bytesSaved: before.totalBytes - after.totalBytes
+  };
+}
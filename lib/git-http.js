@@ -0,0 +1,286 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import path from 'path';
+import { readRef, updateRef, deleteRef } from './refs.js';
+import { collectObjects } from './object-store.js';
+import { ZERO_OID } from './reflog.js';
+import { readBody } from './http-body.js';
+
+// Git smart HTTP (protocol v0/v1, stateless RPC) over a directory of bare repos,
+// so stock clients can `git clone http://host:port/<repo>` and push back:
+//
+//   GET  /<repo>/info/refs?service=git-upload-pack|git-receive-pack   ref advertisement
+//   POST /<repo>/git-upload-pack                                       fetch / clone
+//   POST /<repo>/git-receive-pack                                      push
+//
+// Packs are built with git.packObjects (no deltas) and received packs are
+// indexed with git.indexPack. Clients asking for protocol v2 fall back to v0
+// because the advertisement does not announce it. Request bodies are capped,
+// after un-gzipping too, like the REST API's (see http-body.js).
+
+const AGENT = 'agent=bare-git/1.0';
+
+const UPLOAD_CAPABILITIES = ['side-band-64k', 'no-progress', AGENT];
+// no-thin: received packs must be self-contained, since indexPack cannot complete thin packs
+const RECEIVE_CAPABILITIES = ['report-status', 'delete-refs', 'ofs-delta', 'no-thin', AGENT];
+
+// --- HELPER: pkt-line encoding ---
+function pktLine(data) {
+  const body = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  return Buffer.concat([Buffer.from((body.length + 4).toString(16).padStart(4, '0')), body]);
+}
+
+const FLUSH = Buffer.from('0000');
+
+// --- HELPER: Split a buffer into pkt-lines ---
+// Returns { lines, rest } where a flush packet is the string 'flush' and `rest`
+// is whatever follows the last parsed packet when `stopAtFlush` is reached
+// (the packfile, for receive-pack).
+function readPktLines(buffer, stopAfterFlushes = Infinity) {
+  const lines = [];
+  let offset = 0;
+  let flushes = 0;
+  while (offset + 4 <= buffer.length && flushes < stopAfterFlushes) {
+    const length = parseInt(buffer.subarray(offset, offset + 4).toString('ascii'), 16);
+    if (Number.isNaN(length)) throw new Error('Malformed pkt-line.');
+    if (length === 0) {
+      lines.push('flush');
+      flushes++;
+      offset += 4;
+      continue;
+    }
+    if (length < 4) { // delim (0001) and response-end (0002) only occur in v2
+      offset += 4;
+      continue;
+    }
+    lines.push(buffer.subarray(offset + 4, offset + length).toString('utf8').replace(/\n$/, ''));
+    offset += length;
+  }
+  return { lines, rest: buffer.subarray(offset) };
+}
+
+// --- HELPER: Every branch and tag, plus where HEAD points ---
+// Annotated tags are followed by their peeled "^{}" entry, as git does.
+async function listAdvertisedRefs(gitdir) {
+  const refs = [];
+  for (const name of await git.listBranches({ fs, gitdir })) {
+    refs.push({ ref: `refs/heads/${name}`, oid: await git.resolveRef({ fs, gitdir, ref: `refs/heads/${name}` }) });
+  }
+  for (const name of await git.listTags({ fs, gitdir })) {
+    const ref = `refs/tags/${name}`;
+    const oid = await git.resolveRef({ fs, gitdir, ref });
+    refs.push({ ref, oid });
+    let peeled = oid;
+    let object = await git.readObject({ fs, gitdir, oid: peeled, format: 'parsed' });
+    while (object.type === 'tag') {
+      peeled = object.object.object;
+      object = await git.readObject({ fs, gitdir, oid: peeled, format: 'parsed' });
+    }
+    if (peeled !== oid) refs.push({ ref: `${ref}^{}`, oid: peeled });
+  }
+
+  let head = null;
+  try {
+    head = await git.resolveRef({ fs, gitdir, ref: 'HEAD', depth: 2 });
+  } catch (e) {
+    // Unborn HEAD
+  }
+  return { refs, head };
+}
+
+// --- HELPER: Does the object exist in this repo? ---
+async function hasObject(gitdir, oid, cache) {
+  try {
+    await git.readObject({ fs, gitdir, oid, format: 'content', cache });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// GET /info/refs: the ref advertisement for either service
+async function advertiseRefs(gitdir, service, res) {
+  const { refs, head } = await listAdvertisedRefs(gitdir);
+  const capabilities = service === 'git-upload-pack'
+    ? [...UPLOAD_CAPABILITIES, ...(head ? [`symref=HEAD:${head}`] : [])]
+    : RECEIVE_CAPABILITIES;
+
+  const advertised = [];
+  if (service === 'git-upload-pack' && head) {
+    const headOid = await readRef(gitdir, head);
+    if (headOid) advertised.push({ ref: 'HEAD', oid: headOid });
+  }
+  advertised.push(...refs);
+
+  const lines = [pktLine(`# service=${service}\n`), FLUSH];
+  if (advertised.length === 0) {
+    // Empty repo: advertise the capabilities on a dummy ref, as git does
+    lines.push(pktLine(`${ZERO_OID} capabilities^{}\0${capabilities.join(' ')}\n`));
+  } else {
+    advertised.forEach(({ ref, oid }, i) => {
+      lines.push(pktLine(i === 0 ? `${oid} ${ref}\0${capabilities.join(' ')}\n` : `${oid} ${ref}\n`));
+    });
+  }
+  lines.push(FLUSH);
+
+  res.writeHead(200, {
+    'Content-Type': `application/x-${service}-advertisement`,
+    'Cache-Control': 'no-cache'
+  });
+  res.end(Buffer.concat(lines));
+}
+
+// POST /git-upload-pack: negotiate, then send a pack with what the client lacks
+async function uploadPack(gitdir, body, res) {
+  const { lines } = readPktLines(body);
+  const wants = [];
+  const haves = [];
+  let capabilities = [];
+  let done = false;
+
+  for (const line of lines) {
+    if (line.startsWith('want ')) {
+      const [, oid, ...caps] = line.split(' ');
+      wants.push(oid);
+      if (wants.length === 1) capabilities = caps;
+    } else if (line.startsWith('have ')) {
+      haves.push(line.split(' ')[1]);
+    } else if (line === 'done') {
+      done = true;
+    }
+  }
+
+  const cache = {};
+  const common = [];
+  for (const oid of haves) {
+    if (await hasObject(gitdir, oid, cache)) common.push(oid);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'application/x-git-upload-pack-result',
+    'Cache-Control': 'no-cache'
+  });
+
+  // Without multi_ack, the first common object is ACKed and the client then
+  // sends "done"; until then every round is answered with NAK.
+  if (!done) {
+    res.end(common.length > 0 ? pktLine(`ACK ${common[0]}\n`) : pktLine('NAK\n'));
+    return;
+  }
+  const acknowledgement = common.length > 0 ? pktLine(`ACK ${common[0]}\n`) : pktLine('NAK\n');
+
+  // --- Build the pack: everything reachable from the wants, minus what the client has ---
+  const exclude = await collectObjects(gitdir, common, { cache });
+  const oids = [...await collectObjects(gitdir, wants, { exclude, cache })];
+  const { packfile } = await git.packObjects({ fs, gitdir, oids });
+
+  if (!capabilities.includes('side-band-64k') && !capabilities.includes('side-band')) {
+    res.end(Buffer.concat([acknowledgement, Buffer.from(packfile)]));
+    return;
+  }
+
+  // Side-band: pack data on channel 1, in chunks that fit a pkt-line
+  const chunkSize = capabilities.includes('side-band-64k') ? 65515 : 995;
+  const out = [acknowledgement];
+  for (let offset = 0; offset < packfile.length; offset += chunkSize) {
+    out.push(pktLine(Buffer.concat([Buffer.from([1]), Buffer.from(packfile.subarray(offset, offset + chunkSize))])));
+  }
+  out.push(FLUSH);
+  res.end(Buffer.concat(out));
+}
+
+// POST /git-receive-pack: store the pushed pack, then apply each ref update
+// with a compare-and-swap against the old value the client saw
+async function receivePack(gitdir, body, res) {
+  const { lines, rest: packfile } = readPktLines(body, 1);
+  const commands = [];
+  for (const line of lines) {
+    if (line === 'flush') break;
+    const [command] = line.split('\0');
+    const [oldOid, newOid, ref] = command.split(' ');
+    commands.push({ oldOid, newOid, ref });
+  }
+
+  // --- STEP 1: Store and index the pack (absent when only deleting refs) ---
+  let unpackStatus = 'ok';
+  if (packfile.length > 0) {
+    const filename = `pack-${Buffer.from(packfile.subarray(-20)).toString('hex')}.pack`;
+    const relativePath = path.join('objects', 'pack', filename);
+    try {
+      await fs.promises.mkdir(path.join(gitdir, 'objects', 'pack'), { recursive: true });
+      await fs.promises.writeFile(path.join(gitdir, relativePath), packfile);
+      await git.indexPack({ fs, dir: gitdir, gitdir, filepath: relativePath });
+    } catch (e) {
+      await fs.promises.rm(path.join(gitdir, relativePath), { force: true });
+      unpackStatus = `error ${e.message}`.replace(/\n/g, ' ');
+    }
+  }
+
+  // --- STEP 2: Update the refs ---
+  const cache = {};
+  const report = [pktLine(`unpack ${unpackStatus}\n`)];
+  for (const { oldOid, newOid, ref } of commands) {
+    let error = null;
+    try {
+      if (unpackStatus !== 'ok') {
+        error = 'unpacker error';
+      } else if (!/^refs\//.test(ref) || ref.includes('..')) {
+        error = 'invalid ref name';
+      } else if (newOid === ZERO_OID) {
+        await deleteRef(gitdir, ref, oldOid, { message: 'push: deleted' });
+      } else if (!await hasObject(gitdir, newOid, cache)) {
+        error = 'missing object';
+      } else {
+        await updateRef(gitdir, ref, newOid, oldOid === ZERO_OID ? null : oldOid, { message: 'push' });
+      }
+    } catch (e) {
+      error = e.code === 'ConcurrencyError' ? 'failed to lock (ref changed)' : e.message.replace(/\n/g, ' ');
+    }
+    report.push(pktLine(error ? `ng ${ref} ${error}\n` : `ok ${ref}\n`));
+  }
+  report.push(FLUSH);
+
+  res.writeHead(200, {
+    'Content-Type': 'application/x-git-receive-pack-result',
+    'Cache-Control': 'no-cache'
+  });
+  res.end(Buffer.concat(report));
+}
+
+// Handles a smart HTTP request for a repo under `root`.
+// Returns false if the URL is not a git route, so other handlers can try it.
+export async function handleGitRequest(root, req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const match = /^\/([A-Za-z0-9._-]+)\/(info\/refs|git-upload-pack|git-receive-pack)$/.exec(url.pathname);
+  if (!match || match[1] === '.' || match[1] === '..') return false;
+
+  const [, name, endpoint] = match;
+  const gitdir = path.join(root, name);
+  if (!fs.existsSync(path.join(gitdir, 'HEAD'))) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end(`Repository '${name}' not found.\n`);
+    return true;
+  }
+
+  if (endpoint === 'info/refs' && req.method === 'GET') {
+    const service = url.searchParams.get('service');
+    if (service !== 'git-upload-pack' && service !== 'git-receive-pack') {
+      // Only the smart protocol is supported
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.end("Dumb HTTP is not supported. Use a git client that speaks smart HTTP.\n");
+      return true;
+    }
+    await advertiseRefs(gitdir, service, res);
+    return true;
+  }
+
+  if (req.method === 'POST' && endpoint === 'git-upload-pack') {
+    await uploadPack(gitdir, await readBody(req, { gunzip: true }), res);
+    return true;
+  }
+  if (req.method === 'POST' && endpoint === 'git-receive-pack') {
+    await receivePack(gitdir, await readBody(req, { gunzip: true }), res);
+    return true;
+  }
+  return false;
+}
@@ -0,0 +1,106 @@
+// Glob patterns for repo paths, with the same meaning as in .gitignore:
+//   *        anything except '/'
+//   ?        one character except '/'
+//   [a-z]    a character class ([!a-z] negates it)
+//   **       any number of folders: "docs/**", "**/test/*.js", "a/**/b"
+// A pattern without a '/' matches the last segment at any depth ("*.md" matches
+// "docs/intro.md"); one with a '/' is anchored at the start of the path
+// ("src/*.js" does not match "lib/src/a.js"). A leading '/' only anchors.
+
+// --- HELPER: Escape a character for use in a RegExp ---
+function escapeChar(char) {
+  return /[\\^$.*+?()[\]{}|/]/.test(char) ? `\\${char}` : char;
+}
+
+// Compiles a glob pattern into a RegExp matched against a whole path
+export function globToRegExp(pattern) {
+  let glob = pattern.replace(/\/+$/, '');
+  const anchored = glob.includes('/');
+  glob = glob.replace(/^\/+/, '');
+
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const atStart = i === 0 || glob[i - 1] === '/';
+      const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+      if (atStart && atEnd) {
+        if (i + 2 === glob.length) {
+          source += '.*';         // "docs/**": everything below
+        } else {
+          source += '(?:.*/)?';   // "**/x" and "a/**/b": zero or more folders
+          i++;                    // Skip the '/' as well
+        }
+        i++;
+        continue;
+      }
+      source += '[^/]*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      let body = glob.slice(i + 1, end);
+      const negated = body[0] === '!' || body[0] === '^';
+      if (negated) body = body.slice(1);
+      source += `[${negated ? '^' : ''}${body.replace(/[\\\]]/g, '\\$&')}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += escapeChar(glob[++i]);
+    } else {
+      source += escapeChar(char);
+    }
+  }
+
+  return new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`);
+}
+
+// Returns a function telling whether a path matches any of `patterns`.
+// With no patterns it matches nothing.
+export function createMatcher(patterns = []) {
+  const regexps = patterns.map(globToRegExp);
+  return filePath => regexps.some(re => re.test(filePath));
+}
+
+// --- HELPER: True if the path, or one of the folders above it, matches ---
+// Matching a folder covers everything inside it, as in .gitignore.
+export function matchesPathOrParent(matcher, filePath) {
+  const parts = filePath.split('/');
+  for (let i = 1; i <= parts.length; i++) {
+    if (matcher(parts.slice(0, i).join('/'))) return true;
+  }
+  return false;
+}
+
+// Parses .gitignore-style rules into ignored(path, isDirectory). Supported:
+// blank lines and '#' comments, '!' to re-include, a trailing '/' for folders
+// only, and the patterns above. The last matching rule wins. As in git, the
+// caller should not look inside an ignored folder at all.
+export function parseIgnoreRules(text) {
+  const rules = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (line === '' || line.startsWith('#')) continue;
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+    if (line === '' || line === '/') continue;
+    rules.push({ negate, directoryOnly: line.endsWith('/'), regex: globToRegExp(line) });
+  }
+
+  return (filePath, isDirectory = false) => {
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.regex.test(filePath)) ignored = !rule.negate;
+    }
+    return ignored;
+  };
+}
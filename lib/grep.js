@@ -0,0 +1,138 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import { resolveCommit } from './refs.js';
+import { resolveTreeSha, walkTree } from './tree-walk.js';
+import { createMatcher, matchesPathOrParent } from './glob.js';
+import { isBinary } from './blob.js';
+import { InvalidArgumentError, NotFoundError } from './errors.js';
+
+// Searches file contents at one or more refs without a checkout, like `git grep`.
+// Each blob is searched once, however many refs or paths share it.
+
+// --- HELPER: Compile the search pattern ---
+function compilePattern(pattern, { fixedStrings, ignoreCase }) {
+  if (typeof pattern !== 'string' || pattern === '') {
+    throw new InvalidArgumentError("A search pattern is required.");
+  }
+  const source = fixedStrings ? pattern.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&') : pattern;
+  try {
+    return new RegExp(source, ignoreCase ? 'i' : '');
+  } catch (e) {
+    throw new InvalidArgumentError(`Invalid regular expression '${pattern}': ${e.message}`, { pattern });
+  }
+}
+
+// --- HELPER: Matching lines of a text, with `before`/`after` lines of context ---
+// Returns [{ line, text, match }] in order (line numbers start at 1), or [] without a match.
+function grepText(text, regex, before, after) {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+
+  const matched = [];
+  lines.forEach((line, i) => {
+    if (regex.test(line)) matched.push(i);
+  });
+  if (matched.length === 0) return [];
+
+  const shown = new Map();
+  for (const i of matched) {
+    for (let j = Math.max(0, i - before); j <= Math.min(lines.length - 1, i + after); j++) {
+      if (!shown.has(j)) shown.set(j, false);
+    }
+    shown.set(i, true);
+  }
+  return [...shown.keys()].sort((a, b) => a - b).map(i => ({
+    line: i + 1,
+    text: lines[i].replace(/\r$/, ''),
+    match: shown.get(i)
+  }));
+}
+
+// --- HELPER: Every branch, as full ref names ---
+async function branchRefs(gitdir) {
+  const branches = await git.listBranches({ fs, gitdir });
+  return branches.sort().map(name => `refs/heads/${name}`);
+}
+
+// Searches `refs` for `pattern`. Options:
+//   refs          - branches, tags, SHAs or "main~2"-style specs (default ['HEAD'])
+//   allBranches   - search every branch instead
+//   path          - only search this folder or file
+//   include       - glob patterns (see glob.js) matched against the full path
+//   exclude       - glob patterns for files and folders to skip
+//   fixedStrings  - treat `pattern` as plain text instead of a regular expression
+//   ignoreCase    - case-insensitive matching
+//   before, after - lines of context around each match
+// Binary files (see blob.js) are skipped. Returns
+// { pattern, refs: [{ ref, oid }], files: [{ ref, path, oid, lines: [{ line, text, match }] }], matches, binarySkipped }.
+export async function grepRefs(gitdir, pattern, options = {}) {
+  const {
+    allBranches = false, path: scope = '', include = [], exclude = [],
+    fixedStrings = false, ignoreCase = false, before = 0, after = 0
+  } = options;
+  const regex = compilePattern(pattern, { fixedStrings, ignoreCase });
+  const includeMatcher = createMatcher(include);
+  const included = filePath => include.length === 0 || matchesPathOrParent(includeMatcher, filePath);
+  const excluded = createMatcher(exclude);
+  const cache = {};
+
+  // --- STEP 1: Resolve the refs ---
+  const specs = allBranches ? await branchRefs(gitdir) : (options.refs && options.refs.length ? options.refs : ['HEAD']);
+  const refs = [];
+  for (const ref of specs) {
+    refs.push({ ref, oid: await resolveCommit(gitdir, ref) });
+  }
+
+  // --- STEP 2: Search every file once per ref, every blob once overall ---
+  const byBlob = new Map(); // blob oid -> matching lines ([] = no match, null = binary)
+  const binary = new Set();
+  const files = [];
+  let matches = 0;
+
+  for (const { ref, oid } of refs) {
+    const { commit } = await git.readCommit({ fs, gitdir, oid, cache });
+    const prefix = scope.replace(/^\/+|\/+$/g, '');
+    let target;
+    try {
+      target = await resolveTreeSha(gitdir, commit.tree, prefix);
+    } catch (e) {
+      // When searching several refs, the path only has to exist on some of them
+      if (e instanceof NotFoundError && refs.length > 1) continue;
+      throw e;
+    }
+
+    const candidates = [];
+    if (target.type === 'blob') {
+      candidates.push({ path: prefix, oid: target.sha });
+    } else if (target.type === 'tree') {
+      const walk = walkTree(gitdir, target.sha, {
+        skip: entry => excluded(prefix ? `${prefix}/${entry.path}` : entry.path),
+        cache
+      });
+      for await (const entry of walk) {
+        if (entry.type !== 'blob') continue;
+        candidates.push({ path: prefix ? `${prefix}/${entry.path}` : entry.path, oid: entry.oid });
+      }
+    }
+
+    for (const { path, oid: blobOid } of candidates) {
+      if (!included(path)) continue;
+      if (!byBlob.has(blobOid)) {
+        const { blob } = await git.readBlob({ fs, gitdir, oid: blobOid, cache });
+        const content = Buffer.from(blob);
+        byBlob.set(blobOid, isBinary(content) ? null : grepText(content.toString('utf8'), regex, before, after));
+      }
+      const lines = byBlob.get(blobOid);
+      if (lines === null) {
+        binary.add(blobOid);
+        continue;
+      }
+      if (lines.length === 0) continue;
+
+      files.push({ ref, path, oid: blobOid, lines });
+      matches += lines.filter(l => l.match).length;
+    }
+  }
+
+  return { pattern, refs, files, matches, binarySkipped: binary.size };
+}
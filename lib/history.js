@@ -0,0 +1,183 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import { resolveCommit } from './refs.js';
+import { entryAtPath, diffTrees, detectRenames } from './tree-diff.js';
+import { formatZone } from './signature.js';
+import { InvalidArgumentError } from './errors.js';
+
+// Walks commit history from one or more starting commits, newest committer
+// date first (git's default order), visiting each commit once.
+// Yields { oid, commit } as returned by readCommit.
+export async function* walkCommits(gitdir, startOids) {
+  const seen = new Set();
+  const queue = [];
+
+  const enqueue = async (oid) => {
+    if (seen.has(oid)) return;
+    seen.add(oid);
+    const { commit } = await git.readCommit({ fs, gitdir, oid });
+    queue.push({ oid, commit });
+  };
+
+  for (const oid of startOids) await enqueue(oid);
+
+  while (queue.length > 0) {
+    queue.sort((a, b) => b.commit.committer.timestamp - a.commit.committer.timestamp);
+    const next = queue.shift();
+    yield next;
+    for (const parent of next.commit.parent) await enqueue(parent);
+  }
+}
+
+// --- HELPER: Format a git timestamp like `git log` does ---
+// e.g. "Mon Oct 19 14:03:11 2026 +0200", in the author's own timezone.
+// (isomorphic-git stores timezoneOffset like Date#getTimezoneOffset: minutes, sign inverted)
+export function formatGitDate(timestamp, timezoneOffset = 0) {
+  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const local = new Date((timestamp - timezoneOffset * 60) * 1000);
+  const time = local.toISOString().slice(11, 19);
+  return `${days[local.getUTCDay()]} ${months[local.getUTCMonth()]} ${local.getUTCDate()} ${time} ${local.getUTCFullYear()} ${formatZone(timezoneOffset, '')}`;
+}
+
+// --- HELPER: ISO 8601 date in the author's own timezone ---
+export function formatIsoDate(timestamp, timezoneOffset = 0) {
+  const local = new Date((timestamp - timezoneOffset * 60) * 1000).toISOString().slice(0, 19);
+  return `${local}${formatZone(timezoneOffset, ':')}`;
+}
+
+// --- HELPER: Parse --since / --until values ---
+// Accepts anything Date.parse understands ("2024-05-01", ISO timestamps), unix
+// seconds, or relative dates like "2 weeks ago". Returns unix seconds.
+export function parseDate(value) {
+  const units = {
+    second: 1, minute: 60, hour: 3600, day: 86400, week: 604800, month: 2592000, year: 31536000
+  };
+  const relative = /^(\d+)\s*(second|minute|hour|day|week|month|year)s?\s+ago$/i.exec(value.trim());
+  if (relative) {
+    return Math.floor(Date.now() / 1000) - Number(relative[1]) * units[relative[2].toLowerCase()];
+  }
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new InvalidArgumentError(`Invalid date '${value}'.`);
+  return Math.floor(ms / 1000);
+}
+
+// --- HELPER: Does this commit change the entry at `filePath`? ---
+// Like git's default history simplification, a merge only counts if the path
+// differs from every parent. With `follow`, also reports where the file was
+// renamed from when this commit created it.
+async function touchesPath(gitdir, commit, filePath, follow) {
+  const entry = await entryAtPath(gitdir, commit.tree, filePath);
+  const same = (a, b) => (!a && !b) || (a && b && a.oid === b.oid && a.mode === b.mode);
+
+  if (commit.parent.length === 0) {
+    return { touched: !!entry, renamedFrom: null };
+  }
+
+  const parentTrees = [];
+  for (const parentSha of commit.parent) {
+    const { commit: parent } = await git.readCommit({ fs, gitdir, oid: parentSha });
+    parentTrees.push(parent.tree);
+  }
+
+  const parentEntries = await Promise.all(parentTrees.map(tree => entryAtPath(gitdir, tree, filePath)));
+  const touched = parentEntries.every(parentEntry => !same(entry, parentEntry));
+
+  let renamedFrom = null;
+  if (touched && follow && entry && !parentEntries[0]) {
+    const changes = await detectRenames(gitdir, await diffTrees(gitdir, parentTrees[0], commit.tree));
+    const rename = changes.find(c => c.status === 'R' && c.path === filePath);
+    if (rename) renamedFrom = rename.oldPath;
+  }
+
+  return { touched, renamedFrom };
+}
+
+// Lists the history of `ref`, newest first. Options:
+//   maxCount, skip - paging
+//   since, until   - committer date bounds (anything parseDate accepts)
+//   author         - regex matched against "Name <email>" (case-insensitive)
+//   path           - only commits that change this path
+//   follow         - keep following `path` across renames
+// Returns [{ oid, parents, author, committer, message, path?, renamedFrom? }].
+export async function readLog(gitdir, ref = 'HEAD', options = {}) {
+  // --- STEP 1: Validate Options ---
+  const maxCount = options.maxCount !== undefined ? Number(options.maxCount) : Infinity;
+  const skip = options.skip !== undefined ? Number(options.skip) : 0;
+  if (!(maxCount >= 0) || !Number.isInteger(skip) || skip < 0) {
+    throw new InvalidArgumentError("maxCount and skip must be non-negative integers.");
+  }
+
+  const since = options.since ? parseDate(options.since) : null;
+  const until = options.until ? parseDate(options.until) : null;
+  let authorPattern = null;
+  if (options.author) {
+    try {
+      authorPattern = new RegExp(options.author, 'i');
+    } catch (e) {
+      throw new InvalidArgumentError(`Invalid regular expression '${options.author}': ${e.message}`, { pattern: options.author });
+    }
+  }
+
+  let currentPath = options.path ? options.path.replace(/^\/+|\/+$/g, '') : null;
+  if (options.follow && !currentPath) {
+    throw new InvalidArgumentError("follow requires a path.");
+  }
+
+  // --- STEP 2: Resolve the Starting Commit ---
+  const startSha = await resolveCommit(gitdir, ref);
+
+  // --- STEP 3: Walk History and Filter ---
+  const results = [];
+  let skipped = 0;
+
+  for await (const { oid, commit } of walkCommits(gitdir, [startSha])) {
+    if (results.length >= maxCount) break;
+
+    // Commits come newest first, so nothing after this can match `since`
+    if (since !== null && commit.committer.timestamp < since) break;
+
+    // Path filtering runs before the other filters so renames are followed
+    // even through commits that are not shown
+    let shownPath = null;
+    let renamedFrom = null;
+    if (currentPath) {
+      const touch = await touchesPath(gitdir, commit, currentPath, options.follow);
+      if (touch.renamedFrom) {
+        renamedFrom = touch.renamedFrom;
+      }
+      if (!touch.touched) continue;
+      shownPath = currentPath;
+      if (renamedFrom) currentPath = renamedFrom;
+    }
+
+    if (until !== null && commit.committer.timestamp > until) continue;
+    if (authorPattern && !authorPattern.test(`${commit.author.name} <${commit.author.email}>`)) continue;
+
+    if (skipped < skip) {
+      skipped++;
+      continue;
+    }
+
+    const person = (p) => ({
+      name: p.name,
+      email: p.email,
+      timestamp: p.timestamp,
+      timezoneOffset: p.timezoneOffset,
+      date: formatIsoDate(p.timestamp, p.timezoneOffset)
+    });
+    results.push({
+      oid,
+      parents: commit.parent,
+      author: person(commit.author),
+      committer: person(commit.committer),
+      message: commit.message,
+      ...(shownPath ? { path: shownPath } : {}),
+      ...(renamedFrom ? { renamedFrom } : {})
+    });
+  }
+
+  return results;
+}
@@ -0,0 +1,51 @@
+import zlib from 'zlib';
+import { InvalidArgumentError } from './errors.js';
+
+// Request bodies for the REST API and for git smart HTTP. Both are buffered in
+// memory, so both are held to the same limit, before and after un-gzipping.
+
+export const MAX_BODY_BYTES = 64 * 1024 * 1024;
+
+// A request body over MAX_BODY_BYTES. Only the server throws it; the
+// connection is closed after the 413 response, as the rest is never read.
+export class BodyTooLargeError extends InvalidArgumentError {}
+
+function tooLarge() {
+  return new BodyTooLargeError(`Request body is larger than ${MAX_BODY_BYTES} bytes.`, { limit: MAX_BODY_BYTES });
+}
+
+// --- HELPER: Read the whole request body ---
+// With `gunzip`, a body sent with "Content-Encoding: gzip" is un-gzipped.
+export function readBody(req, { gunzip = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop reading; the error handler answers and then closes the connection
+        req.off('data', onData);
+        req.pause();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      if (!gunzip || req.headers['content-encoding'] !== 'gzip') {
+        resolve(body);
+        return;
+      }
+      try {
+        resolve(zlib.gunzipSync(body, { maxOutputLength: MAX_BODY_BYTES }));
+      } catch (e) {
+        reject(e.code === 'ERR_BUFFER_TOO_LARGE'
+          ? tooLarge()
+          : new InvalidArgumentError(`Request body is not valid gzip: ${e.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
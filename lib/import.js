@@ -0,0 +1,137 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import path from 'path';
+import { walkTree } from './tree-walk.js';
+import { parseIgnoreRules } from './glob.js';
+import { InvalidArgumentError } from './errors.js';
+
+// Builds a git tree from a directory on disk, like `git add -A` in a fresh
+// checkout would:
+//   - ignored paths (a .gitignore-style exclude file) and .git folders are skipped
+//   - files with the owner's x bit become 100755, symlinks 120000 (target as content)
+//   - empty folders disappear, as git cannot store them
+// Blobs and trees that the previous tree already has are not written again, so
+// re-importing a mostly unchanged directory costs little more than hashing it.
+
+// --- HELPER: Load the exclude rules: the given file, else <dir>/.gitignore, plus extra globs ---
+export async function loadIgnoreRules(dir, { excludeFrom, exclude = [] } = {}) {
+  let text = '';
+  const file = excludeFrom || path.join(dir, '.gitignore');
+  try {
+    text = await fs.promises.readFile(file, 'utf8');
+  } catch (e) {
+    if (excludeFrom) {
+      throw new InvalidArgumentError(`Cannot read exclude file '${excludeFrom}': ${e.message}`, { file: excludeFrom });
+    }
+  }
+  return parseIgnoreRules([text, ...exclude].join('\n'));
+}
+
+// --- HELPER: Every file below a tree as a Map of path -> { mode, oid } ---
+async function flattenTree(gitdir, treeSha, cache) {
+  const files = new Map();
+  if (!treeSha) return files;
+  for await (const entry of walkTree(gitdir, treeSha, { cache })) {
+    if (entry.type !== 'tree') files.set(entry.path, { mode: entry.mode, oid: entry.oid });
+  }
+  return files;
+}
+
+// Snapshots `dir` into tree objects. `previousTree` is the tree being replaced
+// (or null); `ignored(path, isDirectory)` says what to leave out.
+// Returns { tree (null if nothing was imported), changes, files, blobsWritten },
+// where `changes` holds one status line per added ("A"), modified ("M") or
+// deleted ("D") file, compared with `previousTree`.
+export async function snapshotDirectory(gitdir, dir, { previousTree = null, ignored = () => false } = {}) {
+  const root = path.resolve(dir);
+  let stat;
+  try {
+    stat = await fs.promises.stat(root);
+  } catch (e) {
+    throw new InvalidArgumentError(`Directory '${dir}' does not exist.`, { path: dir });
+  }
+  if (!stat.isDirectory()) {
+    throw new InvalidArgumentError(`'${dir}' is not a directory.`, { path: dir });
+  }
+
+  const cache = {};
+  const before = await flattenTree(gitdir, previousTree, cache);
+  const knownBlobs = new Set([...before.values()].map(e => e.oid));
+  const after = new Map();
+  let blobsWritten = 0;
+
+  // --- HELPER: Store a blob unless the previous tree already has it ---
+  async function storeBlob(content) {
+    const { oid } = await git.hashBlob({ object: content });
+    if (!knownBlobs.has(oid)) {
+      await git.writeBlob({ fs, gitdir, blob: content });
+      knownBlobs.add(oid);
+      blobsWritten++;
+    }
+    return oid;
+  }
+
+  // Returns the tree SHA for one folder, or null if nothing in it is kept
+  async function importFolder(absolute, relative, previousSha) {
+    const entries = [];
+    const names = (await fs.promises.readdir(absolute)).sort();
+
+    let previousEntries = new Map();
+    if (previousSha) {
+      const { tree } = await git.readTree({ fs, gitdir, oid: previousSha, cache });
+      previousEntries = new Map(tree.map(e => [e.path, e]));
+    }
+
+    for (const name of names) {
+      if (name === '.git') continue;
+      const filePath = relative ? `${relative}/${name}` : name;
+      const full = path.join(absolute, name);
+      const info = await fs.promises.lstat(full);
+
+      if (info.isDirectory()) {
+        if (ignored(filePath, true)) continue;
+        const previous = previousEntries.get(name);
+        const oid = await importFolder(full, filePath, previous && previous.type === 'tree' ? previous.oid : null);
+        if (oid) entries.push({ mode: '040000', path: name, oid, type: 'tree' });
+      } else if (info.isSymbolicLink()) {
+        if (ignored(filePath, false)) continue;
+        const oid = await storeBlob(Buffer.from(await fs.promises.readlink(full)));
+        entries.push({ mode: '120000', path: name, oid, type: 'blob' });
+        after.set(filePath, { mode: '120000', oid });
+      } else if (info.isFile()) {
+        if (ignored(filePath, false)) continue;
+        const mode = info.mode & 0o100 ? '100755' : '100644';
+        const oid = await storeBlob(await fs.promises.readFile(full));
+        entries.push({ mode, path: name, oid, type: 'blob' });
+        after.set(filePath, { mode, oid });
+      }
+      // Sockets, FIFOs and devices cannot be stored and are skipped
+    }
+
+    if (entries.length === 0) return null;
+
+    // Unchanged folder: keep the existing tree instead of writing it again
+    const same = previousSha && entries.length === previousEntries.size && entries.every(e => {
+      const previous = previousEntries.get(e.path);
+      return previous && previous.oid === e.oid && previous.mode === e.mode;
+    });
+    if (same) return previousSha;
+    return await git.writeTree({ fs, gitdir, tree: entries });
+  }
+
+  const tree = await importFolder(root, '', previousTree);
+
+  // --- Compare with the previous tree ---
+  const changes = [];
+  for (const [filePath, entry] of after) {
+    const previous = before.get(filePath);
+    if (!previous) changes.push(`A  ${filePath}`);
+    else if (previous.oid !== entry.oid || previous.mode !== entry.mode) changes.push(`M  ${filePath}`);
+  }
+  for (const filePath of before.keys()) {
+    if (!after.has(filePath)) changes.push(`D  ${filePath}`);
+  }
+  changes.sort((a, b) => a.slice(3).localeCompare(b.slice(3)));
+
+  return { tree, changes, files: after.size, blobsWritten };
+}
@@ -0,0 +1,469 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import crypto from 'crypto';
+import { merge3 } from './diff3.js';
+import { isBinary } from './blob.js';
+import { resolveCommit, writableBranchRef, readRef, updateRef } from './refs.js';
+import { DEFAULT_MERGER, resolveSignature, resolveSignatures } from './signature.js';
+import { ConcurrencyError, InvalidArgumentError, MergeConflictError, NotFastForwardError, NotFoundError } from './errors.js';
+
+const VALID_BLOB_MODES = ['100644', '100755', '120000'];
+
+// Every conflict found during a merge: { path, type, base, ours, theirs, ... }
+// (base/ours/theirs are the { oid, mode, type } of each version, or null if absent)
+//   type 'content'        - overlapping line changes (with `ranges`)
+//   type 'binary'         - binary or symlink changed on both sides
+//   type 'delete/modify'  - deleted on one side, modified on the other (with `deletedBy`)
+//   type 'file/directory' - a file on one side, a directory on the other (with `directoryOn`)
+//   type 'mode'           - both sides changed the file mode differently
+//
+// Paths the merge changes cleanly relative to ours: { path, type, status }
+//   status: 'added' | 'updated' | 'deleted' (taken from theirs), 'merged' (line-level), 'resolved'
+
+// --- HELPER: Summarize the three versions of a path for conflict reports ---
+function describeSides(base, ours, theirs) {
+  const describe = (e) => e ? { oid: e.oid, mode: e.mode, type: e.type } : null;
+  return { base: describe(base), ours: describe(ours), theirs: describe(theirs) };
+}
+
+// --- HELPER: Two tree entries are identical (both missing, or same oid AND mode) ---
+function sameEntry(a, b) {
+  if (!a || !b) return !a && !b;
+  return a.oid === b.oid && a.mode === b.mode;
+}
+
+// --- HELPER: Merge the mode of a file present on both sides ---
+// Returns the merged mode, or null on a mode conflict.
+function mergeModes(base, ours, theirs) {
+  if (ours.mode === theirs.mode) return ours.mode;
+  if (base && base.type === 'blob') {
+    if (ours.mode === base.mode) return theirs.mode;
+    if (theirs.mode === base.mode) return ours.mode;
+  }
+  return null;
+}
+
+// Creates a three-way tree merger. Options:
+//   resolutions     - user resolutions keyed by full path (see applyResolution)
+//   strategyOption  - 'ours' | 'theirs': settle conflicting hunks automatically
+//   conflictMarkers - write diff3 markers into conflicting files instead of dropping them
+//   preview         - only hash objects, never write them
+//   labels          - { ours, theirs } names used in conflict markers
+//   log             - progress callback
+// The returned `conflicts` and `mergedPaths` fill up as mergeTrees runs.
+export function createTreeMerger(gitdir, options = {}) {
+  const {
+    resolutions = {},
+    strategyOption = null,
+    conflictMarkers = false,
+    preview = false,
+    labels = { ours: 'ours', theirs: 'theirs' },
+    log = () => {}
+  } = options;
+
+  if (strategyOption !== null && strategyOption !== 'ours' && strategyOption !== 'theirs') {
+    throw new InvalidArgumentError(`Unknown strategy option '${strategyOption}'. Use 'ours' or 'theirs'.`);
+  }
+
+  const conflicts = [];
+  const mergedPaths = [];
+
+  // --- HELPER: Object writers ---
+  // In preview mode objects are only hashed, never written, so the repo stays untouched.
+  async function writeBlob(buffer) {
+    if (preview) return (await git.hashBlob({ object: new Uint8Array(buffer) })).oid;
+    return await git.writeBlob({ fs, gitdir, blob: new Uint8Array(buffer) });
+  }
+
+  async function writeTree(entries) {
+    if (!preview) return await git.writeTree({ fs, gitdir, tree: entries });
+
+    // Same serialization as git: sorted by name (directories compare with a trailing '/')
+    const sortKey = (e) => Buffer.from(e.type === 'tree' ? `${e.path}/` : e.path);
+    const sorted = [...entries].sort((a, b) => Buffer.compare(sortKey(a), sortKey(b)));
+    const body = Buffer.concat(sorted.map(e => Buffer.concat([
+      Buffer.from(`${e.mode.replace(/^0+/, '')} ${e.path}\0`),
+      Buffer.from(e.oid, 'hex')
+    ])));
+    return crypto.createHash('sha1')
+      .update(Buffer.concat([Buffer.from(`tree ${body.length}\0`), body]))
+      .digest('hex');
+  }
+
+  // --- HELPER: Record a conflict and log it ---
+  function recordConflict(conflict) {
+    conflicts.push(conflict);
+    log(`Conflict (${conflict.type}) at: ${conflict.path}`);
+  }
+
+  // --- HELPER: Apply a user-provided resolution ---
+  // A resolution is either the resolved file content (string) or an object:
+  //   { "take": "ours" | "theirs" | "base" | "delete" }  keep one version as-is
+  //   { "content": "...", "mode": "100755" }           write new content (mode optional)
+  //   { "mode": "100755" }                             only settles a mode conflict
+  // Returns the resulting tree entry, or null when the path should be deleted.
+  async function applyResolution(name, fullPath, resolution, sides) {
+    log(` -> Resolution provided for '${fullPath}'. Applying...`);
+
+    const spec = typeof resolution === 'string' ? { content: resolution } : resolution;
+
+    if (spec.take !== undefined) {
+      if (spec.take === 'delete') return null;
+      if (!['ours', 'theirs', 'base'].includes(spec.take)) {
+        throw new InvalidArgumentError(`Invalid resolution for '${fullPath}': unknown take '${spec.take}'.`, { path: fullPath });
+      }
+      const entry = sides[spec.take];
+      return entry ? { ...entry, path: name } : null;
+    }
+
+    if (typeof spec.content !== 'string') {
+      throw new InvalidArgumentError(`Invalid resolution for '${fullPath}': expected a string, { take } or { content }.`, { path: fullPath });
+    }
+
+    // Keep the mode of whichever side is still a file, unless told otherwise
+    const fileSide = [sides.ours, sides.theirs].find(e => e && e.type === 'blob');
+    const mode = spec.mode || (fileSide ? fileSide.mode : '100644');
+    if (!VALID_BLOB_MODES.includes(mode)) {
+      throw new InvalidArgumentError(`Invalid resolution for '${fullPath}': unknown mode '${mode}'.`, { path: fullPath });
+    }
+
+    const resolvedSha = await writeBlob(Buffer.from(spec.content));
+
+    return { mode, path: name, oid: resolvedSha, type: 'blob' };
+  }
+
+  // --- HELPER: Line-level merge of a file changed on both sides ---
+  // Returns the merged blob SHA, or null if the file has unresolved conflicts.
+  async function mergeBlobs(filePath, base, ours, theirs) {
+    const readText = async (entry) => {
+      if (!entry) return Buffer.alloc(0);
+      const { blob } = await git.readBlob({ fs, gitdir, oid: entry.oid });
+      return Buffer.from(blob);
+    };
+
+    const [baseBuf, ourBuf, theirBuf] = await Promise.all([readText(base), readText(ours), readText(theirs)]);
+
+    // Binary files and symlink targets cannot be merged line by line
+    const isSymlink = [ours, theirs].some(e => e.mode === '120000');
+    if (isSymlink || [baseBuf, ourBuf, theirBuf].some(isBinary)) {
+      if (strategyOption) {
+        log(`Binary conflict at: ${filePath} -> taking ${strategyOption}`);
+        return strategyOption === 'ours' ? ours.oid : theirs.oid;
+      }
+      recordConflict({ path: filePath, type: 'binary', ...describeSides(base, ours, theirs) });
+      return null;
+    }
+
+    const result = merge3(baseBuf.toString('utf8'), ourBuf.toString('utf8'), theirBuf.toString('utf8'), {
+      labels: { ours: labels.ours, base: labels.base || 'merge base', theirs: labels.theirs },
+      favor: strategyOption
+    });
+
+    if (!result.clean) {
+      recordConflict({ path: filePath, type: 'content', ...describeSides(base, ours, theirs), ranges: result.conflicts });
+      if (!conflictMarkers) return null;
+      log(` -> Writing conflict markers into '${filePath}'.`);
+    } else {
+      log(`Auto-merged: ${filePath}`);
+    }
+
+    return await writeBlob(Buffer.from(result.text));
+  }
+
+  // Performs a 3-way tree merge with optional conflict resolution.
+  // Returns the merged tree SHA, or null if the result is empty.
+  async function mergeTrees(baseTreeSha, ourTreeSha, theirTreeSha, prefix = '') {
+
+    const readEntries = async (sha) => {
+      if (!sha) return new Map();
+      const res = await git.readTree({ fs, gitdir, oid: sha });
+      return new Map(res.tree.map(e => [e.path, e]));
+    };
+
+    const baseEntries = await readEntries(baseTreeSha);
+    const ourEntries = await readEntries(ourTreeSha);
+    const theirEntries = await readEntries(theirTreeSha);
+
+    const allPaths = new Set([
+      ...baseEntries.keys(), ...ourEntries.keys(), ...theirEntries.keys()
+    ]);
+
+    const newEntries = [];
+
+    for (const p of allPaths) {
+      const fullPath = prefix ? `${prefix}/${p}` : p;
+      const base = baseEntries.get(p);
+      const ours = ourEntries.get(p);
+      const theirs = theirEntries.get(p);
+
+      // --- Trivial cases: only one side (or neither) touched this path ---
+      // Comparing oid AND mode means executable-bit changes are not lost.
+      if (sameEntry(ours, theirs) || sameEntry(base, theirs)) {
+        if (ours) newEntries.push(ours);
+        continue;
+      }
+      if (sameEntry(base, ours)) {
+        if (theirs) newEntries.push(theirs);
+        mergedPaths.push({
+          path: fullPath,
+          type: (theirs || ours).type,
+          status: !theirs ? 'deleted' : (ours ? 'updated' : 'added')
+        });
+        continue;
+      }
+
+      // --- Both sides changed this path differently ---
+      const resolution = resolutions[fullPath];
+      const onlyMode = resolution && typeof resolution === 'object' &&
+        resolution.take === undefined && resolution.content === undefined;
+
+      if (resolution !== undefined && !onlyMode) {
+        // User-provided resolution wins over the automatic merge
+        const resolved = await applyResolution(p, fullPath, resolution, { base, ours, theirs });
+        if (resolved) newEntries.push(resolved);
+        mergedPaths.push({ path: fullPath, type: resolved ? resolved.type : 'blob', status: 'resolved' });
+        continue;
+      }
+
+      const isFile = (e) => e && e.type !== 'tree';
+
+      // Directories (or a directory vs. a deletion): recurse, so edits inside a
+      // deleted directory surface as delete/modify conflicts on the files themselves
+      if (!isFile(ours) && !isFile(theirs)) {
+        const baseTree = base && base.type === 'tree' ? base.oid : null;
+        const mergedSubTreeSha = await mergeTrees(baseTree, ours ? ours.oid : null, theirs ? theirs.oid : null, fullPath);
+        if (mergedSubTreeSha) {
+          newEntries.push({ mode: '040000', path: p, oid: mergedSubTreeSha, type: 'tree' });
+        }
+        continue;
+      }
+
+      // File on one side, directory on the other
+      if ((ours && ours.type === 'tree') || (theirs && theirs.type === 'tree')) {
+        recordConflict({
+          path: fullPath,
+          type: 'file/directory',
+          ...describeSides(base, ours, theirs),
+          directoryOn: ours.type === 'tree' ? 'ours' : 'theirs'
+        });
+        continue;
+      }
+
+      // Deleted on one side, modified on the other
+      if (!ours || !theirs) {
+        recordConflict({
+          path: fullPath,
+          type: 'delete/modify',
+          ...describeSides(base, ours, theirs),
+          deletedBy: ours ? 'theirs' : 'ours'
+        });
+        continue;
+      }
+
+      // Both sides are files: merge content and mode separately
+      const conflictsBefore = conflicts.length;
+      let mode = onlyMode ? resolution.mode : mergeModes(base, ours, theirs);
+      if (mode && !VALID_BLOB_MODES.includes(mode)) {
+        throw new InvalidArgumentError(`Invalid resolution for '${fullPath}': unknown mode '${mode}'.`, { path: fullPath });
+      }
+      if (!mode) {
+        recordConflict({ path: fullPath, type: 'mode', ...describeSides(base, ours, theirs) });
+        mode = ours.mode;
+      }
+
+      let oid;
+      if (ours.oid === theirs.oid) oid = ours.oid;
+      else if (base && ours.oid === base.oid) oid = theirs.oid;
+      else if (base && theirs.oid === base.oid) oid = ours.oid;
+      else oid = await mergeBlobs(fullPath, base && base.type === 'blob' ? base : null, ours, theirs);
+
+      if (oid) {
+        newEntries.push({ mode, path: p, oid, type: 'blob' });
+      }
+      if (conflicts.length === conflictsBefore) {
+        mergedPaths.push({ path: fullPath, type: 'blob', status: 'merged' });
+      }
+    }
+
+    if (newEntries.length === 0) return null;
+    return await writeTree(newEntries);
+  }
+
+  // Like mergeTrees, but always returns a tree SHA (the empty tree if nothing is left)
+  async function mergeRootTrees(baseTreeSha, ourTreeSha, theirTreeSha) {
+    return await mergeTrees(baseTreeSha, ourTreeSha, theirTreeSha) || await writeTree([]);
+  }
+
+  // Conflicts that stop the merge. With conflictMarkers, content conflicts
+  // are written into the files and can be committed.
+  function unresolvedConflicts() {
+    return conflicts.filter(c => c.type !== 'content' || !conflictMarkers);
+  }
+
+  return { mergeTrees, mergeRootTrees, unresolvedConflicts, writeTree, conflicts, mergedPaths };
+}
+
+// Merges `source` (branch, tag or SHA) into the branch `dest`, like `git merge`.
+// Options:
+//   ff         - 'ff' (default): fast-forward when possible, otherwise create a merge commit
+//                'ff-only': refuse to merge unless dest can be fast-forwarded
+//                'no-ff': always create a merge commit
+//   squash     - create a single-parent commit with the merged tree
+//   preview    - run the whole merge in memory and return a report; nothing is
+//                written to the object store and no ref moves
+//   message    - commit message (default: "Merge branch 'X' into 'Y'")
+//   author, committer, date - see BareRepo#writeFiles (fallback: Merge Bot)
+//   expectedParent - fail unless dest is at this commit
+//   resolutions, strategyOption, conflictMarkers, log - see createTreeMerger
+//
+// Returns { status, source, dest, ... } where status is 'up-to-date',
+// 'fast-forward', 'merged', 'squashed' or 'no-changes'.
+// Throws MergeConflictError (with `data.conflicts`) if conflicts remain.
+export async function mergeRefs(gitdir, options) {
+  const {
+    source,
+    dest,
+    ff = 'ff',
+    squash = false,
+    preview = false,
+    message,
+    author,
+    committer,
+    date,
+    expectedParent,
+    log = () => {}
+  } = options;
+
+  if (!['ff', 'ff-only', 'no-ff'].includes(ff)) {
+    throw new InvalidArgumentError(`Unknown fast-forward mode '${ff}'. Use 'ff', 'ff-only' or 'no-ff'.`);
+  }
+  if (squash && ff === 'no-ff') {
+    throw new InvalidArgumentError("Squash cannot be combined with no-ff.");
+  }
+
+  // Resolve references: the source may be a branch, tag or SHA; the dest must be a branch
+  let sourceRef;
+  try {
+    sourceRef = await git.expandRef({ fs, gitdir, ref: source });
+  } catch (e) {
+    sourceRef = source; // A SHA
+  }
+  const destRef = await writableBranchRef(gitdir, dest);
+  const sourceSha = await resolveCommit(gitdir, sourceRef);
+  const destSha = await readRef(gitdir, destRef);
+  if (!destSha) {
+    throw new NotFoundError(`Branch '${dest}' not found.`, { ref: destRef });
+  }
+  if (expectedParent !== undefined && expectedParent !== destSha) {
+    throw new ConcurrencyError(
+      `Concurrency Error: The ref '${dest}' is at ${destSha}, expected ${expectedParent}. Aborting.`,
+      { ref: destRef, expected: expectedParent, actual: destSha }
+    );
+  }
+
+  // Find merge base (none for unrelated histories)
+  const mergeBases = await git.findMergeBase({ fs, gitdir, oids: [destSha, sourceSha] });
+  const baseSha = mergeBases[0] || null;
+
+  const upToDate = baseSha === sourceSha;
+  const canFastForward = baseSha === destSha;
+
+  // Read commit trees
+  const baseCommit = baseSha ? await git.readCommit({ fs, gitdir, oid: baseSha }) : null;
+  const sourceCommit = await git.readCommit({ fs, gitdir, oid: sourceSha });
+  const destCommit = await git.readCommit({ fs, gitdir, oid: destSha });
+
+  const merger = createTreeMerger(gitdir, {
+    ...options,
+    preview,
+    labels: { ours: dest, theirs: source },
+    log
+  });
+  const runTreeMerge = () => merger.mergeRootTrees(
+    baseCommit ? baseCommit.commit.tree : null,
+    destCommit.commit.tree,
+    sourceCommit.commit.tree
+  );
+
+  const summary = {
+    source: { ref: sourceRef, oid: sourceSha },
+    dest: { ref: destRef, oid: destSha },
+    mergeBase: baseSha
+  };
+
+  // --- Preview: report what the merge would do ---
+  if (preview) {
+    const treeSha = upToDate ? destCommit.commit.tree : await runTreeMerge();
+    return {
+      ...summary,
+      upToDate,
+      fastForward: canFastForward && !upToDate,
+      clean: merger.conflicts.length === 0,
+      tree: merger.conflicts.length === 0 ? treeSha : null, // what the merge commit would contain
+      merged: merger.mergedPaths,
+      conflicts: merger.conflicts
+    };
+  }
+
+  // --- Already merged: source is an ancestor of (or equal to) dest ---
+  if (upToDate) {
+    return { status: 'up-to-date', ...summary, oid: destSha };
+  }
+
+  // --- Fast-forward: dest is an ancestor of source ---
+  if (ff === 'ff-only' && !canFastForward) {
+    throw new NotFastForwardError(`Not possible to fast-forward '${dest}' to '${source}'. Aborting.`, summary);
+  }
+
+  if (canFastForward && ff !== 'no-ff' && !squash) {
+    await updateRef(gitdir, destRef, sourceSha, destSha, {
+      message: `merge ${source}: Fast-forward`,
+      committer: await resolveSignature(gitdir, 'committer', { explicit: committer, fallback: DEFAULT_MERGER })
+    });
+    return { status: 'fast-forward', ...summary, oid: sourceSha };
+  }
+
+  // Perform 3-way merge
+  const newTreeSha = await runTreeMerge();
+
+  const unresolved = merger.unresolvedConflicts();
+  if (unresolved.length > 0) {
+    throw new MergeConflictError(
+      `Merge Conflict in ${unresolved.map(c => `'${c.path}'`).join(', ')}. No resolution provided.`,
+      { ...summary, conflicts: merger.conflicts }
+    );
+  }
+
+  // Squash: nothing changed relative to dest, so there is nothing to commit
+  if (squash && newTreeSha === destCommit.commit.tree) {
+    return { status: 'no-changes', ...summary, oid: destSha };
+  }
+
+  // Create merge commit (or squash commit) and update reference
+  const signatures = await resolveSignatures(gitdir, { author, committer, date }, DEFAULT_MERGER);
+  const mergeCommitSha = await git.writeCommit({
+    fs, gitdir,
+    commit: {
+      message: message || (squash
+        ? `Squashed commit of branch '${source}' into '${dest}'`
+        : `Merge branch '${source}' into '${dest}'`),
+      tree: newTreeSha,
+      parent: squash ? [destSha] : [destSha, sourceSha],
+      ...signatures
+    }
+  });
+
+  await updateRef(gitdir, destRef, mergeCommitSha, destSha, {
+    message: `merge ${source}: ${squash ? 'Squashed commit' : 'Merge commit'}`,
+    committer: signatures.committer
+  });
+
+  return {
+    status: squash ? 'squashed' : 'merged',
+    ...summary,
+    oid: mergeCommitSha,
+    tree: newTreeSha,
+    merged: merger.mergedPaths,
+    conflicts: merger.conflicts // only content conflicts committed with markers
+  };
+}
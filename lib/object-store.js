@@ -0,0 +1,210 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import path from 'path';
+
+// Low-level views of a bare repo's object store and refs, read straight from
+// disk: loose objects, packfiles (via their .idx), loose and packed refs, and
+// reflogs. Used by gc, fsck and the smart HTTP server.
+
+// --- HELPER: Every loose object as { oid, file, size, mtimeMs } ---
+export async function listLooseObjects(gitdir) {
+  const objectsDir = path.join(gitdir, 'objects');
+  const results = [];
+  let dirs;
+  try {
+    dirs = await fs.promises.readdir(objectsDir);
+  } catch (e) {
+    return results;
+  }
+
+  for (const dir of dirs.filter(d => /^[0-9a-f]{2}$/.test(d)).sort()) {
+    for (const name of (await fs.promises.readdir(path.join(objectsDir, dir))).sort()) {
+      if (!/^[0-9a-f]{38}$/.test(name)) continue; // Skip temp files
+      const file = path.join(objectsDir, dir, name);
+      const stat = await fs.promises.stat(file);
+      results.push({ oid: dir + name, file, size: stat.size, mtimeMs: stat.mtimeMs });
+    }
+  }
+  return results;
+}
+
+// --- HELPER: Read the object ids from a version 2 pack index ---
+export function readPackIndex(buffer) {
+  if (buffer.readUInt32BE(0) !== 0xff744f63 || buffer.readUInt32BE(4) !== 2) {
+    throw new Error("Unsupported pack index (expected version 2).");
+  }
+  const count = buffer.readUInt32BE(8 + 255 * 4);
+  const start = 8 + 256 * 4;
+  const oids = [];
+  for (let i = 0; i < count; i++) {
+    oids.push(buffer.toString('hex', start + i * 20, start + (i + 1) * 20));
+  }
+  return oids;
+}
+
+// --- HELPER: Every packfile as { name, packFile, indexFile, size, mtimeMs, oids } ---
+// `size` counts both the .pack and the .idx. A pack without an index is skipped.
+export async function listPacks(gitdir) {
+  const packDir = path.join(gitdir, 'objects', 'pack');
+  const results = [];
+  let names;
+  try {
+    names = await fs.promises.readdir(packDir);
+  } catch (e) {
+    return results;
+  }
+
+  for (const name of names.filter(n => n.endsWith('.pack')).sort()) {
+    const packFile = path.join(packDir, name);
+    const indexFile = packFile.replace(/\.pack$/, '.idx');
+    if (!fs.existsSync(indexFile)) continue;
+    const packStat = await fs.promises.stat(packFile);
+    const indexStat = await fs.promises.stat(indexFile);
+    results.push({
+      name,
+      packFile,
+      indexFile,
+      size: packStat.size + indexStat.size,
+      mtimeMs: packStat.mtimeMs,
+      oids: readPackIndex(await fs.promises.readFile(indexFile))
+    });
+  }
+  return results;
+}
+
+// --- HELPER: Parse packed-refs into a Map of ref -> { oid, peeled } ---
+export async function readPackedRefs(gitdir) {
+  const refs = new Map();
+  let text;
+  try {
+    text = await fs.promises.readFile(path.join(gitdir, 'packed-refs'), 'utf8');
+  } catch (e) {
+    return refs;
+  }
+
+  let last = null;
+  for (const line of text.split('\n')) {
+    if (line.startsWith('#') || line.trim() === '') continue;
+    if (line.startsWith('^')) {
+      if (last) last.peeled = line.slice(1).trim();
+      continue;
+    }
+    const [oid, ref] = line.trim().split(' ');
+    last = { oid, peeled: null };
+    refs.set(ref, last);
+  }
+  return refs;
+}
+
+// --- HELPER: Loose refs under refs/ as a Map of ref -> oid ---
+// Symbolic refs ("ref: ...") are left out.
+export async function readLooseRefs(gitdir) {
+  const refs = new Map();
+
+  async function walk(relative) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path.join(gitdir, relative), { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+    for (const entry of entries) {
+      const name = `${relative}/${entry.name}`;
+      if (entry.isDirectory()) {
+        await walk(name);
+      } else if (!entry.name.endsWith('.lock')) {
+        const value = (await fs.promises.readFile(path.join(gitdir, name), 'utf8')).trim();
+        if (/^[0-9a-f]{40}$/.test(value)) refs.set(name, value);
+      }
+    }
+  }
+
+  await walk('refs');
+  return refs;
+}
+
+// --- HELPER: Every ref (loose wins over packed) as [{ ref, oid, packed }] ---
+// HEAD is included when it is detached (points straight at a commit).
+export async function listAllRefs(gitdir) {
+  const packed = await readPackedRefs(gitdir);
+  const loose = await readLooseRefs(gitdir);
+  const refs = new Map();
+  for (const [ref, { oid }] of packed) refs.set(ref, { ref, oid, packed: true });
+  for (const [ref, oid] of loose) refs.set(ref, { ref, oid, packed: false });
+
+  try {
+    const head = (await fs.promises.readFile(path.join(gitdir, 'HEAD'), 'utf8')).trim();
+    if (/^[0-9a-f]{40}$/.test(head)) refs.set('HEAD', { ref: 'HEAD', oid: head, packed: false });
+  } catch (e) {
+    // No HEAD
+  }
+
+  return [...refs.values()].sort((a, b) => a.ref.localeCompare(b.ref));
+}
+
+// --- HELPER: Every object id recorded in the reflogs (logs/) ---
+// Reflog entries keep their commits alive, as in git.
+export async function listReflogOids(gitdir) {
+  const oids = new Set();
+
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+    for (const entry of entries) {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(file);
+        continue;
+      }
+      for (const line of (await fs.promises.readFile(file, 'utf8')).split('\n')) {
+        for (const oid of line.split(' ').slice(0, 2)) {
+          if (/^[0-9a-f]{40}$/.test(oid) && !/^0{40}$/.test(oid)) oids.add(oid);
+        }
+      }
+    }
+  }
+
+  await walk(path.join(gitdir, 'logs'));
+  return oids;
+}
+
+// Every object reachable from `oids`, skipping what is in `exclude`.
+// Blobs are only recorded, not read, so the result may name blobs that do not
+// exist. `onMissing(oid)` is called for commits, trees and tags that cannot be
+// read; without it the read error is thrown.
+export async function collectObjects(gitdir, oids, { exclude = new Set(), cache = {}, onMissing } = {}) {
+  const found = new Set();
+  const stack = [...oids].map(oid => ({ oid, type: null }));
+  while (stack.length > 0) {
+    const { oid, type: expected } = stack.pop();
+    if (found.has(oid) || exclude.has(oid)) continue;
+    found.add(oid);
+    if (expected === 'blob') continue;
+
+    let result;
+    try {
+      result = await git.readObject({ fs, gitdir, oid, format: 'parsed', cache });
+    } catch (e) {
+      if (!onMissing) throw e;
+      found.delete(oid);
+      onMissing(oid);
+      continue;
+    }
+
+    const { type, object } = result;
+    if (type === 'commit') {
+      stack.push({ oid: object.tree, type: 'tree' }, ...object.parent.map(p => ({ oid: p, type: 'commit' })));
+    } else if (type === 'tree') {
+      for (const entry of object) {
+        if (entry.type !== 'commit') stack.push({ oid: entry.oid, type: entry.type }); // Skip submodule links
+      }
+    } else if (type === 'tag') {
+      stack.push({ oid: object.object, type: null });
+    }
+  }
+  return found;
+}
@@ -0,0 +1,118 @@
+import { formatIsoDate } from './history.js';
+
+// Text output shared by the `bare-git` command and the standalone scripts.
+
+// --- HELPER: One line per merge conflict (line numbers are 1-based in each version) ---
+export function describeConflict(conflict) {
+  switch (conflict.type) {
+    case 'content':
+      return conflict.ranges.map(({ base, ours, theirs }) =>
+        `  ${conflict.path}: base ${base.start},${base.count} | ours ${ours.start},${ours.count} | theirs ${theirs.start},${theirs.count}`);
+    case 'binary':
+      return [`  ${conflict.path}: binary file changed on both sides`];
+    case 'delete/modify':
+      return [`  ${conflict.path}: deleted in ${conflict.deletedBy}, modified in the other`];
+    case 'file/directory':
+      return [`  ${conflict.path}: directory in ${conflict.directoryOn}, file in the other`];
+    case 'mode':
+      return [`  ${conflict.path}: mode ${conflict.ours.mode} (ours) vs ${conflict.theirs.mode} (theirs)`];
+    default:
+      return [`  ${conflict.path}: ${conflict.type} conflict`];
+  }
+}
+
+// --- HELPER: Name column of a listing: the path, or the indented name in a tree view ---
+// Folders get a trailing slash.
+export function listingName(entry, treeView) {
+  const parts = entry.path.split('/');
+  const name = treeView ? `${'  '.repeat(parts.length - 1)}${parts[parts.length - 1]}` : entry.path;
+  return entry.type === 'tree' ? `${name}/` : name;
+}
+
+// --- HELPER: Print the commits made by cherry-pick or revert ---
+export function printAppliedCommits(result) {
+  for (const item of result.commits) {
+    const made = item.status === 'applied' ? item.oid.slice(0, 7) : '(empty)';
+    console.log(`${item.source.slice(0, 7)} -> ${made} ${item.subject}`);
+    for (const conflict of item.conflicts) describeConflict(conflict).forEach(line => console.log(line));
+  }
+  if (result.status === 'no-changes') {
+    console.log("Nothing to commit: the branch already has the result.");
+    return;
+  }
+  console.log(`${result.dest.ref} ${result.dest.oid.slice(0, 7)} -> ${result.oid.slice(0, 7)}`);
+}
+
+// --- HELPER: Print a reflog like `git reflog`, with dates ---
+export function printReflog(result) {
+  const name = result.ref.replace(/^refs\/(heads|tags)\//, '');
+  for (const entry of result.entries) {
+    const value = entry.newOid ? entry.newOid.slice(0, 7) : '0000000';
+    const when = formatIsoDate(entry.committer.timestamp, entry.committer.timezoneOffset);
+    console.log(`${value} ${name}@{${entry.index}}: ${entry.message}  (${when}, ${entry.committer.name})`);
+  }
+}
+
+// --- HELPER: Print grep results like `git grep -n` ---
+// Matches are "path:line:text", context lines "path-line-text", and separate groups
+// of context are divided by "--". Several refs put "ref:" in front of every line.
+export function printGrep(result, { filesWithMatches = false } = {}) {
+  const showRef = result.refs.length > 1;
+  const hasContext = result.files.some(file => file.lines.some(l => !l.match));
+  let lastLine = null;
+
+  for (const file of result.files) {
+    const name = `${showRef ? `${file.ref.replace(/^refs\/heads\//, '')}:` : ''}${file.path}`;
+    if (filesWithMatches) {
+      console.log(name);
+      continue;
+    }
+    lastLine = hasContext && lastLine !== null ? -1 : null;
+    for (const { line, text, match } of file.lines) {
+      if (lastLine !== null && line !== lastLine + 1) console.log('--');
+      console.log(`${name}${match ? ':' : '-'}${line}${match ? ':' : '-'}${text}`);
+      lastLine = hasContext ? line : null;
+    }
+  }
+}
+
+// --- HELPER: Print the before/after report from gc ---
+export function printGcReport(report) {
+  const row = (label, stats) =>
+    `${label.padEnd(8)} ${String(stats.looseObjects).padStart(7)} loose (${formatBytes(stats.looseBytes)}), ` +
+    `${stats.packs} pack(s) with ${stats.packedObjects} object(s) (${formatBytes(stats.packBytes)})`;
+  console.log(row('Before:', report.before));
+  console.log(row(report.dryRun ? 'After*:' : 'After:', report.after));
+  console.log(`Reachable objects: ${report.reachable}`);
+  console.log(`Packed:            ${report.pack ? `${report.packedObjects} object(s) into ${report.pack}` : 'nothing to repack'}`);
+  console.log(`Pruned:            ${report.pruned} unreachable object(s) (${report.keptUnreachable} kept, newer than ${report.pruneExpire})`);
+  console.log(`Refs packed:       ${report.refsPacked}`);
+  console.log(`Bytes saved:       ${formatBytes(report.bytesSaved)}`);
+  if (report.dryRun) console.log("* Dry run: nothing was changed.");
+}
+
+// --- HELPER: Print an fsck report, git-style ---
+export function printFsckReport(report) {
+  const subject = (p) => [p.ref, p.oid].filter(Boolean).join(' ');
+  for (const e of report.errors) console.log(`error ${e.kind}${subject(e) ? ` ${subject(e)}` : ''}: ${e.message}`);
+  for (const w of report.warnings) console.log(`warning ${w.kind}${subject(w) ? ` ${subject(w)}` : ''}: ${w.message}`);
+  for (const d of report.dangling || []) console.log(`dangling ${d.type} ${d.oid}`);
+
+  const { counts } = report;
+  console.log(`Checked ${counts.objects} object(s) (${counts.loose} loose, ${counts.packed} packed in ${counts.packs} pack(s)) and ${counts.refs} ref(s).`);
+  console.log(`Reachable: ${counts.reachable}, unreachable: ${counts.unreachable}, dangling: ${counts.dangling}`);
+  console.log(report.ok
+    ? `OK${report.warnings.length ? ` (${report.warnings.length} warning(s))` : ''}`
+    : `CORRUPT: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+}
+
+// --- HELPER: Human-readable byte count ---
+function formatBytes(bytes) {
+  const sign = bytes < 0 ? '-' : '';
+  let value = Math.abs(bytes);
+  for (const unit of ['B', 'KiB', 'MiB']) {
+    if (value < 1024) return `${sign}${unit === 'B' ? value : value.toFixed(1)} ${unit}`;
+    value /= 1024;
+  }
+  return `${sign}${value.toFixed(1)} GiB`;
+}
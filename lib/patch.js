@@ -0,0 +1,126 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import { resolveCommit } from './refs.js';
+import { entryAtPath, diffTrees, detectRenames } from './tree-diff.js';
+import { splitLines, unifiedDiff } from './diff3.js';
+import { isBinary } from './blob.js';
+import { InvalidArgumentError } from './errors.js';
+
+// --- HELPER: Root tree of a commit, scoped to the folder (null if it is missing there) ---
+async function scopedTree(gitdir, commitSha, folderPath) {
+  if (!commitSha) return null;
+  const { commit } = await git.readCommit({ fs, gitdir, oid: commitSha });
+  const entry = await entryAtPath(gitdir, commit.tree, folderPath);
+  if (entry && entry.type !== 'tree') {
+    throw new InvalidArgumentError(`Path '${folderPath}' is a file, not a directory.`, { path: folderPath });
+  }
+  return entry ? entry.oid : null;
+}
+
+// --- HELPER: Read a blob (empty for a missing side) ---
+async function readBlob(gitdir, side) {
+  if (!side) return Buffer.alloc(0);
+  const { blob } = await git.readBlob({ fs, gitdir, oid: side.oid });
+  return Buffer.from(blob);
+}
+
+// Full patch for one change, like `git diff`. Returns { text, binary }.
+export async function patchFor(gitdir, change, context = 3) {
+  const oldPath = change.oldPath || change.path;
+  const lines = [`diff --git a/${oldPath} b/${change.path}`];
+  const short = (side) => (side ? side.oid.slice(0, 7) : '0000000');
+
+  if (!change.old) {
+    lines.push(`new file mode ${change.new.mode}`);
+  } else if (!change.new) {
+    lines.push(`deleted file mode ${change.old.mode}`);
+  } else if (change.old.mode !== change.new.mode) {
+    lines.push(`old mode ${change.old.mode}`, `new mode ${change.new.mode}`);
+  }
+
+  if (change.status === 'R') {
+    lines.push(`similarity index ${change.similarity}%`, `rename from ${change.oldPath}`, `rename to ${change.path}`);
+  }
+
+  // Pure rename or mode-only change: no content to show
+  if (change.old && change.new && change.old.oid === change.new.oid) {
+    return { text: `${lines.join('\n')}\n`, binary: false };
+  }
+
+  const sameMode = change.old && change.new && change.old.mode === change.new.mode;
+  lines.push(`index ${short(change.old)}..${short(change.new)}${sameMode ? ` ${change.new.mode}` : ''}`);
+
+  const [before, after] = await Promise.all([readBlob(gitdir, change.old), readBlob(gitdir, change.new)]);
+  const aName = change.old ? `a/${oldPath}` : '/dev/null';
+  const bName = change.new ? `b/${change.path}` : '/dev/null';
+
+  if (isBinary(before) || isBinary(after)) {
+    lines.push(`Binary files ${aName} and ${bName} differ`);
+    return { text: `${lines.join('\n')}\n`, binary: true };
+  }
+
+  lines.push(`--- ${aName}`, `+++ ${bName}`);
+  const hunks = unifiedDiff(splitLines(before.toString('utf8')), splitLines(after.toString('utf8')), context);
+  return { text: `${lines.join('\n')}\n${hunks}`, binary: false };
+}
+
+// Compares two commits. Without `to`, compares `from` with its (first) parent.
+// Options:
+//   path     - limit the diff to this folder
+//   renames  - detect renames (default true)
+//   patches  - include a unified `patch` (and `binary` flag) per change (default true)
+//   context  - lines of context around each hunk (default 3)
+// Returns { from, to, path, changes } with changes sorted by path.
+export async function diffRefs(gitdir, from, to, options = {}) {
+  const { path: folderPath = '', renames = true, patches = true, context = 3 } = options;
+
+  if (!Number.isInteger(context) || context < 0) {
+    throw new InvalidArgumentError("Context must be a non-negative integer.");
+  }
+
+  // --- STEP 1: Resolve both sides ---
+  let fromSha;
+  let toSha;
+  if (to) {
+    fromSha = await resolveCommit(gitdir, from);
+    toSha = await resolveCommit(gitdir, to);
+  } else {
+    // Single commit: compare it with its (first) parent
+    toSha = await resolveCommit(gitdir, from);
+    const { commit } = await git.readCommit({ fs, gitdir, oid: toSha });
+    fromSha = commit.parent[0] || null;
+  }
+
+  // --- STEP 2: Compare the (scoped) trees ---
+  const prefix = folderPath.replace(/^\/+|\/+$/g, '');
+  let changes = await diffTrees(
+    gitdir,
+    await scopedTree(gitdir, fromSha, prefix),
+    await scopedTree(gitdir, toSha, prefix),
+    prefix
+  );
+  if (renames) {
+    changes = await detectRenames(gitdir, changes);
+  }
+  changes.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+  // --- STEP 3: Build the report ---
+  const report = [];
+  for (const change of changes) {
+    const item = {
+      status: change.status,
+      path: change.path,
+      ...(change.oldPath ? { oldPath: change.oldPath, similarity: change.similarity } : {}),
+      old: change.old,
+      new: change.new
+    };
+    if (patches) {
+      const patch = await patchFor(gitdir, change, context);
+      item.binary = patch.binary;
+      item.patch = patch.text;
+    }
+    report.push(item);
+  }
+
+  return { from: fromSha, to: toSha, path: prefix || null, changes: report };
+}
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+import { formatZone, resolveSignature } from './signature.js';
+
+// Reflogs: one file per ref under logs/ (logs/refs/heads/main, logs/HEAD),
+// one line per change, in git's format:
+//   <old-oid> <new-oid> <name> <<email>> <timestamp> <zone>\t<message>
+// A created ref has an all-zero old oid; a deleted one an all-zero new oid.
+// Deleting a ref keeps its reflog, so the branch can be found again.
+
+export const ZERO_OID = '0'.repeat(40);
+
+// Appends one entry to the reflog of `ref`. `committer` is a signature from
+// makeSignature (default: resolved like a commit's committer).
+export async function appendReflog(gitdir, ref, oldOid, newOid, { message = '', committer } = {}) {
+  const who = committer || await resolveSignature(gitdir, 'committer');
+  const line = `${oldOid || ZERO_OID} ${newOid || ZERO_OID} ${who.name} <${who.email}> ` +
+    `${who.timestamp} ${formatZone(who.timezoneOffset)}\t${message.split('\n')[0]}\n`;
+
+  const file = path.join(gitdir, 'logs', ref);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(file, line);
+}
+
+// --- HELPER: Which log file a user-supplied name refers to ---
+// "HEAD" and full refs are used as-is; "main" finds logs/refs/heads/main
+// (or logs/refs/tags/main). Returns the full ref name, or null if it has no reflog.
+export function findReflog(gitdir, name) {
+  const candidates = name === 'HEAD' || name.startsWith('refs/')
+    ? [name]
+    : [`refs/heads/${name}`, `refs/tags/${name}`];
+  return candidates.find(ref => fs.existsSync(path.join(gitdir, 'logs', ref))) || null;
+}
+
+// Reads the reflog of `ref` (a full ref name, or HEAD), newest entry first, as
+// [{ index, oldOid, newOid, committer: { name, email, timestamp, timezoneOffset }, message }].
+// `index` is the n in "main@{n}". Oids of a created/deleted ref are null.
+export async function readReflog(gitdir, ref) {
+  let text;
+  try {
+    text = await fs.promises.readFile(path.join(gitdir, 'logs', ref), 'utf8');
+  } catch (e) {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of text.split('\n')) {
+    const match = /^([0-9a-f]{40}) ([0-9a-f]{40}) (.*) <([^>]*)> (\d+) ([+-])(\d\d)(\d\d)(?:\t(.*))?$/.exec(line);
+    if (!match) continue;
+    entries.push({
+      oldOid: match[1] === ZERO_OID ? null : match[1],
+      newOid: match[2] === ZERO_OID ? null : match[2],
+      committer: {
+        name: match[3],
+        email: match[4],
+        timestamp: Number(match[5]),
+        timezoneOffset: (match[6] === '-' ? 1 : -1) * (Number(match[7]) * 60 + Number(match[8]))
+      },
+      message: match[9] || ''
+    });
+  }
+  return entries.reverse().map((entry, index) => ({ index, ...entry }));
+}
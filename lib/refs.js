@@ -0,0 +1,312 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import path from 'path';
+import { readPackedRefs } from './object-store.js';
+import { appendReflog, findReflog, readReflog } from './reflog.js';
+import { AlreadyExistsError, NotFoundError, InvalidArgumentError, ConcurrencyError } from './errors.js';
+
+// --- HELPER: Resolve a ref name or (abbreviated) SHA to an oid ---
+async function resolveName(gitdir, name, spec) {
+  try {
+    return await git.resolveRef({ fs, gitdir, ref: name });
+  } catch (e) {
+    if (!/^[0-9a-f]{4,40}$/i.test(name)) {
+      throw new NotFoundError(`Ref '${spec}' not found.`, { ref: spec });
+    }
+    try {
+      return await git.expandOid({ fs, gitdir, oid: name.toLowerCase() });
+    } catch (e2) {
+      throw new NotFoundError(`Ref '${spec}' not found.`, { ref: spec });
+    }
+  }
+}
+
+// --- HELPER: Resolve anything that names a commit ---
+// Accepts branch names ("main"), full refs ("refs/heads/main"), HEAD, full or
+// abbreviated SHAs, reflog entries ("main@{2}": where main was two moves ago),
+// and git's parent suffixes ("main~2", "abc1234^", "HEAD^2").
+// Annotated tags are peeled down to the commit they point at.
+export async function resolveCommit(gitdir, spec) {
+  const match = /^(.*?)((?:[~^]\d*)*)$/.exec(spec);
+  const name = match[1];
+  const suffix = match[2];
+
+  const reflogMatch = /^(.*)@\{(\d+)\}$/.exec(name);
+  let oid = reflogMatch
+    ? await reflogValue(gitdir, reflogMatch[1] || 'HEAD', Number(reflogMatch[2]), spec)
+    : await resolveName(gitdir, name, spec);
+
+  oid = await peelToCommit(gitdir, oid, spec);
+
+  // Walk the ~N / ^N suffixes
+  for (const [, op, digits] of suffix.matchAll(/([~^])(\d*)/g)) {
+    const n = digits === '' ? 1 : Number(digits);
+    const steps = op === '~' ? n : 1;
+    const parentIndex = op === '^' ? n - 1 : 0;
+    for (let i = 0; i < steps; i++) {
+      if (op === '^' && n === 0) break; // "^0" is the commit itself
+      const { commit } = await git.readCommit({ fs, gitdir, oid });
+      if (!commit.parent[parentIndex]) {
+        throw new NotFoundError(`Ref '${spec}' not found (commit ${oid.slice(0, 7)} has no such parent).`, { ref: spec });
+      }
+      oid = commit.parent[parentIndex];
+    }
+  }
+
+  return oid;
+}
+
+// --- HELPER: The value `name` had after its n-th most recent move ("main@{n}") ---
+export async function reflogValue(gitdir, name, n, label = `${name}@{${n}}`) {
+  const ref = findReflog(gitdir, name);
+  const entry = ref ? (await readReflog(gitdir, ref))[n] : undefined;
+  if (!entry) {
+    throw new NotFoundError(`Reflog entry '${label}' not found.`, { ref: label });
+  }
+  if (!entry.newOid) {
+    throw new NotFoundError(`Reflog entry '${label}' is the deletion of the ref; use ${name}@{${n + 1}}.`, { ref: label });
+  }
+  return entry.newOid;
+}
+
+// --- HELPER: Follow annotated tags until we reach a commit ---
+export async function peelToCommit(gitdir, oid, label = oid) {
+  for (;;) {
+    const { type } = await git.readObject({ fs, gitdir, oid, format: 'parsed' });
+    if (type === 'commit') return oid;
+    if (type !== 'tag') {
+      throw new InvalidArgumentError(`'${label}' points to a ${type}, not a commit.`, { ref: label });
+    }
+    const { tag } = await git.readTag({ fs, gitdir, oid });
+    oid = tag.object;
+  }
+}
+
+// --- HELPER: Normalize a branch name ---
+// Users might type "main" or "refs/heads/main". We handle both.
+export function branchRef(name) {
+  return name.startsWith('refs/') ? name : `refs/heads/${name}`;
+}
+
+// --- HELPER: The branch a write to `name` moves ---
+// "HEAD" means the branch HEAD points to, as with `git commit`. Names outside
+// refs/heads (tags, remote refs) are refused: writes only ever move branches.
+export async function writableBranchRef(gitdir, name) {
+  if (name === 'HEAD') {
+    const target = await headTarget(gitdir);
+    if (!target || !target.startsWith('refs/heads/')) {
+      throw new InvalidArgumentError("HEAD does not point to a branch. Name the branch to write to.", { ref: 'HEAD' });
+    }
+    return target;
+  }
+  const ref = branchRef(name);
+  if (!ref.startsWith('refs/heads/')) {
+    throw new InvalidArgumentError(`'${name}' is not a branch. Only branches can be written to.`, { ref });
+  }
+  return ref;
+}
+
+// --- HELPER: Current value of a ref, or null if it does not exist ---
+export async function readRef(gitdir, ref) {
+  try {
+    return await git.resolveRef({ fs, gitdir, ref });
+  } catch (e) {
+    return null;
+  }
+}
+
+// --- HELPER: Reject ref names git would refuse (see git check-ref-format) ---
+export function checkRefName(ref) {
+  const bad = !ref.startsWith('refs/') ||
+    ref.endsWith('/') || ref.endsWith('.lock') || ref.endsWith('.') ||
+    ref.includes('..') || ref.includes('//') || ref.includes('@{') ||
+    /[\x00-\x20\x7f~^:?*[\\]/.test(ref) ||
+    ref.split('/').some(part => part.startsWith('.') || part.endsWith('.lock'));
+  if (bad) {
+    throw new InvalidArgumentError(`Invalid ref name '${ref}'.`, { ref });
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// --- HELPER: Take the lock file "<file>.lock", like git does ---
+// Creating it with O_EXCL is the lock: whoever creates it owns the file until
+// the lock is committed (renamed over the file) or released (deleted).
+// Retries for `timeoutMs` before giving up with a ConcurrencyError.
+async function acquireLock(gitdir, name, timeoutMs) {
+  const file = path.join(gitdir, name);
+  const lockPath = `${file}.lock`;
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  } catch (e) {
+    if (e.code !== 'EEXIST' && e.code !== 'ENOTDIR') throw e;
+    throw new AlreadyExistsError(`Cannot create '${name}': a ref is in the way of its folder.`, { ref: name });
+  }
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    throw new AlreadyExistsError(`Cannot create '${name}': refs exist below it.`, { ref: name });
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  let handle;
+  for (;;) {
+    try {
+      handle = await fs.promises.open(lockPath, 'wx');
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      if (Date.now() >= deadline) {
+        throw new ConcurrencyError(
+          `Concurrency Error: '${name}' is locked by another update (${lockPath}). ` +
+          "Retry; if no other process is running, the lock is stale and can be removed.",
+          { ref: name, locked: true }
+        );
+      }
+      await sleep(25);
+    }
+  }
+
+  let done = false;
+  return {
+    // Writes `content` and atomically renames the lock over the file
+    async commit(content) {
+      try {
+        await handle.writeFile(content);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.promises.rename(lockPath, file);
+      done = true;
+    },
+    async release() {
+      if (done) return;
+      done = true;
+      await handle.close().catch(() => {});
+      await fs.promises.rm(lockPath, { force: true });
+    }
+  };
+}
+
+// Lock timeouts: a ref is only held for one quick write; packed-refs may be
+// held while gc packs every ref.
+const REF_LOCK_TIMEOUT = 100;
+const PACKED_REFS_LOCK_TIMEOUT = 1000;
+
+// --- HELPER: Render packed-refs from a Map of ref -> { oid, peeled } ---
+function formatPackedRefs(refs) {
+  let text = '# pack-refs with: peeled fully-peeled sorted \n';
+  for (const ref of [...refs.keys()].sort()) {
+    const { oid, peeled } = refs.get(ref);
+    text += `${oid} ${ref}\n`;
+    if (peeled) text += `^${peeled}\n`;
+  }
+  return text;
+}
+
+// Runs `fn(packed, write)` while holding packed-refs.lock. `packed` is the
+// current Map of ref -> { oid, peeled }; `write(map)` replaces the file.
+export async function withPackedRefs(gitdir, fn) {
+  const lock = await acquireLock(gitdir, 'packed-refs', PACKED_REFS_LOCK_TIMEOUT);
+  try {
+    const packed = await readPackedRefs(gitdir);
+    return await fn(packed, async (refs) => lock.commit(formatPackedRefs(refs)));
+  } finally {
+    await lock.release();
+  }
+}
+
+// Runs `fn()` while holding the lock of `ref` (e.g. refs/heads/main.lock)
+export async function withRefLock(gitdir, ref, fn) {
+  const lock = await acquireLock(gitdir, ref, REF_LOCK_TIMEOUT);
+  try {
+    return await fn(lock);
+  } finally {
+    await lock.release();
+  }
+}
+
+// --- HELPER: The branch HEAD points to, or null ---
+async function headTarget(gitdir) {
+  try {
+    const head = (await fs.promises.readFile(path.join(gitdir, 'HEAD'), 'utf8')).trim();
+    return head.startsWith('ref: ') ? head.slice(5) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// --- HELPER: Remove folders a deleted ref leaves empty (but not refs/heads etc.) ---
+async function pruneRefDirs(gitdir, ref) {
+  const parts = ref.split('/').slice(0, -1);
+  while (parts.length > 2) {
+    try {
+      await fs.promises.rmdir(path.join(gitdir, ...parts));
+    } catch (e) {
+      return; // Not empty
+    }
+    parts.pop();
+  }
+}
+
+// Moves `ref` to `newOid` as an atomic compare-and-swap:
+//   1. take refs/...lock (fails if another update holds it)
+//   2. check the ref still holds `expectedOid` (null = the ref must not exist
+//      yet; undefined = skip the check)
+//   3. append to the ref's reflog (and HEAD's, if HEAD points at it)
+//   4. write the lock and rename it over the ref
+// The reflog is written while the lock is held, as git does, so concurrent
+// updates log in the order they move the ref.
+// Options: message (the reflog message, e.g. "commit: Add a.txt") and
+// committer (who made the change; default resolved like a commit's committer).
+export async function updateRef(gitdir, ref, newOid, expectedOid, { message = 'update', committer } = {}) {
+  checkRefName(ref);
+  if (ref === 'refs/heads/HEAD') {
+    throw new InvalidArgumentError("'HEAD' is not a valid branch name.", { ref });
+  }
+  await withRefLock(gitdir, ref, async (lock) => {
+    const currentOid = await readRef(gitdir, ref);
+    if (expectedOid !== undefined && currentOid !== expectedOid) {
+      throw new ConcurrencyError(
+        `Concurrency Error: The ref '${ref}' has changed from ${expectedOid} to ${currentOid}. Aborting.`,
+        { ref, expected: expectedOid, actual: currentOid }
+      );
+    }
+
+    await appendReflog(gitdir, ref, currentOid, newOid, { message, committer });
+    if (await headTarget(gitdir) === ref) {
+      await appendReflog(gitdir, 'HEAD', currentOid, newOid, { message, committer });
+    }
+
+    await lock.commit(`${newOid}\n`);
+  });
+}
+
+// Deletes `ref` (loose and packed), optionally checking it still points at
+// `expectedOid`. Holds the ref's lock and packed-refs.lock while doing so.
+// The reflog is kept, with a final entry recording the deletion.
+// Returns the oid the ref pointed to.
+export async function deleteRef(gitdir, ref, expectedOid, { message = 'delete', committer } = {}) {
+  checkRefName(ref);
+  const currentOid = await withRefLock(gitdir, ref, async () => {
+    return await withPackedRefs(gitdir, async (packed, writePacked) => {
+      const current = await readRef(gitdir, ref);
+      if (current === null) {
+        throw new NotFoundError(`Ref '${ref}' not found.`, { ref });
+      }
+      if (expectedOid !== undefined && current !== expectedOid) {
+        throw new ConcurrencyError(
+          `Concurrency Error: The ref '${ref}' has changed from ${expectedOid} to ${current}. Aborting.`,
+          { ref, expected: expectedOid, actual: current }
+        );
+      }
+
+      await appendReflog(gitdir, ref, current, null, { message, committer });
+      if (packed.delete(ref)) await writePacked(packed);
+      await fs.promises.rm(path.join(gitdir, ref), { force: true });
+      return current;
+    });
+  });
+
+  await pruneRefDirs(gitdir, ref);
+  return currentOid;
+}
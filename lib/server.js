@@ -0,0 +1,277 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { BareRepo } from './bare-repo.js';
+import { handleGitRequest } from './git-http.js';
+import { archiveFormat } from './archive.js';
+import { readBody, BodyTooLargeError } from './http-body.js';
+import { InvalidArgumentError, NotFoundError } from './errors.js';
+
+// REST API over every bare repo in a root directory. Repos are addressed by
+// their folder name, e.g. /repos/my-repo.git/branches.
+//
+//   GET    /repos/:repo/branches                  list branches
+//   POST   /repos/:repo/branches                  create a branch   { name, source? }
+//   DELETE /repos/:repo/branches/:name            delete a branch
+//   GET    /repos/:repo/tree/:path?ref=           list a folder (ref defaults to HEAD)
+//   GET    /repos/:repo/files/:path?ref=          read a file: raw bytes, or JSON with ?format=json
+//   PUT    /repos/:repo/files/:path?ref=&mode=    create or replace a file (raw body)
+//   DELETE /repos/:repo/files/:path?ref=          delete a file or folder
+//   POST   /repos/:repo/merge                     merge { source, dest, ...options }
+//   POST   /repos/:repo/cherry-pick               apply commits { commits, dest, ...options }
+//   POST   /repos/:repo/revert                    undo commits { commits, dest, ...options }
+//
+// Writes take `message`, `author`, `committer`, `date` and `expectedParent` as
+// query parameters (or JSON body fields). If the branch is not at `expectedParent`, nothing is written and the
+// response is 409 with code ConcurrencyError. Errors are returned as
+// { error: { code, message, data } } with the status from STATUS_BY_ERROR.
+
+const STATUS_BY_ERROR = {
+  InvalidArgumentError: 400,
+  BodyTooLargeError: 413,
+  NotFoundError: 404,
+  AlreadyExistsError: 409,
+  ConcurrencyError: 409,
+  MergeConflictError: 409,
+  NotFastForwardError: 409
+};
+
+// --- HELPER: Parse a JSON request body ({} if empty) ---
+async function readJson(req) {
+  const body = await readBody(req);
+  if (body.length === 0) return {};
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch (e) {
+    throw new InvalidArgumentError(`Request body is not valid JSON: ${e.message}`);
+  }
+}
+
+function sendJson(res, status, value) {
+  const body = Buffer.from(JSON.stringify(value));
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': body.length });
+  res.end(body);
+}
+
+// --- HELPER: Options shared by every endpoint that writes a commit ---
+function writeOptions(query, body = {}) {
+  const options = {};
+  for (const key of ['message', 'author', 'committer', 'date', 'expectedParent']) {
+    const value = body[key] !== undefined ? body[key] : query.get(key);
+    if (value) options[key] = value;
+  }
+  return options;
+}
+
+// --- HELPER: Open a repo by name, refusing anything outside the root ---
+function openRepo(root, name) {
+  if (!/^[A-Za-z0-9._-]+$/.test(name) || name === '.' || name === '..') {
+    throw new InvalidArgumentError(`Invalid repository name '${name}'.`);
+  }
+  const gitdir = path.join(root, name);
+  if (!fs.existsSync(path.join(gitdir, 'HEAD'))) {
+    throw new NotFoundError(`Repository '${name}' not found.`, { repo: name });
+  }
+  return new BareRepo(gitdir);
+}
+
+const CONTENT_TYPE_BY_FORMAT = {
+  'tar': 'application/x-tar',
+  'tar.gz': 'application/gzip',
+  'zip': 'application/zip'
+};
+
+// Routes one request. Returns false if no route matches.
+async function route(root, req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  let segments;
+  try {
+    segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (e) {
+    throw new InvalidArgumentError(`Malformed percent-encoding in path '${url.pathname}'.`, { path: url.pathname });
+  }
+  const query = url.searchParams;
+  const method = req.method;
+
+  if (segments[0] !== 'repos' || segments.length < 3) return false;
+
+  const repo = openRepo(root, segments[1]);
+  const [resource, ...rest] = segments.slice(2);
+  const filePath = rest.join('/');
+  // Writes to HEAD move the branch HEAD points to (see writableBranchRef)
+  const ref = query.get('ref') || 'HEAD';
+
+  // --- Branches ---
+  if (resource === 'branches') {
+    if (method === 'GET' && rest.length === 0) {
+      sendJson(res, 200, await repo.listBranches());
+      return true;
+    }
+    if (method === 'POST' && rest.length === 0) {
+      const body = await readJson(req);
+      if (typeof body.name !== 'string' || !body.name) {
+        throw new InvalidArgumentError("Body needs a branch 'name'.");
+      }
+      sendJson(res, 201, await repo.createBranch(body.name, body.source || 'HEAD'));
+      return true;
+    }
+    if (method === 'DELETE' && rest.length > 0) {
+      sendJson(res, 200, { name: filePath, oid: await repo.deleteBranch(filePath) });
+      return true;
+    }
+    return false;
+  }
+
+  // --- Folders ---
+  if (resource === 'tree' && method === 'GET') {
+    sendJson(res, 200, await repo.listFiles(ref, filePath, {
+      recursive: query.get('recursive') === 'true',
+      maxDepth: query.get('maxDepth') || undefined,
+      include: query.getAll('include'),
+      exclude: query.getAll('exclude'),
+      long: query.get('long') === 'true'
+    }));
+    return true;
+  }
+
+  // --- Files ---
+  if (resource === 'files' && rest.length > 0) {
+    if (method === 'GET') {
+      const file = await repo.readFile(ref, filePath);
+      if (query.get('format') === 'json') {
+        sendJson(res, 200, {
+          oid: file.oid,
+          mode: file.mode,
+          binary: file.binary,
+          size: file.content.length,
+          encoding: file.binary ? 'base64' : 'utf8',
+          content: file.content.toString(file.binary ? 'base64' : 'utf8')
+        });
+      } else {
+        res.writeHead(200, {
+          'Content-Type': 'application/octet-stream',
+          'Content-Length': file.content.length,
+          'X-Git-Oid': file.oid,
+          'X-Git-Mode': file.mode
+        });
+        res.end(file.content);
+      }
+      return true;
+    }
+    if (method === 'PUT') {
+      const content = await readBody(req);
+      const mode = query.get('mode') || undefined;
+      sendJson(res, 200, await repo.addFile(ref, filePath, content, { mode, ...writeOptions(query) }));
+      return true;
+    }
+    if (method === 'DELETE') {
+      sendJson(res, 200, await repo.removeFile(ref, filePath, writeOptions(query)));
+      return true;
+    }
+    return false;
+  }
+
+  // --- Archives ---
+  if (resource === 'archive' && method === 'GET') {
+    const format = archiveFormat(query.get('format') || 'tar');
+    const name = `${segments[1].replace(/\.git$/, '')}-${ref.replace(/[^\w.-]+/g, '-')}.${format}`;
+    res.setHeader('Content-Type', CONTENT_TYPE_BY_FORMAT[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+    try {
+      await repo.archive(ref, res, { format, prefix: query.get('prefix') || '', folder: filePath });
+    } catch (err) {
+      // Nothing is sent before the ref and folder are found, so those errors can still be JSON
+      if (!res.headersSent) {
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Disposition');
+      }
+      throw err;
+    }
+    return true;
+  }
+
+  // --- Moves ---
+  if (resource === 'move' && method === 'POST' && rest.length === 0) {
+    const body = await readJson(req);
+    if (typeof body.from !== 'string' || typeof body.to !== 'string') {
+      throw new InvalidArgumentError("Body needs 'from' and 'to' paths.");
+    }
+    sendJson(res, 200, await repo.moveFile(body.ref || ref, body.from, body.to, {
+      force: !!body.force,
+      ...writeOptions(query, body)
+    }));
+    return true;
+  }
+
+  // --- Merge ---
+  if (resource === 'merge' && method === 'POST' && rest.length === 0) {
+    const body = await readJson(req);
+    if (!body.source || !body.dest) {
+      throw new InvalidArgumentError("Body needs 'source' and 'dest'.");
+    }
+    const options = {
+      resolutions: body.resolutions || {},
+      ff: body.ff || 'ff',
+      squash: !!body.squash,
+      strategyOption: body.strategyOption || null,
+      conflictMarkers: !!body.conflictMarkers,
+      ...writeOptions(query, body)
+    };
+    const result = body.preview
+      ? await repo.previewMerge(body.source, body.dest, options)
+      : await repo.merge(body.source, body.dest, options);
+    sendJson(res, 200, result);
+    return true;
+  }
+
+  // --- Cherry-pick and revert ---
+  if ((resource === 'cherry-pick' || resource === 'revert') && method === 'POST' && rest.length === 0) {
+    const body = await readJson(req);
+    const commits = typeof body.commits === 'string' ? [body.commits] : body.commits;
+    if (!Array.isArray(commits) || commits.length === 0 || !body.dest) {
+      throw new InvalidArgumentError("Body needs 'commits' and 'dest'.");
+    }
+    const options = {
+      resolutions: body.resolutions || {},
+      mainline: body.mainline,
+      strategyOption: body.strategyOption || null,
+      conflictMarkers: !!body.conflictMarkers,
+      ...writeOptions(query, body)
+    };
+    const result = resource === 'revert'
+      ? await repo.revert(commits, body.dest, options)
+      : await repo.cherryPick(commits, body.dest, options);
+    sendJson(res, 200, result);
+    return true;
+  }
+
+  return false;
+}
+
+// Creates (but does not start) the server for the repos under `root`.
+// Besides the REST API it speaks Git smart HTTP (see git-http.js), so the same
+// port serves `git clone http://host:port/<repo>`.
+export function createServer({ root }) {
+  const rootDir = path.resolve(root);
+
+  return http.createServer(async (req, res) => {
+    try {
+      if (await handleGitRequest(rootDir, req, res)) return;
+      if (!await route(rootDir, req, res)) {
+        sendJson(res, 404, { error: { code: 'NotFound', message: `No route for ${req.method} ${req.url}`, data: {} } });
+      }
+    } catch (err) {
+      if (res.headersSent) {
+        res.destroy(err);
+        return;
+      }
+      const status = STATUS_BY_ERROR[err.code] || 500;
+      if (err instanceof BodyTooLargeError) {
+        // Answer first, then drop the unread rest of the body with the connection
+        res.setHeader('Connection', 'close');
+        res.on('finish', () => req.destroy());
+      }
+      sendJson(res, status, { error: { code: err.code || 'Error', message: err.message, data: err.data || {} } });
+    }
+  });
+}
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import { InvalidArgumentError } from './errors.js';
+
+// Default identities used when nobody says who made a commit
+export const DEFAULT_AUTHOR = { name: 'API Bot', email: 'bot@example.com' };
+export const DEFAULT_MERGER = { name: 'Merge Bot', email: 'bot@example.com' };
+
+// --- HELPER: Parse "Name <email>" ---
+export function parseIdent(value) {
+  if (typeof value !== 'string') return value;
+  const match = /^\s*(.*?)\s*<([^>]*)>\s*$/.exec(value);
+  if (!match || !match[1]) {
+    throw new InvalidArgumentError(`Invalid identity '${value}'. Expected "Name <email>".`, { value });
+  }
+  return { name: match[1], email: match[2] };
+}
+
+// --- HELPER: Local timezone offset for a timestamp ---
+// (isomorphic-git stores timezoneOffset like Date#getTimezoneOffset: minutes, sign inverted)
+function localOffset(timestamp) {
+  return new Date(timestamp * 1000).getTimezoneOffset();
+}
+
+// e.g. -120 -> "+0200" (or "+02:00" with a ':' separator)
+export function formatZone(timezoneOffset, separator = '') {
+  const sign = timezoneOffset <= 0 ? '+' : '-';
+  const abs = Math.abs(timezoneOffset);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${separator}${String(abs % 60).padStart(2, '0')}`;
+}
+
+// --- HELPER: Parse a commit date into { timestamp, timezoneOffset } ---
+// Accepts git's internal format ("1700000000 +0200", optionally with a leading
+// '@'), unix seconds and anything Date.parse understands. An explicit zone
+// ("+02:00", "Z") is kept; otherwise the local timezone applies.
+// Like git, a bare number is only unix seconds with 9 or more digits (or a
+// leading '@'); shorter ones such as "2024" are refused as ambiguous.
+export function parseSignatureDate(value) {
+  const raw = /^(@?)(\d+)(?:\s+([+-])(\d\d)(\d\d))?$/.exec(value.trim());
+  if (raw) {
+    const [, at, seconds, sign, hours, minutes] = raw;
+    if (!at && seconds.length < 9) {
+      throw new InvalidArgumentError(
+        `Ambiguous date '${value}'. Use @<seconds> for a unix timestamp or a full date such as 2024-05-01.`,
+        { value }
+      );
+    }
+    const timestamp = Number(seconds);
+    const timezoneOffset = sign
+      ? (sign === '-' ? 1 : -1) * (Number(hours) * 60 + Number(minutes)) || 0 // Not -0 for "+0000"
+      : localOffset(timestamp);
+    return { timestamp, timezoneOffset };
+  }
+
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new InvalidArgumentError(`Invalid date '${value}'.`, { value });
+  }
+  const timestamp = Math.floor(ms / 1000);
+
+  const zone = /(Z|([+-])(\d\d):?(\d\d))$/i.exec(value.trim());
+  if (!zone) return { timestamp, timezoneOffset: localOffset(timestamp) };
+  if (zone[1].toUpperCase() === 'Z') return { timestamp, timezoneOffset: 0 };
+  return { timestamp, timezoneOffset: (zone[2] === '-' ? 1 : -1) * (Number(zone[3]) * 60 + Number(zone[4])) || 0 };
+}
+
+// --- HELPER: Build an author/committer object for writeCommit ---
+// Missing timestamps mean "now"; missing offsets mean the local timezone.
+export function makeSignature(person = DEFAULT_AUTHOR) {
+  const timestamp = person.timestamp !== undefined ? person.timestamp : Math.floor(Date.now() / 1000);
+  return {
+    name: person.name,
+    email: person.email,
+    timestamp,
+    timezoneOffset: person.timezoneOffset !== undefined ? person.timezoneOffset : localOffset(timestamp)
+  };
+}
+
+// --- HELPER: Read a repo config value, or undefined ---
+async function readConfig(gitdir, key) {
+  try {
+    return await git.getConfig({ fs, gitdir, path: key });
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// Works out who `role` ('author' or 'committer') is, like git does:
+//   1. `explicit` ("Name <email>" or { name, email }, e.g. from --author)
+//   2. GIT_AUTHOR_NAME / GIT_AUTHOR_EMAIL (GIT_COMMITTER_* for the committer)
+//   3. the repo's user.name / user.email config
+//   4. `fallback` (the bot identities above)
+// The date comes from `date` (e.g. --date), else GIT_AUTHOR_DATE /
+// GIT_COMMITTER_DATE, else now. Returns a signature ready for writeCommit.
+export async function resolveSignature(gitdir, role, { explicit, date, fallback = DEFAULT_AUTHOR } = {}) {
+  const prefix = role === 'committer' ? 'GIT_COMMITTER' : 'GIT_AUTHOR';
+  const given = explicit ? parseIdent(explicit) : {};
+
+  const name = given.name || process.env[`${prefix}_NAME`] || await readConfig(gitdir, 'user.name') || fallback.name;
+  const email = given.email !== undefined ? given.email
+    : process.env[`${prefix}_EMAIL`] || await readConfig(gitdir, 'user.email') || fallback.email;
+
+  const dateValue = date || process.env[`${prefix}_DATE`];
+  const when = dateValue ? parseSignatureDate(String(dateValue)) : {};
+
+  return makeSignature({ name, email, ...when });
+}
+
+// Author and committer for a new commit. Options: { author, committer, date }.
+// As with `git commit --date`, `date` sets the author date only.
+export async function resolveSignatures(gitdir, options = {}, fallback = DEFAULT_AUTHOR) {
+  return {
+    author: await resolveSignature(gitdir, 'author', { explicit: options.author, date: options.date, fallback }),
+    committer: await resolveSignature(gitdir, 'committer', { explicit: options.committer, fallback })
+  };
+}
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import { resolveCommit, peelToCommit, readRef, updateRef, deleteRef } from './refs.js';
+import { resolveSignature } from './signature.js';
+import { AlreadyExistsError, NotFoundError } from './errors.js';
+
+// --- HELPER: Normalize a tag name ---
+// Users might type "v1.0" or "refs/tags/v1.0". We handle both.
+export function tagRef(name) {
+  return `refs/tags/${name.replace(/^refs\/tags\//, '')}`;
+}
+
+// Creates a tag on `target` (branch, tag, SHA or ref; default HEAD).
+// A `message` makes an annotated tag; without it the tag is lightweight.
+// The tagger ("Name <email>" or { name, email }) and `date` resolve like a
+// committer: GIT_COMMITTER_*, then user.name / user.email, then API Bot.
+// Returns { name, type, oid, commit }.
+export async function createTag(gitdir, name, target = 'HEAD', options = {}) {
+  const { message, tagger, date, force = false } = options;
+
+  // --- STEP 1: Determine the Target SHA ---
+  const targetSha = await resolveCommit(gitdir, target);
+
+  // --- STEP 2: Normalize the Tag Name ---
+  const fullRef = tagRef(name);
+  const shortName = fullRef.slice('refs/tags/'.length);
+
+  if (!force && await readRef(gitdir, fullRef) !== null) {
+    throw new AlreadyExistsError(`Tag '${shortName}' already exists. Use --force to move it.`, { ref: fullRef });
+  }
+
+  // --- STEP 3: Create the Tag ---
+  // Without --force the ref must still be missing when it is written (null = must not exist)
+  const expected = force ? undefined : null;
+
+  if (message === undefined) {
+    // Lightweight: just a ref pointing at the commit
+    await updateRef(gitdir, fullRef, targetSha, expected, { message: 'tag: created (lightweight)' });
+    return { name: shortName, type: 'lightweight', oid: targetSha, commit: targetSha };
+  }
+
+  // Annotated: a tag object with tagger and message, and a ref pointing at it
+  const taggerSignature = await resolveSignature(gitdir, 'committer', { explicit: tagger, date });
+  const tagSha = await git.writeTag({
+    fs,
+    gitdir,
+    tag: { object: targetSha, type: 'commit', tag: shortName, tagger: taggerSignature, message }
+  });
+  await updateRef(gitdir, fullRef, tagSha, expected, { message: 'tag: created', committer: taggerSignature });
+
+  return { name: shortName, type: 'annotated', oid: tagSha, commit: targetSha };
+}
+
+// Lists every tag with what it points at.
+// Lightweight tags point straight at a commit. Annotated tags point at a
+// tag object that carries the tagger and message.
+export async function listTags(gitdir) {
+  // This looks in refs/tags/ (and packed-refs)
+  const tags = await git.listTags({ fs, gitdir });
+
+  const results = [];
+  for (const name of tags) {
+    const oid = await git.resolveRef({ fs, gitdir, ref: `refs/tags/${name}` });
+    const { type } = await git.readObject({ fs, gitdir, oid, format: 'parsed' });
+
+    if (type === 'tag') {
+      const { tag } = await git.readTag({ fs, gitdir, oid });
+      results.push({
+        name,
+        type: 'annotated',
+        oid,
+        commit: await peelToCommit(gitdir, oid, name),
+        tagger: tag.tagger ? { name: tag.tagger.name, email: tag.tagger.email, timestamp: tag.tagger.timestamp } : null,
+        message: tag.message
+      });
+    } else {
+      results.push({ name, type: 'lightweight', oid, commit: type === 'commit' ? oid : null, tagger: null, message: null });
+    }
+  }
+  return results;
+}
+
+// Deletes a tag and returns the oid it pointed to.
+// Only the ref goes away; an annotated tag object is left for gc to collect.
+export async function deleteTag(gitdir, name) {
+  const fullRef = tagRef(name);
+  if (await readRef(gitdir, fullRef) === null) {
+    throw new NotFoundError(`Tag '${name}' not found.`, { ref: fullRef });
+  }
+  return await deleteRef(gitdir, fullRef, undefined, { message: 'tag: deleted' });
+}
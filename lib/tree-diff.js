@@ -0,0 +1,142 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import { isBinary } from './blob.js';
+import { diffLines, splitLines } from './diff3.js';
+
+// Tree comparison helpers shared by log, diff and blame.
+//
+// A change is { status, path, old, new } where old/new are { mode, oid } (or
+// null when the side is absent). status is one of:
+//   'A' added, 'D' deleted, 'M' modified (content and/or mode),
+//   'T' type changed (regular file <-> symlink), 'R' renamed (adds oldPath, similarity)
+
+// Renames are only searched among this many added/deleted files
+const MAX_RENAME_CANDIDATES = 200;
+
+// --- HELPER: Find the tree entry at a path (null if missing) ---
+// Same walk as read-file.js's resolveBlobEntry, without throwing.
+export async function entryAtPath(gitdir, treeSha, targetPath) {
+  const parts = (targetPath || '').replace(/^\/+|\/+$/g, '').split('/').filter(Boolean);
+  if (parts.length === 0) return { oid: treeSha, mode: '040000', type: 'tree' };
+
+  let current = { oid: treeSha, type: 'tree' };
+  for (const part of parts) {
+    if (current.type !== 'tree') return null;
+    const result = await git.readTree({ fs, gitdir, oid: current.oid });
+    current = result.tree.find(e => e.path === part);
+    if (!current) return null;
+  }
+  return { oid: current.oid, mode: current.mode, type: current.type };
+}
+
+// Lists every changed file between two trees (either may be null), recursing
+// only into subtrees whose OIDs differ. Paths are reported relative to the
+// trees given, prefixed with `prefix`.
+export async function diffTrees(gitdir, oldTreeSha, newTreeSha, prefix = '') {
+  const readEntries = async (sha) => {
+    if (!sha) return new Map();
+    const res = await git.readTree({ fs, gitdir, oid: sha });
+    return new Map(res.tree.map(e => [e.path, e]));
+  };
+
+  const [oldEntries, newEntries] = await Promise.all([readEntries(oldTreeSha), readEntries(newTreeSha)]);
+  const names = [...new Set([...oldEntries.keys(), ...newEntries.keys()])].sort();
+  const changes = [];
+
+  for (const name of names) {
+    const fullPath = prefix ? `${prefix}/${name}` : name;
+    const before = oldEntries.get(name);
+    const after = newEntries.get(name);
+
+    if (before && after && before.oid === after.oid && before.mode === after.mode) continue;
+
+    const side = (e) => (e ? { mode: e.mode, oid: e.oid } : null);
+    const beforeIsTree = before && before.type === 'tree';
+    const afterIsTree = after && after.type === 'tree';
+
+    // Directories: recurse. A file <-> directory swap is a delete plus adds.
+    if (beforeIsTree || afterIsTree) {
+      if (beforeIsTree) {
+        changes.push(...await diffTrees(gitdir, before.oid, afterIsTree ? after.oid : null, fullPath));
+      } else if (before) {
+        changes.push({ status: 'D', path: fullPath, old: side(before), new: null });
+      }
+      if (afterIsTree && !beforeIsTree) {
+        changes.push(...await diffTrees(gitdir, null, after.oid, fullPath));
+      } else if (after && !afterIsTree) {
+        changes.push({ status: 'A', path: fullPath, old: null, new: side(after) });
+      }
+      continue;
+    }
+
+    let status = 'M';
+    if (!before) status = 'A';
+    else if (!after) status = 'D';
+    else if ((before.mode === '120000') !== (after.mode === '120000')) status = 'T';
+
+    changes.push({ status, path: fullPath, old: side(before), new: side(after) });
+  }
+
+  return changes;
+}
+
+// --- HELPER: Line similarity (0-100) of two blobs ---
+async function similarity(gitdir, oidA, oidB, cache) {
+  const read = async (oid) => {
+    if (!cache.has(oid)) {
+      const { blob } = await git.readBlob({ fs, gitdir, oid });
+      cache.set(oid, isBinary(blob) ? null : splitLines(Buffer.from(blob).toString('utf8')));
+    }
+    return cache.get(oid);
+  };
+
+  const [a, b] = await Promise.all([read(oidA), read(oidB)]);
+  if (!a || !b) return 0; // Binary files only match exactly
+  if (a.length + b.length === 0) return 100;
+
+  const removed = diffLines(a, b).reduce((sum, h) => sum + (h.aEnd - h.aStart), 0);
+  const common = a.length - removed;
+  return Math.floor((200 * common) / (a.length + b.length));
+}
+
+// Pairs up deleted and added files that are really renames: identical blobs
+// first, then text files at least `threshold` percent similar.
+export async function detectRenames(gitdir, changes, { threshold = 50 } = {}) {
+  const deleted = changes.filter(c => c.status === 'D' && c.old.mode !== '040000');
+  const added = changes.filter(c => c.status === 'A');
+  if (deleted.length === 0 || added.length === 0) return changes;
+
+  const renames = new Map(); // added change -> rename change
+  const used = new Set();
+
+  const pair = (from, to, score) => {
+    used.add(from);
+    renames.set(to, { status: 'R', path: to.path, oldPath: from.path, old: from.old, new: to.new, similarity: score });
+  };
+
+  // 1. Exact renames (same blob)
+  for (const to of added) {
+    const from = deleted.find(d => !used.has(d) && d.old.oid === to.new.oid);
+    if (from) pair(from, to, 100);
+  }
+
+  // 2. Similar content, best match first
+  const restDeleted = deleted.filter(d => !used.has(d)).slice(0, MAX_RENAME_CANDIDATES);
+  const restAdded = added.filter(a => !renames.has(a)).slice(0, MAX_RENAME_CANDIDATES);
+  const cache = new Map();
+  const scored = [];
+  for (const to of restAdded) {
+    for (const from of restDeleted) {
+      const score = await similarity(gitdir, from.old.oid, to.new.oid, cache);
+      if (score >= threshold) scored.push({ from, to, score });
+    }
+  }
+  scored.sort((x, y) => y.score - x.score);
+  for (const { from, to, score } of scored) {
+    if (!used.has(from) && !renames.has(to)) pair(from, to, score);
+  }
+
+  return changes
+    .filter(c => !used.has(c))
+    .map(c => renames.get(c) || c);
+}
@@ -0,0 +1,130 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import { InvalidArgumentError, NotFoundError } from './errors.js';
+
+// In-memory editing of a git tree.
+//
+// A tree node is { oid, entries, changed }. `entries` (a Map of name -> entry)
+// is only read from the object store when first needed, and only nodes marked
+// `changed` are written back, so untouched subtrees keep their original OIDs.
+// Entries look like readTree() entries: { mode, type, oid }, plus `node` for
+// subtrees that have been loaded.
+
+// --- HELPER: Clean and split a repo path ---
+export function splitPath(filePath) {
+  const parts = filePath.replace(/^\/+|\/+$/g, '').split('/');
+  if (parts.some(p => p === '' || p === '.' || p === '..')) {
+    throw new InvalidArgumentError(`Invalid path '${filePath}'.`, { path: filePath });
+  }
+  return parts;
+}
+
+// Starts an edit session on a tree (null for an empty tree / root commit)
+export function loadTree(oid) {
+  return { oid, entries: oid ? null : new Map(), changed: false };
+}
+
+async function entriesOf(gitdir, node) {
+  if (!node.entries) {
+    const result = await git.readTree({ fs, gitdir, oid: node.oid });
+    node.entries = new Map(result.tree.map(e => [e.path, { mode: e.mode, type: e.type, oid: e.oid }]));
+  }
+  return node.entries;
+}
+
+function subtreeOf(entry) {
+  if (!entry.node) entry.node = loadTree(entry.oid);
+  return entry.node;
+}
+
+// Returns the entry at `parts`, or null if nothing is there
+export async function getEntry(gitdir, root, parts) {
+  let node = root;
+  for (let i = 0; i < parts.length; i++) {
+    const entry = (await entriesOf(gitdir, node)).get(parts[i]);
+    if (!entry) return null;
+    if (i === parts.length - 1) return entry;
+    if (entry.type !== 'tree') return null;
+    node = subtreeOf(entry);
+  }
+  return null;
+}
+
+// Places `entry` at `parts`, creating intermediate directories as needed.
+// Replaces whatever was there before.
+export async function putEntry(gitdir, root, parts, entry) {
+  let node = root;
+  node.changed = true;
+
+  for (const part of parts.slice(0, -1)) {
+    const entries = await entriesOf(gitdir, node);
+    let dir = entries.get(part);
+
+    if (!dir) {
+      dir = { mode: '040000', type: 'tree', oid: null, node: loadTree(null) };
+      entries.set(part, dir);
+    } else if (dir.type !== 'tree') {
+      throw new InvalidArgumentError(`Path segment '${part}' is a file, not a directory.`, { path: parts.join('/') });
+    }
+
+    node = subtreeOf(dir);
+    node.changed = true;
+  }
+
+  (await entriesOf(gitdir, node)).set(parts[parts.length - 1], entry);
+}
+
+// Removes the entry at `parts` and returns it. Directories left empty are
+// pruned when the tree is written, as remove-file-deep.js has always done.
+export async function removeEntry(gitdir, root, parts) {
+  let node = root;
+  const visited = [root];
+
+  for (const part of parts.slice(0, -1)) {
+    const dir = (await entriesOf(gitdir, node)).get(part);
+    if (!dir || dir.type !== 'tree') {
+      throw new NotFoundError(`Path '${parts.join('/')}' not found.`, { path: parts.join('/') });
+    }
+    node = subtreeOf(dir);
+    visited.push(node);
+  }
+
+  const entries = await entriesOf(gitdir, node);
+  const name = parts[parts.length - 1];
+  const entry = entries.get(name);
+  if (!entry) {
+    throw new NotFoundError(`Path '${parts.join('/')}' not found.`, { path: parts.join('/') });
+  }
+
+  entries.delete(name);
+  for (const n of visited) n.changed = true;
+  return entry;
+}
+
+// Writes every changed tree bottom-up and returns the root tree SHA,
+// or null if the tree ended up empty.
+export async function writeTree(gitdir, node) {
+  if (!node.changed) return node.oid;
+
+  const entries = await entriesOf(gitdir, node);
+  for (const [name, entry] of entries) {
+    if (entry.type === 'tree' && entry.node) {
+      const subTreeSha = await writeTree(gitdir, entry.node);
+      if (subTreeSha === null) {
+        entries.delete(name); // The child folder became empty -> Remove it entirely!
+      } else {
+        entry.oid = subTreeSha;
+      }
+    }
+  }
+
+  if (entries.size === 0) return null;
+
+  node.oid = await git.writeTree({
+    fs,
+    gitdir,
+    tree: [...entries].map(([name, e]) => ({ mode: e.mode, path: name, oid: e.oid, type: e.type }))
+  });
+  node.changed = false;
+  return node.oid;
+}
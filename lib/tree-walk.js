@@ -0,0 +1,91 @@
+import fs from 'fs';
+import git from 'isomorphic-git';
+import { NotFoundError } from './errors.js';
+
+// --- HELPER: Walk to the target tree ---
+// Given a root tree SHA and a path string (e.g. "src/models"),
+// this finds the SHA of the "models" tree.
+export async function resolveTreeSha(dir, rootTreeSha, targetPath) {
+  if (!targetPath || targetPath === '.' || targetPath === '/') {
+    return { sha: rootTreeSha, type: 'tree' };
+  }
+
+  const parts = targetPath.replace(/^\/+|\/+$/g, '').split('/');
+  let currentSha = rootTreeSha;
+  let type = 'tree';
+
+  for (const part of parts) {
+    if (type !== 'tree') {
+      throw new NotFoundError(`Path '${part}' is inside a file, not a directory.`, { path: targetPath });
+    }
+
+    const result = await git.readTree({ fs, gitdir: dir, oid: currentSha });
+    const entry = result.tree.find(e => e.path === part);
+
+    if (!entry) {
+      throw new NotFoundError(`Path '${targetPath}' not found.`, { path: targetPath });
+    }
+
+    currentSha = entry.oid;
+    type = entry.type;
+  }
+
+  return { sha: currentSha, type };
+}
+
+// --- HELPER: Walk to the target Blob ---
+// Given a root tree SHA and a path string (e.g. "src/config.json"), returns the
+// { sha, mode, type } of the entry at that path. Throws if it does not exist.
+export async function resolveBlobEntry(dir, rootTreeSha, targetPath) {
+  const parts = targetPath.replace(/^\/+|\/+$/g, '').split('/');
+  let currentSha = rootTreeSha;
+  let mode = null;
+  let type = 'tree';
+
+  // Walk through the folders
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+
+    // If we are trying to traverse INSIDE a file, error out
+    if (type !== 'tree') {
+       throw new NotFoundError(`Path segment '${parts[i-1]}' is a file, not a directory.`, { path: targetPath });
+    }
+
+    // Read the current tree
+    const result = await git.readTree({ fs, gitdir: dir, oid: currentSha });
+    const entry = result.tree.find(e => e.path === part);
+
+    if (!entry) {
+      throw new NotFoundError(`Path '${targetPath}' not found (missing '${part}').`, { path: targetPath });
+    }
+
+    currentSha = entry.oid;
+    type = entry.type;
+    mode = entry.mode;
+  }
+
+  return { sha: currentSha, mode, type };
+}
+
+// Walks a tree depth first, in tree order, yielding { path, mode, type, oid, depth }
+// for every entry below it. `path` is relative to the tree; direct children have
+// depth 1. Options:
+//   maxDepth - do not descend below this depth
+//   skip     - skip(entry) returning true leaves the entry (and everything in it) out
+//   cache    - an isomorphic-git object cache
+// Submodule links (type 'commit') are yielded but not entered.
+export async function* walkTree(dir, treeSha, { maxDepth = Infinity, skip = () => false, cache = {} } = {}) {
+  async function* walk(sha, prefix, depth) {
+    const { tree } = await git.readTree({ fs, gitdir: dir, oid: sha, cache });
+    for (const e of tree) {
+      const entry = { path: prefix + e.path, mode: e.mode, type: e.type, oid: e.oid, depth };
+      if (skip(entry)) continue;
+      yield entry;
+      if (e.type === 'tree' && depth < maxDepth) {
+        yield* walk(e.oid, `${entry.path}/`, depth + 1);
+      }
+    }
+  }
+
+  yield* walk(treeSha, '', 1);
+}
@@ -1,6 +1,4 @@
-import fs from 'fs';
-import git from 'isomorphic-git';
-import path from 'path';
+import { BareRepo } from './index.js';
 
 // Parse arguments
 const repoPath = process.argv[2];
@@ -10,19 +8,13 @@ if (!repoPath) {
   process.exit(1);
 }
 
-const gitdir = path.resolve(repoPath);
+const repo = new BareRepo(repoPath);
 
 async function main() {
   try {
-    console.log(`Open Repo: ${gitdir}\n`);
-    
-    // --- STEP 1: Get list of branch names ---
-    // This looks in refs/heads/ for all files
-    const branches = await git.listBranches({
-      fs,
-      gitdir,
-      remote: undefined // We only want local branches, not remote references
-    });
+    console.log(`Open Repo: ${repo.gitdir}\n`);
+
+    const branches = await repo.listBranches();
 
     if (branches.length === 0) {
       console.log("No branches found (Repo might be empty).");
@@ -32,33 +24,17 @@ async function main() {
     console.log("Available Branches:");
     console.log("-------------------");
 
-    // --- STEP 2: Iterate and Resolve SHAs ---
-    // We loop through each name and find out what Commit ID it points to.
-    for (const branch of branches) {
-      const sha = await git.resolveRef({
-        fs,
-        gitdir,
-        ref: `refs/heads/${branch}`
-      });
-
-      // Check if this branch is what HEAD points to
-      let isHead = false;
-      try {
-        const headRef = await git.resolveRef({ fs, gitdir, ref: 'HEAD', depth: 2 });
-        // git.resolveRef with depth returns the Ref name (e.g. refs/heads/main) if possible
-        // But simpler check: read the HEAD file directly or use currentSha logic.
-        // Let's stick to a simpler visual check:
-      } catch (e) {}
-
-      // A simple formatting to look like "git branch -v"
-      console.log(`* ${branch.padEnd(15)} [${sha.slice(0, 7)}]`);
+    // A simple formatting to look like "git branch -v"
+    for (const { name, oid } of branches) {
+      console.log(`* ${name.padEnd(15)} [${oid.slice(0, 7)}]`);
     }
 
     console.log("\nTotal:", branches.length);
 
   } catch (err) {
     console.error("Error:", err.message);
+    process.exit(1);
   }
 }
 
-main();
\ No newline at end of file
+main();
@@ -1,92 +1,75 @@
-import fs from 'fs';
-import git from 'isomorphic-git';
-import path from 'path';
+import { BareRepo } from './index.js';
+import { parseFlags } from './lib/args.js';
+import { listingName } from './lib/output.js';
 
-// Parse arguments
-const repoPath = process.argv[2];
-const refName = process.argv[3] || 'HEAD'; // Default to HEAD
-const folderPath = process.argv[4] || '';  // Default to root
+const usage = "Usage: node list-files.js <repo> [ref] [folder-path] [--recursive | --tree] [--max-depth N] [--include <glob>]... [--exclude <glob>]... [--long] [--json]";
 
-if (!repoPath) {
-  console.error("Usage: node list-files.js <repo> [ref] [folder-path]");
+// Parse arguments
+let parsed;
+try {
+  parsed = parseFlags(process.argv.slice(2), {
+    boolean: ['recursive', 'r', 'tree', 'long', 'json'],
+    value: ['max-depth'],
+    list: ['include', 'exclude']
+  });
+} catch (err) {
+  console.error("Error:", err.message);
+  console.error(usage);
   process.exit(1);
 }
+const { options } = parsed;
+const [repoPath, refName = 'HEAD', folderPath = ''] = parsed.positional; // Default to HEAD and the root
 
-const gitdir = path.resolve(repoPath);
-
-// --- HELPER: Walk to the target tree ---
-// Given a root tree SHA and a path string (e.g. "src/models"),
-// this finds the SHA of the "models" tree.
-async function resolveTreeSha(dir, rootTreeSha, targetPath) {
-  if (!targetPath || targetPath === '.' || targetPath === '/') {
-    return { sha: rootTreeSha, type: 'tree' };
-  }
-
-  const parts = targetPath.replace(/^\/+|\/+$/g, '').split('/');
-  let currentSha = rootTreeSha;
-  let type = 'tree';
-
-  for (const part of parts) {
-    if (type !== 'tree') {
-      throw new Error(`Path '${part}' is inside a file, not a directory.`);
-    }
-
-    const result = await git.readTree({ fs, gitdir: dir, oid: currentSha });
-    const entry = result.tree.find(e => e.path === part);
-
-    if (!entry) {
-      throw new Error(`Path '${targetPath}' not found.`);
-    }
-
-    currentSha = entry.oid;
-    type = entry.type;
-  }
-
-  return { sha: currentSha, type };
+if (!repoPath || parsed.positional.length > 3) {
+  console.error(usage);
+  process.exit(1);
 }
 
+const repo = new BareRepo(repoPath);
+
 async function main() {
   try {
-    console.log(`Open Repo: ${gitdir}`);
-    console.log(`Ref:       ${refName}`);
-    console.log(`Path:      ${folderPath || '(root)'}\n`);
-
-    // --- STEP 1: Resolve the Commit ---
-    let commitSha;
-    try {
-      commitSha = await git.resolveRef({ fs, gitdir, ref: refName });
-    } catch (e) {
-      throw new Error(`Ref '${refName}' not found.`);
+    if (!options.json) {
+      console.log(`Open Repo: ${repo.gitdir}`);
+      console.log(`Ref:       ${refName}`);
+      console.log(`Path:      ${folderPath || '(root)'}\n`);
     }
 
-    // --- STEP 2: Get Root Tree ---
-    const commit = await git.readCommit({ fs, gitdir, oid: commitSha });
-    const rootTreeSha = commit.commit.tree;
-
-    // --- STEP 3: Navigate to Target Folder ---
-    const target = await resolveTreeSha(gitdir, rootTreeSha, folderPath);
+    // Branches, tags (annotated tags are peeled) and SHAs all work here.
+    // --tree lists recursively like --recursive, but indents names instead of printing full paths.
+    // --include / --exclude take globs like "*.md" or "docs/**" and may be repeated.
+    const target = await repo.listFiles(refName, folderPath, {
+      recursive: !!(options.recursive || options.r || options.tree),
+      maxDepth: options['max-depth'],
+      include: options.include,
+      exclude: options.exclude,
+      long: !!options.long
+    });
+
+    // One document with every entry, e.g. for indexers
+    if (options.json) {
+      console.log(JSON.stringify(target, null, 2));
+      return;
+    }
 
     // Edge Case: If the user asked for a file path, just show that file info
     if (target.type === 'blob') {
-       console.log(`(Item is a file, SHA: ${target.sha.slice(0,7)})`);
+       console.log(`(Item is a file, SHA: ${target.oid.slice(0,7)}${options.long ? `, ${target.size} bytes` : ''})`);
        return;
     }
 
-    // --- STEP 4: List Contents ---
-    const result = await git.readTree({ fs, gitdir, oid: target.sha });
-    const entries = result.tree;
-
-    console.log(`Mode      Type    SHA       Name`);
-    console.log(`----------------------------------------`);
+    console.log(`Mode      Type    SHA     ${options.long ? '    Size ' : ''}  Name`);
+    console.log(`----------------------------------------${options.long ? '---------' : ''}`);
 
-    for (const entry of entries) {
+    for (const entry of target.entries) {
       const typeStr = entry.type.padEnd(7);
       const shaStr = entry.oid.slice(0, 7);
-      
+      const sizeStr = options.long ? ` ${String(entry.size !== undefined ? entry.size : '-').padStart(8)}` : '';
+
       // Add a slash to directories for visual clarity
-      const nameStr = entry.type === 'tree' ? `${entry.path}/` : entry.path;
-      
-      console.log(`${entry.mode}    ${typeStr} ${shaStr}   ${nameStr}`);
+      const nameStr = listingName(entry, options.tree);
+
+      console.log(`${entry.mode}    ${typeStr} ${shaStr}${sizeStr}   ${nameStr}`);
     }
 
   } catch (err) {
@@ -95,4 +78,4 @@ async function main() {
   }
 }
 
-main();
\ No newline at end of file
+main();
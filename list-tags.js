@@ -0,0 +1,48 @@
+import { BareRepo } from './index.js';
+
+// Parse arguments
+const repoPath = process.argv[2];
+const asJson = process.argv[3] === '--json';
+
+if (!repoPath || (process.argv[3] && !asJson)) {
+  console.error("Usage: node list-tags.js <repo> [--json]");
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+async function main() {
+  try {
+    const results = await repo.listTags();
+
+    // --- Output ---
+    if (asJson) {
+      console.log(JSON.stringify(results, null, 2));
+      return;
+    }
+
+    console.log(`Open Repo: ${repo.gitdir}\n`);
+
+    if (results.length === 0) {
+      console.log("No tags found.");
+      return;
+    }
+
+    console.log("Tags:");
+    console.log("-----");
+
+    for (const t of results) {
+      const target = t.commit ? t.commit.slice(0, 7) : t.oid.slice(0, 7);
+      const summary = t.message ? `  ${t.message.split('\n')[0]}` : '';
+      console.log(`  ${t.name.padEnd(15)} [${target}] ${t.type.padEnd(11)}${summary}`);
+    }
+
+    console.log("\nTotal:", results.length);
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,83 @@
+import { BareRepo } from './index.js';
+import { formatGitDate } from './lib/history.js';
+
+// Parse arguments
+const booleanFlags = ['json', 'follow'];
+const valueFlags = ['max-count', 'skip', 'since', 'until', 'author', 'path'];
+const options = {};
+const positional = [];
+
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (!arg.startsWith('--')) {
+    positional.push(arg);
+    continue;
+  }
+  const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+  if (booleanFlags.includes(key)) {
+    options[key] = true;
+  } else if (valueFlags.includes(key)) {
+    options[key] = inlineValue !== undefined ? inlineValue : args[++i];
+  } else {
+    options.unknown = arg;
+  }
+}
+
+const repoPath = positional[0];
+const refName = positional[1] || 'HEAD'; // Default to HEAD
+
+if (!repoPath || options.unknown || valueFlags.some(f => f in options && options[f] === undefined)) {
+  console.error("Usage: node log.js <repo> [ref] [--max-count N] [--skip N] [--since DATE] [--until DATE] [--author PATTERN] [--path PATH] [--follow] [--json]");
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+async function main() {
+  try {
+    const results = await repo.log(refName, {
+      maxCount: options['max-count'],
+      skip: options.skip,
+      since: options.since,
+      until: options.until,
+      author: options.author,
+      path: options.path,
+      follow: options.follow
+    });
+
+    // --- Output ---
+    if (options.json) {
+      console.log(JSON.stringify(results, null, 2));
+      return;
+    }
+
+    if (results.length === 0) {
+      console.log("No commits found.");
+      return;
+    }
+
+    for (const entry of results) {
+      console.log(`commit ${entry.oid}`);
+      if (entry.parents.length > 1) {
+        console.log(`Merge:  ${entry.parents.map(p => p.slice(0, 7)).join(' ')}`);
+      }
+      console.log(`Author: ${entry.author.name} <${entry.author.email}>`);
+      console.log(`Date:   ${formatGitDate(entry.author.timestamp, entry.author.timezoneOffset)}`);
+      if (entry.renamedFrom) {
+        console.log(`Rename: ${entry.renamedFrom} -> ${entry.path}`);
+      }
+      console.log('');
+      for (const line of entry.message.replace(/\n+$/, '').split('\n')) {
+        console.log(`    ${line}`);
+      }
+      console.log('');
+    }
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,143 +1,117 @@
-import fs from 'fs';
-import git from 'isomorphic-git';
-import path from 'path';
-
-const repoPath = process.argv[2];
-const sourceBranch = process.argv[3];
-const destBranch = process.argv[4];
-// Optional: JSON string of merge conflict resolutions (e.g., '{"test1.txt": "resolved content"}')
-const resolutionsRaw = process.argv[5];
-
-if (!repoPath || !sourceBranch || !destBranch) {
-    console.error("Usage: node merge-branch.js <repo> <source> <dest> [json-resolutions]");
+import { BareRepo, MergeConflictError } from './index.js';
+import { parseFlags, COMMIT_FLAGS, COMMIT_USAGE, commitOptions } from './lib/args.js';
+import { describeConflict } from './lib/output.js';
+
+// Parse arguments (flags may appear anywhere)
+const usage = `Usage: node merge-branch.js <repo> <source> <dest> [json-resolutions] [--ff | --ff-only | --no-ff] [--squash] [--strategy-option=ours|theirs] [--conflict-markers] [--preview] ${COMMIT_USAGE}`;
+
+let parsed;
+try {
+    parsed = parseFlags(process.argv.slice(2), {
+        boolean: ['conflict-markers', 'ff', 'ff-only', 'no-ff', 'squash', 'preview', 'dry-run'],
+        value: ['strategy-option', ...COMMIT_FLAGS]
+    });
+} catch (err) {
+    console.error("Error:", err.message);
+    console.error(usage);
+    process.exit(1);
+}
+const flags = parsed.options;
+const positional = parsed.positional;
+
+const repoPath = positional[0];
+const sourceBranch = positional[1];
+const destBranch = positional[2];
+// Optional: JSON string of merge conflict resolutions, keyed by full path (e.g., '{"src/test1.txt": "resolved content"}')
+const resolutionsRaw = positional[3];
+// Optional: write conflicting hunks with diff3 markers instead of failing
+const writeConflictMarkers = !!flags['conflict-markers'];
+
+// Fast-forward handling (mirrors `git merge`):
+//   --ff       fast-forward when possible, otherwise create a merge commit (default)
+//   --ff-only  refuse to merge unless the dest can be fast-forwarded
+//   --no-ff    always create a merge commit
+//   --squash   create a single-parent commit with the merged tree
+const ffModes = ['ff', 'ff-only', 'no-ff'].filter(f => flags[f]);
+const ffMode = ffModes.length > 0 ? ffModes[0] : 'ff';
+const squash = !!flags.squash;
+
+// Optional: --preview (alias --dry-run) runs the whole merge in memory and prints a
+// JSON report to stdout. Nothing is written to the object store and no ref moves.
+const preview = !!(flags.preview || flags['dry-run']);
+
+// Optional: --strategy-option=ours|theirs resolves conflicting hunks automatically
+const strategyOption = flags['strategy-option'] || null;
+
+if (!repoPath || !sourceBranch || !destBranch || positional.length > 4) {
+    console.error(usage);
     process.exit(1);
 }
 
-const gitdir = path.resolve(repoPath);
-console.log(`Open Repo: ${gitdir}`);
-console.log("Resolutions Raw:", resolutionsRaw);
-const resolutions = resolutionsRaw ? JSON.parse(resolutionsRaw) : {};
-
-// Performs a 3-way tree merge with optional conflict resolution
-async function mergeTrees(baseTreeSha, ourTreeSha, theirTreeSha) {
-
-    const readEntries = async (sha) => {
-        if (!sha) return new Map();
-        const res = await git.readTree({ fs, gitdir, oid: sha });
-        return new Map(res.tree.map(e => [e.path, e]));
-    };
-
-    const baseEntries = await readEntries(baseTreeSha);
-    const ourEntries = await readEntries(ourTreeSha);
-    const theirEntries = await readEntries(theirTreeSha);
-
-    const allPaths = new Set([
-        ...baseEntries.keys(), ...ourEntries.keys(), ...theirEntries.keys()
-    ]);
-
-    const newEntries = [];
-
-    for (const p of allPaths) {
-        const base = baseEntries.get(p);
-        const ours = ourEntries.get(p);
-        const theirs = theirEntries.get(p);
-
-        const baseSha = base ? base.oid : null;
-        const ourSha = ours ? ours.oid : null;
-        const theirSha = theirs ? theirs.oid : null;
-
-        // Handle directories recursively
-        const isDir = (ours && ours.type === 'tree') || (theirs && theirs.type === 'tree');
-        if (isDir) {
-            const mergedSubTreeSha = await mergeTrees(baseSha, ourSha, theirSha);
-            if (mergedSubTreeSha) {
-                newEntries.push({ mode: '040000', path: p, oid: mergedSubTreeSha, type: 'tree' });
-            }
-            continue;
-        }
-
-        // Merge file blobs
-        if (ourSha === theirSha) {
-            if (ours) newEntries.push(ours);
-        }
-        else if (ourSha === baseSha && theirSha !== baseSha) {
-            if (theirs) newEntries.push(theirs);
-        }
-        else if (ourSha !== baseSha && theirSha === baseSha) {
-            if (ours) newEntries.push(ours);
-        }
-        else {
-            // Conflict detected - check for user-provided resolution
-            console.log(`Conflict detected at: ${p}`);
-
-            if (resolutions[p]) {
-                console.log(` -> Resolution provided for '${p}'. Applying...`);
-
-                const resolvedSha = await git.writeBlob({
-                    fs,
-                    gitdir,
-                    blob: new Uint8Array(Buffer.from(resolutions[p]))
-                });
-
-                newEntries.push({
-                    mode: '100644',
-                    path: p,
-                    oid: resolvedSha,
-                    type: 'blob'
-                });
-            } else {
-                throw new Error(`Merge Conflict at file '${p}'. No resolution provided.`);
-            }
-        }
-    }
+if (ffModes.length > 1 || (squash && ffMode === 'no-ff')) {
+    console.error("Error: --ff, --ff-only and --no-ff are mutually exclusive, and --squash cannot be combined with --no-ff.");
+    process.exit(1);
+}
 
-    if (newEntries.length === 0) return null;
-    return await git.writeTree({ fs, gitdir, tree: newEntries });
+if (strategyOption !== null && strategyOption !== 'ours' && strategyOption !== 'theirs') {
+    console.error(`Error: Unknown strategy option '${strategyOption}'. Use 'ours' or 'theirs'.`);
+    process.exit(1);
 }
 
+// In preview mode stdout is reserved for the JSON report, so progress goes to stderr
+const log = preview ? console.error : console.log;
+
+const repo = new BareRepo(repoPath);
+log(`Open Repo: ${repo.gitdir}`);
+log("Resolutions Raw:", resolutionsRaw);
+
 async function main() {
     try {
-        // Resolve branch references
-        const sourceRef = sourceBranch.startsWith('refs/') ? sourceBranch : `refs/heads/${sourceBranch}`;
-        const destRef = destBranch.startsWith('refs/') ? destBranch : `refs/heads/${destBranch}`;
-        const sourceSha = await git.resolveRef({ fs, gitdir, ref: sourceRef });
-        const destSha = await git.resolveRef({ fs, gitdir, ref: destRef });
-
-        // Find merge base
-        const mergeBases = await git.findMergeBase({ fs, gitdir, oids: [destSha, sourceSha] });
-        const baseSha = mergeBases[0];
-
-        // Read commit trees
-        const baseCommit = await git.readCommit({ fs, gitdir, oid: baseSha });
-        const sourceCommit = await git.readCommit({ fs, gitdir, oid: sourceSha });
-        const destCommit = await git.readCommit({ fs, gitdir, oid: destSha });
-
-        // Perform 3-way merge
-        const newTreeSha = await mergeTrees(
-            baseCommit.commit.tree,
-            destCommit.commit.tree,
-            sourceCommit.commit.tree
-        );
-
-        // Create merge commit and update reference
-        const author = { name: 'Merge Bot', email: 'bot@example.com', timestamp: Math.floor(Date.now() / 1000), timezoneOffset: 0 };
-        const mergeCommitSha = await git.writeCommit({
-            fs, gitdir,
-            commit: {
-                message: `Merge branch '${sourceBranch}' into '${destBranch}'`,
-                tree: newTreeSha,
-                parent: [destSha, sourceSha],
-                author: author, committer: author
-            }
-        });
-
-        await git.writeRef({ fs, gitdir, ref: destRef, value: mergeCommitSha, force: true });
-        console.log(`Success! New Commit: ${mergeCommitSha.slice(0, 7)}`);
+        const options = {
+            resolutions: resolutionsRaw ? JSON.parse(resolutionsRaw) : {},
+            ff: ffMode,
+            squash,
+            strategyOption,
+            conflictMarkers: writeConflictMarkers,
+            ...commitOptions(flags),
+            log
+        };
+
+        // --- Preview: report what the merge would do, as JSON ---
+        if (preview) {
+            const report = await repo.previewMerge(sourceBranch, destBranch, options);
+            console.log(JSON.stringify(report, null, 2));
+            return;
+        }
+
+        const result = await repo.merge(sourceBranch, destBranch, options);
+
+        switch (result.status) {
+            case 'up-to-date':
+                console.log(`Already up to date. '${sourceBranch}' is already merged into '${destBranch}'.`);
+                break;
+            case 'fast-forward':
+                console.log(`Fast-forward ${result.dest.oid.slice(0, 7)}..${result.oid.slice(0, 7)}`);
+                console.log(`Success! '${destBranch}' now points to ${result.oid.slice(0, 7)}`);
+                break;
+            case 'no-changes':
+                console.log("Squash produced no changes. Nothing to commit.");
+                break;
+            default:
+                for (const conflict of result.conflicts) describeConflict(conflict).forEach(line => console.log(line));
+                if (result.conflicts.length > 0) {
+                    console.log(`Committed with conflict markers in ${result.conflicts.length} file(s).`);
+                }
+                console.log(`Success! New Commit: ${result.oid.slice(0, 7)}`);
+        }
 
     } catch (err) {
+        if (err instanceof MergeConflictError) {
+            for (const conflict of err.data.conflicts) describeConflict(conflict).forEach(line => console.log(line));
+        }
         console.error("Merge Failed:", err.message);
         process.exit(1);
     }
 }
 
-main();
\ No newline at end of file
+main();
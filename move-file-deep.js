@@ -0,0 +1,48 @@
+import { BareRepo } from './index.js';
+import { parseFlags, COMMIT_FLAGS, COMMIT_USAGE, commitOptions } from './lib/args.js';
+
+const usage = `Usage: node move-file-deep.js <repo> <ref> <from> <to> [--force] [--expect <parent-sha>] ${COMMIT_USAGE}`;
+
+// Parse arguments
+let parsed;
+try {
+  parsed = parseFlags(process.argv.slice(2), { boolean: ['force'], value: [...COMMIT_FLAGS, 'expect'] });
+} catch (err) {
+  console.error("Error:", err.message);
+  console.error(usage);
+  process.exit(1);
+}
+const [repoPath, refName, fromPath, toPath] = parsed.positional; // e.g. "main", "src/old", "src/new"
+
+if (!repoPath || !refName || !fromPath || !toPath || parsed.positional.length > 4) {
+  console.error(usage);
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+async function main() {
+  try {
+    console.log(`Open Repo: ${repo.gitdir}`);
+
+    // The file or folder keeps its SHA: only the trees above it are rewritten.
+    // Missing folders at the destination are created, emptied ones are pruned.
+    const result = await repo.moveFile(refName, fromPath, toPath, {
+      force: !!parsed.options.force,
+      ...(parsed.options.expect !== undefined ? { expectedParent: parsed.options.expect } : {}),
+      ...commitOptions(parsed.options)
+    });
+
+    console.log(`Parent Commit (${refName}): ${result.parent.slice(0, 7)}`);
+    console.log(`New Root Tree: ${result.tree.slice(0, 7)}`);
+    console.log(result.changes[0]);
+
+    console.log(`Success! Moved ${fromPath} to ${toPath}. New Commit: ${result.commit.slice(0,7)}`);
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
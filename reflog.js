@@ -0,0 +1,49 @@
+import { BareRepo } from './index.js';
+import { parseFlags } from './lib/args.js';
+import { printReflog } from './lib/output.js';
+
+const usage = "Usage: node reflog.js <repo> [ref] [--max-count N] [--json]";
+
+// Parse arguments
+let parsed;
+try {
+  parsed = parseFlags(process.argv.slice(2), { boolean: ['json'], value: ['max-count'] });
+} catch (err) {
+  console.error("Error:", err.message);
+  console.error(usage);
+  process.exit(1);
+}
+const [repoPath, refName = 'HEAD'] = parsed.positional;
+const maxCount = parsed.options['max-count'] !== undefined ? Number(parsed.options['max-count']) : undefined;
+
+if (!repoPath || parsed.positional.length > 2 || (maxCount !== undefined && !(Number.isInteger(maxCount) && maxCount >= 0))) {
+  console.error(usage);
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+async function main() {
+  try {
+    const result = await repo.reflog(refName);
+    if (maxCount !== undefined) result.entries = result.entries.slice(0, maxCount);
+
+    if (parsed.options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+
+    console.log(`Open Repo: ${repo.gitdir}`);
+    if (result.entries.length === 0) {
+      console.log(`Reflog of '${result.ref}' is empty.`);
+      return;
+    }
+    printReflog(result);
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
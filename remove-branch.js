@@ -1,6 +1,4 @@
-import fs from 'fs';
-import git from 'isomorphic-git';
-import path from 'path';
+import { BareRepo } from './index.js';
 
 // Parse arguments
 const repoPath = process.argv[2];
@@ -11,35 +9,16 @@ if (!repoPath || !branchName) {
   process.exit(1);
 }
 
-const gitdir = path.resolve(repoPath);
+const repo = new BareRepo(repoPath);
 
 async function main() {
   try {
-    console.log(`Open Repo: ${gitdir}`);
-
-    // --- STEP 1: Normalize the Ref Name ---
-    // Users might type "main" or "refs/heads/main". We handle both.
-    const fullRef = branchName.startsWith('refs/heads/') 
-      ? branchName 
-      : `refs/heads/${branchName}`;
-
-    // --- STEP 2: Check if it exists (Optional but good UX) ---
-    // deleteRef doesn't always throw if the ref is missing, so checking first is nicer.
-    try {
-      const currentSha = await git.resolveRef({ fs, gitdir, ref: fullRef });
-      console.log(`Deleting branch '${fullRef}' (was pointing to ${currentSha.slice(0, 7)})...`);
-    } catch (e) {
-      throw new Error(`Branch '${branchName}' not found.`);
-    }
-
-    // --- STEP 3: Delete the Ref ---
-    await git.deleteRef({
-      fs,
-      gitdir,
-      ref: fullRef
-    });
-
-    console.log(`Success! Branch '${branchName}' deleted.`);
+    console.log(`Open Repo: ${repo.gitdir}`);
+
+    const oldSha = await repo.deleteBranch(branchName);
+    console.log(`Deleted branch '${branchName}' (was pointing to ${oldSha.slice(0, 7)}).`);
+
+    console.log(`Success! Branch '${branchName}' deleted. Undo with: node restore-branch.js ${repoPath} ${branchName}`);
 
   } catch (err) {
     console.error("Error:", err.message);
@@ -47,4 +26,4 @@ async function main() {
   }
 }
 
-main();
\ No newline at end of file
+main();
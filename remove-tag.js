@@ -0,0 +1,30 @@
+import { BareRepo } from './index.js';
+
+// Parse arguments
+const repoPath = process.argv[2];
+const tagName = process.argv[3];
+
+if (!repoPath || !tagName) {
+  console.error("Usage: node remove-tag.js <repo> <tag-name>");
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+async function main() {
+  try {
+    console.log(`Open Repo: ${repo.gitdir}`);
+
+    // Only the ref goes away; an annotated tag object is left for gc to collect.
+    const oldSha = await repo.deleteTag(tagName);
+    console.log(`Deleted tag '${tagName}' (was pointing to ${oldSha.slice(0, 7)}).`);
+
+    console.log(`Success! Tag '${tagName}' deleted.`);
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,41 @@
+import { BareRepo } from './index.js';
+import { parseFlags } from './lib/args.js';
+
+const usage = "Usage: node reset-branch.js <repo> <branch-name> <target> [--expect <sha>]   (target e.g. main@{1})";
+
+// Parse arguments
+let parsed;
+try {
+  parsed = parseFlags(process.argv.slice(2), { value: ['expect'] });
+} catch (err) {
+  console.error("Error:", err.message);
+  console.error(usage);
+  process.exit(1);
+}
+const [repoPath, branchName, target] = parsed.positional;
+
+if (!repoPath || !branchName || !target || parsed.positional.length > 3) {
+  console.error(usage);
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+async function main() {
+  try {
+    console.log(`Open Repo: ${repo.gitdir}`);
+
+    const { ref, oldOid, oid } = await repo.resetBranch(branchName, target, {
+      ...(parsed.options.expect !== undefined ? { expectedParent: parsed.options.expect } : {})
+    });
+    console.log(`Moved '${ref}' from ${oldOid.slice(0, 7)} to ${oid.slice(0, 7)}.`);
+
+    console.log(`Success! Branch '${branchName}' reset to ${target}.`);
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,30 @@
+import { BareRepo } from './index.js';
+
+// Parse arguments
+const repoPath = process.argv[2];
+const branchName = process.argv[3];
+
+if (!repoPath || !branchName) {
+  console.error("Usage: node restore-branch.js <repo> <branch-name>");
+  process.exit(1);
+}
+
+const repo = new BareRepo(repoPath);
+
+async function main() {
+  try {
+    console.log(`Open Repo: ${repo.gitdir}`);
+
+    // The reflog outlives the branch, so its last entry says where the branch was
+    const { ref, oid } = await repo.restoreBranch(branchName);
+    console.log(`Restored '${ref}' to ${oid.slice(0, 7)}.`);
+
+    console.log(`Success! Branch '${branchName}' is back.`);
+
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+main();
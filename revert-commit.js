@@ -0,0 +1,6 @@
+import { runApplyCommitsScript } from './lib/apply-commits-script.js';
+
+// Usage: node revert-commit.js <repo> <dest> <commit|from..to>... [--mainline N] [--resolutions <json|@file>] ...
+// Each commit is undone by a new "Revert ..." commit on <dest>, newest first.
+// The branch only moves if all of them can be undone.
+process.exitCode = await runApplyCommitsScript(process.argv.slice(2), { revert: true });
@@ -1,31 +1,39 @@
-import { exec } from 'child_process';
-import path from 'path';
+import { BareRepo } from './index.js';
+import { parseFlags } from './lib/args.js';
+import { printGcReport } from './lib/output.js';
 
-const repoPath = process.argv[2];
+const usage = "Usage: node run-gc.js <repo> [--dry-run] [--prune <date>|now|never]";
 
-if (!repoPath) {
-  console.error("Usage: node run-gc.js <repo>");
+// Parse arguments
+let parsed;
+try {
+  parsed = parseFlags(process.argv.slice(2), { boolean: ['dry-run'], value: ['prune'] });
+} catch (err) {
+  console.error("Error:", err.message);
+  console.error(usage);
   process.exit(1);
 }
+const repoPath = parsed.positional[0];
 
-const gitdir = path.resolve(repoPath);
+if (!repoPath || parsed.positional.length > 1) {
+  console.error(usage);
+  process.exit(1);
+}
 
-console.log(`Running Garbage Collection on: ${gitdir}`);
+const repo = new BareRepo(repoPath);
 
-// We use 'git gc --auto' which is the standard "gentle" optimization.
-// It checks if the repo is messy enough to need cleaning before doing work.
-// usage: git --git-dir=... gc --auto
-exec(`git --git-dir="${gitdir}" gc --auto`, (error, stdout, stderr) => {
-    if (error) {
-        console.error(`Exec error: ${error}`);
-        return;
-    }
-    if (stderr) {
-        // Git often prints progress to stderr, so we log it but don't treat it as a failure
-        console.log(`Git Output: ${stderr}`);
-    }
-    if (stdout) {
-        console.log(stdout);
-    }
-    console.log("Garbage collection complete.");
-});
\ No newline at end of file
+console.log(`Running Garbage Collection on: ${repo.gitdir}`);
+
+// Packs reachable objects, prunes unreachable ones older than --prune
+// (default: 2 weeks ago) and packs refs. No git binary needed.
+repo.gc({
+  dryRun: !!parsed.options['dry-run'],
+  pruneExpire: parsed.options.prune,
+  log: (line) => console.log(line)
+}).then((report) => {
+  printGcReport(report);
+  console.log(report.dryRun ? "Dry run complete." : "Garbage collection complete.");
+}).catch((err) => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { createRepo } from './helpers.js';
+
+const SCRIPT = fileURLToPath(new URL('../add-file-deep.js', import.meta.url));
+const ENV = { ...process.env, GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' };
+
+// --- HELPER: Run add-file-deep.js, optionally with stdin ---
+function addFile(args, input) {
+  const result = spawnSync(process.execPath, [SCRIPT, ...args], { input, env: ENV, encoding: 'utf8', timeout: 60000 });
+  return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('content comes from the argument, stdin or --file', async (t) => {
+  const { root, repo, cleanup } = await createRepo();
+  t.after(cleanup);
+
+  assert.equal(addFile([repo.gitdir, 'main', 'arg.txt', 'from the argument\n']).code, 0);
+  assert.equal((await repo.readFile('main', 'arg.txt')).content.toString(), 'from the argument\n');
+
+  assert.equal(addFile([repo.gitdir, 'main', 'stdin.txt', '-'], 'from stdin\n').code, 0);
+  assert.equal((await repo.readFile('main', 'stdin.txt')).content.toString(), 'from stdin\n');
+
+  const bytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff, 0xfe]);
+  fs.writeFileSync(path.join(root, 'logo.png'), bytes);
+  assert.equal(addFile([repo.gitdir, 'main', 'img/logo.png', '--file', path.join(root, 'logo.png')]).code, 0);
+  const logo = await repo.readFile('main', 'img/logo.png');
+  assert.deepEqual(logo.content, bytes);
+  assert.equal(logo.binary, true);
+
+  const both = addFile([repo.gitdir, 'main', 'x.txt', 'text', '--file', path.join(root, 'logo.png')]);
+  assert.equal(both.code, 1);
+  assert.match(both.stderr, /either a content argument or --file/);
+});
+
+test('--mode commits executables and symlinks, and a replaced file keeps its mode', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+
+  assert.equal(addFile([repo.gitdir, 'main', 'run.sh', '#!/bin/sh\n', '--mode', '100755']).code, 0);
+  assert.equal((await repo.readFile('main', 'run.sh')).mode, '100755');
+  assert.equal(addFile([repo.gitdir, 'main', 'run.sh', '#!/bin/sh\necho hi\n']).code, 0);
+  assert.equal((await repo.readFile('main', 'run.sh')).mode, '100755');
+
+  assert.equal(addFile([repo.gitdir, 'main', 'latest', 'run.sh', '--mode', '120000']).code, 0);
+  const link = await repo.readFile('main', 'latest');
+  assert.equal(link.mode, '120000');
+  assert.equal(link.content.toString(), 'run.sh');
+
+  assert.equal(addFile([repo.gitdir, 'main', 'bad', 'x', '--mode', '100600']).code, 1);
+});
+
+test('content that starts with "-" needs "--"', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const before = await repo.resolve('main');
+
+  const refused = addFile([repo.gitdir, 'main', 'notes.txt', '-x']);
+  assert.equal(refused.code, 1);
+  assert.match(refused.stderr, /Unknown option '-x'/);
+  assert.match(refused.stderr, /goes after '--'/);
+  assert.equal(await repo.resolve('main'), before);
+
+  assert.equal(addFile([repo.gitdir, 'main', 'notes.txt', '--', '-x']).code, 0);
+  assert.equal((await repo.readFile('main', 'notes.txt')).content.toString(), '-x');
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { writeArchive, exportTree, archiveFormat } from '../lib/archive.js';
+import { AlreadyExistsError, InvalidArgumentError } from '../lib/errors.js';
+import { createRepo, runGit, HAS_GIT, WHO } from './helpers.js';
+
+// --- HELPER: True if a command-line tool is installed ---
+function hasTool(name) {
+  try {
+    execFileSync(name, ['--help'], { stdio: 'ignore' });
+    return true;
+  } catch (e) {
+    return e.code !== 'ENOENT';
+  }
+}
+
+// --- HELPER: A repo with nested folders, an executable, a symlink and a long path ---
+async function createSampleRepo(t) {
+  const setup = await createRepo();
+  t.after(setup.cleanup);
+  const longName = `${'deep/'.repeat(30)}file.txt`;
+  await setup.repo.writeFiles('main', [
+    { op: 'put', path: 'src/index.js', content: 'console.log(1);\n' },
+    { op: 'put', path: 'bin/run.sh', content: '#!/bin/sh\necho hi\n', mode: '100755' },
+    { op: 'put', path: 'link', content: 'src/index.js', mode: '120000' },
+    { op: 'put', path: longName, content: 'long\n' }
+  ], { message: 'Sample', ...WHO });
+  return { ...setup, longName };
+}
+
+// --- HELPER: Check an extracted copy against the sample repo ---
+function assertSampleFiles(dir, longName) {
+  assert.equal(fs.readFileSync(path.join(dir, 'src/index.js'), 'utf8'), 'console.log(1);\n');
+  assert.equal(fs.readFileSync(path.join(dir, longName), 'utf8'), 'long\n');
+  assert.ok(fs.statSync(path.join(dir, 'bin/run.sh')).mode & 0o100, 'run.sh is executable');
+  assert.ok(!(fs.statSync(path.join(dir, 'src/index.js')).mode & 0o100), 'index.js is not executable');
+  assert.equal(fs.readlinkSync(path.join(dir, 'link')), 'src/index.js');
+}
+
+test('archiveFormat picks the format from the file name', () => {
+  assert.equal(archiveFormat(undefined, 'out.tgz'), 'tar.gz');
+  assert.equal(archiveFormat(undefined, 'out.zip'), 'zip');
+  assert.equal(archiveFormat(undefined, 'out.tar'), 'tar');
+  assert.throws(() => archiveFormat('rar'), InvalidArgumentError);
+});
+
+test('a tar archive lists what git archive lists and extracts the same files', { skip: !hasTool('tar') && 'tar is not installed' }, async (t) => {
+  const { root, repo, longName } = await createSampleRepo(t);
+  const file = path.join(root, 'out.tar');
+
+  const result = await writeArchive(repo.gitdir, 'main', fs.createWriteStream(file), { prefix: 'app' });
+  assert.equal(result.commit, await repo.resolve('main'));
+  assert.equal(result.bytes, fs.statSync(file).size);
+
+  const listing = execFileSync('tar', ['-tf', file], { encoding: 'utf8' }).split('\n').filter(Boolean).sort();
+  if (HAS_GIT) {
+    const gitListing = execFileSync('tar', ['-tf', '-'], {
+      input: execFileSync('git', ['--git-dir', repo.gitdir, 'archive', '--prefix=app/', 'main']),
+      encoding: 'utf8'
+    }).split('\n').filter(Boolean).sort();
+    assert.deepEqual(listing, gitListing);
+  }
+  assert.ok(listing.includes(`app/${longName}`));
+
+  const out = path.join(root, 'tar-out');
+  fs.mkdirSync(out);
+  execFileSync('tar', ['-xf', file, '-C', out]);
+  assertSampleFiles(path.join(out, 'app'), longName);
+  if (HAS_GIT) {
+    assert.equal(execFileSync('git', ['get-tar-commit-id'], { input: fs.readFileSync(file), encoding: 'utf8' }).trim(), result.commit);
+  }
+});
+
+test('a tar.gz archive of one folder', { skip: !hasTool('tar') && 'tar is not installed' }, async (t) => {
+  const { root, repo } = await createSampleRepo(t);
+  const file = path.join(root, 'src.tar.gz');
+  await writeArchive(repo.gitdir, 'main', fs.createWriteStream(file), { format: 'tar.gz', folder: 'src' });
+  assert.deepEqual(execFileSync('tar', ['-tzf', file], { encoding: 'utf8' }).split('\n').filter(Boolean), ['index.js']);
+});
+
+test('a zip archive passes unzip -t and extracts the same files', { skip: !hasTool('unzip') && 'unzip is not installed' }, async (t) => {
+  const { root, repo, longName } = await createSampleRepo(t);
+  const file = path.join(root, 'out.zip');
+  const result = await writeArchive(repo.gitdir, 'main', fs.createWriteStream(file), { format: 'zip' });
+  assert.equal(result.format, 'zip');
+
+  execFileSync('unzip', ['-tq', file]);
+  const out = path.join(root, 'zip-out');
+  execFileSync('unzip', ['-q', file, '-d', out]);
+  assertSampleFiles(out, longName);
+});
+
+test('exportTree writes files, modes and symlinks and refuses a non-empty folder', async (t) => {
+  const { root, repo, longName } = await createSampleRepo(t);
+  const out = path.join(root, 'export');
+
+  const result = await exportTree(repo.gitdir, 'main', out);
+  assert.equal(result.symlinks, 1);
+  assertSampleFiles(out, longName);
+  if (HAS_GIT) {
+    const files = runGit(['--git-dir', repo.gitdir, 'ls-tree', '-r', '--name-only', 'main']).split('\n').filter(Boolean);
+    assert.equal(result.files + result.symlinks, files.length);
+  }
+
+  await assert.rejects(exportTree(repo.gitdir, 'main', out), AlreadyExistsError);
+  await exportTree(repo.gitdir, 'main', out, { force: true });
+});
+
+test('exportTree with force replaces folders and symlinks in the way instead of following them', async (t) => {
+  const { root, repo, longName } = await createSampleRepo(t);
+  const out = path.join(root, 'export');
+  const outside = path.join(root, 'outside');
+  fs.mkdirSync(outside);
+
+  // Folders where the tree has a file or a symlink
+  fs.mkdirSync(path.join(out, 'bin/run.sh/nested'), { recursive: true });
+  fs.mkdirSync(path.join(out, 'link'));
+  // A symlink out of the export where the tree has a folder
+  fs.symlinkSync(outside, path.join(out, 'src'));
+
+  await exportTree(repo.gitdir, 'main', out, { force: true });
+  assertSampleFiles(out, longName);
+  assert.ok(fs.lstatSync(path.join(out, 'src')).isDirectory(), 'src is a real folder again');
+  assert.deepEqual(fs.readdirSync(outside), [], 'nothing was written outside the export');
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseFlags, readContent } from '../lib/args.js';
+import { InvalidArgumentError } from '../lib/errors.js';
+
+const SPEC = { boolean: ['force'], value: ['message'], list: ['exclude'] };
+
+test('parseFlags splits flags from positional arguments', () => {
+  const { options, positional } = parseFlags(['main', '--force', '--message', 'hi', 'a.txt', '--exclude=*.md', '--exclude', 'docs'], SPEC);
+  assert.deepEqual(positional, ['main', 'a.txt']);
+  assert.deepEqual(options, { force: true, message: 'hi', exclude: ['*.md', 'docs'] });
+});
+
+test('parseFlags rejects unknown options and missing values', () => {
+  assert.throws(() => parseFlags(['-x'], SPEC), InvalidArgumentError);
+  assert.throws(() => parseFlags(['--message'], SPEC), InvalidArgumentError);
+});
+
+test('"--" ends the options', () => {
+  const { options, positional } = parseFlags(['main', '--force', '--', '-x', '--message', '-'], SPEC);
+  assert.deepEqual(positional, ['main', '-x', '--message', '-']);
+  assert.deepEqual(options, { force: true });
+});
+
+test('readContent takes the argument as UTF-8, or --file as raw bytes', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bare-git-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'image.bin');
+  const bytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+  fs.writeFileSync(file, bytes);
+
+  assert.deepEqual(readContent('héllo', {}), Buffer.from('héllo', 'utf8'));
+  assert.deepEqual(readContent(undefined, { file }), bytes);
+  assert.throws(() => readContent('text', { file }), InvalidArgumentError);
+  assert.throws(() => readContent(undefined, {}), InvalidArgumentError);
+  assert.throws(() => readContent(undefined, { file: path.join(dir, 'missing') }), InvalidArgumentError);
+});
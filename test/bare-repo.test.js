@@ -0,0 +1,233 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRepo, WHO } from './helpers.js';
+import { AlreadyExistsError, ConcurrencyError, InvalidArgumentError, MergeConflictError, NotFoundError } from '../index.js';
+
+test('writeFiles commits changes and readFile reads them back', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+
+  const result = await repo.writeFiles('main', [
+    { op: 'put', path: 'src/a.txt', content: 'one\n' },
+    { op: 'delete', path: 'README.md' }
+  ], { message: 'Add a', ...WHO });
+
+  assert.equal(result.ref, 'refs/heads/main');
+  assert.equal(await repo.resolve('main'), result.commit);
+  assert.equal((await repo.readFile('main', 'src/a.txt')).content.toString(), 'one\n');
+  await assert.rejects(repo.readFile('main', 'README.md'), NotFoundError);
+});
+
+test('writeFiles refuses a stale expectedParent', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+
+  const start = await repo.resolve('main');
+  await repo.addFile('main', 'a.txt', 'a\n', WHO);
+  await assert.rejects(
+    repo.addFile('main', 'b.txt', 'b\n', { expectedParent: start, ...WHO }),
+    ConcurrencyError
+  );
+});
+
+test('merge combines line changes from both branches', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+
+  await repo.addFile('main', 'f.txt', 'a\nb\nc\nd\ne\n', WHO);
+  await repo.createBranch('feature', 'main');
+  await repo.addFile('main', 'f.txt', 'A\nb\nc\nd\ne\n', WHO);
+  await repo.addFile('feature', 'f.txt', 'a\nb\nc\nd\nE\n', WHO);
+
+  const result = await repo.merge('feature', 'main', WHO);
+  assert.equal(result.status, 'merged');
+  assert.equal((await repo.readFile('main', 'f.txt')).content.toString(), 'A\nb\nc\nd\nE\n');
+});
+
+test('merge conflicts are reported and can be resolved', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+
+  await repo.addFile('main', 'f.txt', 'a\nb\nc\n', WHO);
+  await repo.addFile('main', 'gone.txt', 'x\n', WHO);
+  await repo.createBranch('feature', 'main');
+  await repo.addFile('main', 'f.txt', 'a\nX\nc\n', WHO);
+  await repo.removeFile('main', 'gone.txt', WHO);
+  await repo.addFile('feature', 'f.txt', 'a\nY\nc\n', WHO);
+  await repo.addFile('feature', 'gone.txt', 'changed\n', WHO);
+
+  const before = await repo.resolve('main');
+  const err = await repo.merge('feature', 'main', WHO).catch(e => e);
+  assert.ok(err instanceof MergeConflictError);
+  assert.deepEqual(err.data.conflicts.map(c => [c.path, c.type]).sort(), [['f.txt', 'content'], ['gone.txt', 'delete/modify']]);
+  assert.equal(await repo.resolve('main'), before);
+
+  const preview = await repo.previewMerge('feature', 'main', { resolutions: { 'f.txt': 'a\nXY\nc\n' } });
+  assert.equal(preview.clean, false);
+  assert.deepEqual(preview.conflicts.map(c => c.path), ['gone.txt']);
+
+  await repo.merge('feature', 'main', {
+    resolutions: { 'f.txt': 'a\nXY\nc\n', 'gone.txt': { take: 'delete' } },
+    ...WHO
+  });
+  assert.equal((await repo.readFile('main', 'f.txt')).content.toString(), 'a\nXY\nc\n');
+  await assert.rejects(repo.readFile('main', 'gone.txt'), NotFoundError);
+});
+
+test('merge with conflictMarkers commits diff3 markers', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+
+  await repo.addFile('main', 'f.txt', 'a\nb\nc\n', WHO);
+  await repo.createBranch('feature', 'main');
+  await repo.addFile('main', 'f.txt', 'a\nX\nc\n', WHO);
+  await repo.addFile('feature', 'f.txt', 'a\nY\nc\n', WHO);
+
+  const result = await repo.merge('feature', 'main', { conflictMarkers: true, ...WHO });
+  assert.equal(result.conflicts.length, 1);
+  const text = (await repo.readFile('main', 'f.txt')).content.toString();
+  assert.match(text, /^a\n<<<<<<< main\nX\n\|\|\|\|\|\|\| merge base\nb\n=======\nY\n>>>>>>> feature\nc\n$/);
+});
+
+test('writes to HEAD go to the branch HEAD points to', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+
+  const result = await repo.addFile('HEAD', 'a.txt', 'a\n', WHO);
+  assert.equal(result.ref, 'refs/heads/main');
+  assert.equal(await repo.resolve('main'), result.commit);
+  assert.deepEqual((await repo.listBranches()).map(b => b.name), ['main']);
+});
+
+test('writes refuse names that are not branches', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+
+  await repo.createTag('v1', 'main');
+  await assert.rejects(repo.addFile('refs/tags/v1', 'a.txt', 'a\n', WHO), InvalidArgumentError);
+  await assert.rejects(repo.createBranch('HEAD', 'main'), InvalidArgumentError);
+  assert.deepEqual((await repo.listBranches()).map(b => b.name), ['main']);
+});
+
+// --- HELPER: The paths of everything in the branch ---
+async function allPaths(repo, ref = 'main') {
+  return (await repo.listFiles(ref, '', { recursive: true })).entries.map(e => e.path);
+}
+
+test('moveFile moves a folder as-is and drops the folders it empties', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  await repo.writeFiles('main', [
+    { op: 'put', path: 'src/lib/a.txt', content: 'a\n' },
+    { op: 'put', path: 'src/lib/b.txt', content: 'b\n' }
+  ], { message: 'Add lib', ...WHO });
+  const folder = (await repo.listFiles('main', 'src')).entries.find(e => e.path === 'lib').oid;
+
+  const result = await repo.moveFile('main', 'src/lib', 'lib', WHO);
+  assert.deepEqual(result.changes, ['R  src/lib -> lib']);
+  assert.deepEqual(await allPaths(repo), ['README.md', 'lib', 'lib/a.txt', 'lib/b.txt']);
+  assert.equal((await repo.listFiles('main', 'lib')).oid, folder, 'the moved tree keeps its OID');
+  assert.equal((await repo.log('main', { maxCount: 1 }))[0].message, 'Move src/lib to lib\n');
+});
+
+test('moveFile refuses moves into itself or over its own parent', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  await repo.addFile('main', 'src/lib/a.txt', 'a\n', WHO);
+  const before = await repo.resolve('main');
+
+  await assert.rejects(repo.moveFile('main', 'src', 'src/inner', WHO), /into itself/);
+  await assert.rejects(repo.moveFile('main', 'src', 'src', WHO), InvalidArgumentError);
+  await assert.rejects(repo.moveFile('main', 'src/lib', 'src', WHO), /over its own parent/);
+  await assert.rejects(repo.moveFile('main', 'src/lib/a.txt', 'src', { force: true, ...WHO }), InvalidArgumentError);
+  await assert.rejects(repo.moveFile('main', 'missing.txt', 'b.txt', WHO), NotFoundError);
+  await assert.rejects(repo.moveFile('nope', 'README.md', 'b.txt', WHO), NotFoundError);
+  assert.equal(await repo.resolve('main'), before);
+});
+
+test('moveFile only replaces an existing target with force', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  await repo.writeFiles('main', [
+    { op: 'put', path: 'a.txt', content: 'a\n' },
+    { op: 'put', path: 'docs/old.md', content: 'old\n' }
+  ], { message: 'Add files', ...WHO });
+  const before = await repo.resolve('main');
+
+  await assert.rejects(repo.moveFile('main', 'a.txt', 'README.md', WHO), AlreadyExistsError);
+  await assert.rejects(repo.moveFile('main', 'a.txt', 'docs', WHO), AlreadyExistsError);
+  assert.equal(await repo.resolve('main'), before);
+
+  const replaced = await repo.moveFile('main', 'a.txt', 'README.md', { force: true, ...WHO });
+  assert.deepEqual(replaced.changes, ['R  a.txt -> README.md (replaced)']);
+  assert.equal((await repo.readFile('main', 'README.md')).content.toString(), 'a\n');
+
+  // A file can replace a whole folder, and the folder's files go with it
+  await repo.moveFile('main', 'README.md', 'docs', { force: true, ...WHO });
+  assert.deepEqual(await allPaths(repo), ['docs']);
+  assert.equal((await repo.readFile('main', 'docs')).content.toString(), 'a\n');
+});
+
+// --- HELPER: A branch with nested folders to list ---
+// README.md, docs/guide.md, docs/api/ref.md, src/a.js, src/lib/b.js, src/lib/c.txt
+async function createTreeRepo(t) {
+  const setup = await createRepo();
+  t.after(setup.cleanup);
+  await setup.repo.writeFiles('main', [
+    { op: 'put', path: 'docs/guide.md', content: 'guide\n' },
+    { op: 'put', path: 'docs/api/ref.md', content: 'ref\n' },
+    { op: 'put', path: 'src/a.js', content: 'a();\n' },
+    { op: 'put', path: 'src/lib/b.js', content: 'b();\n' },
+    { op: 'put', path: 'src/lib/c.txt', content: 'c\n' }
+  ], { message: 'Add tree', ...WHO });
+  return setup.repo;
+}
+
+test('listFiles lists one level, everything, or maxDepth levels', async (t) => {
+  const repo = await createTreeRepo(t);
+  const paths = async (...args) => (await repo.listFiles('main', ...args)).entries.map(e => e.path);
+
+  assert.deepEqual(await paths(), ['README.md', 'docs', 'src']);
+  assert.deepEqual(await paths('src'), ['a.js', 'lib']);
+  assert.deepEqual(await paths('', { recursive: true }), [
+    'README.md', 'docs', 'docs/api', 'docs/api/ref.md', 'docs/guide.md', 'src', 'src/a.js', 'src/lib', 'src/lib/b.js', 'src/lib/c.txt'
+  ]);
+  assert.deepEqual(await paths('', { maxDepth: 2 }), ['README.md', 'docs', 'docs/api', 'docs/guide.md', 'src', 'src/a.js', 'src/lib']);
+  assert.deepEqual(await paths('src', { maxDepth: 2 }), ['a.js', 'lib', 'lib/b.js', 'lib/c.txt']);
+
+  for (const maxDepth of [0, -1, 1.5, 'two']) {
+    await assert.rejects(repo.listFiles('main', '', { maxDepth }), InvalidArgumentError, String(maxDepth));
+  }
+  await assert.rejects(repo.listFiles('main', 'missing'), NotFoundError);
+});
+
+test('listFiles include and exclude patterns', async (t) => {
+  const repo = await createTreeRepo(t);
+  const paths = async (options) => (await repo.listFiles('main', '', { recursive: true, ...options })).entries.map(e => e.path);
+
+  // Included files bring the folders leading to them; other folders are left out
+  assert.deepEqual(await paths({ include: ['*.js'] }), ['src', 'src/a.js', 'src/lib', 'src/lib/b.js']);
+  // A matching folder includes everything in it
+  assert.deepEqual(await paths({ include: ['docs/api'] }), ['docs', 'docs/api', 'docs/api/ref.md']);
+  assert.deepEqual(await paths({ include: ['src/*.js', 'README.md'] }), ['README.md', 'src', 'src/a.js']);
+
+  // Excluding a folder leaves out its contents too
+  assert.deepEqual(await paths({ exclude: ['src', '*.md'] }), ['docs', 'docs/api']);
+  assert.deepEqual(await paths({ include: ['**/*.md'], exclude: ['docs/api'] }), ['README.md', 'docs', 'docs/guide.md']);
+});
+
+test('listFiles long adds file sizes, and a file path lists the file', async (t) => {
+  const repo = await createTreeRepo(t);
+
+  const { entries } = await repo.listFiles('main', 'src/lib', { long: true });
+  assert.deepEqual(entries.map(({ path, type, mode, size }) => ({ path, type, mode, size })), [
+    { path: 'b.js', type: 'blob', mode: '100644', size: 5 },
+    { path: 'c.txt', type: 'blob', mode: '100644', size: 2 }
+  ]);
+  const folders = (await repo.listFiles('main', '', { long: true })).entries.filter(e => e.type === 'tree');
+  assert.ok(folders.every(e => e.size === undefined), 'folders have no size');
+
+  const file = await repo.readFile('main', 'src/a.js');
+  assert.deepEqual(await repo.listFiles('main', 'src/a.js'), { type: 'blob', oid: file.oid });
+  assert.deepEqual(await repo.listFiles('main', 'src/a.js', { long: true }), { type: 'blob', oid: file.oid, size: 5 });
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InvalidArgumentError, NotFoundError } from '../lib/errors.js';
+import { createRepo, runGit, HAS_GIT } from './helpers.js';
+
+const ALICE = { author: 'Alice <alice@example.com>', committer: 'Alice <alice@example.com>' };
+const BOB = { author: 'Bob <bob@example.com>', committer: 'Bob <bob@example.com>' };
+
+// --- HELPER: A history where every line of docs/f.txt comes from a different place ---
+// Blame walks commits newest first by committer date, so the dates are pinned:
+//   c1 @ 1000000000 Alice adds f.txt          "a b c d"
+//   c2 @ 1000100000 Bob changes line 2, adds 5 "a B c d e"
+//   c3 @ 1000200000 Alice renames it to docs/f.txt
+//   c4 @ 1000300000 Bob changes line 1 on `side`
+//   c5 @ 1000400000 Alice changes line 4 on main
+//   merge @ 1000500000 side into main            "A B c D e"
+async function createHistory(t) {
+  const saved = process.env.GIT_COMMITTER_DATE;
+  t.after(() => {
+    if (saved === undefined) delete process.env.GIT_COMMITTER_DATE;
+    else process.env.GIT_COMMITTER_DATE = saved;
+  });
+  const at = (seconds) => { process.env.GIT_COMMITTER_DATE = `${seconds} +0000`; };
+
+  at(999900000);
+  const setup = await createRepo();
+  t.after(setup.cleanup);
+  const { repo } = setup;
+
+  at(1000000000);
+  const c1 = (await repo.addFile('main', 'f.txt', 'a\nb\nc\nd\n', ALICE)).commit;
+  at(1000100000);
+  const c2 = (await repo.addFile('main', 'f.txt', 'a\nB\nc\nd\ne\n', BOB)).commit;
+  at(1000200000);
+  const c3 = (await repo.moveFile('main', 'f.txt', 'docs/f.txt', ALICE)).commit;
+  await repo.createBranch('side', 'main');
+  at(1000300000);
+  const c4 = (await repo.addFile('side', 'docs/f.txt', 'A\nB\nc\nd\ne\n', { ...BOB, message: 'Capitalize a' })).commit;
+  at(1000400000);
+  const c5 = (await repo.addFile('main', 'docs/f.txt', 'a\nB\nc\nD\ne\n', ALICE)).commit;
+  at(1000500000);
+  const merge = (await repo.merge('side', 'main', { ff: 'no-ff', ...ALICE })).commit;
+  return { repo, c1, c2, c3, c4, c5, merge };
+}
+
+test('blame attributes each line to the commit that last changed it', async (t) => {
+  const { repo, c1, c2, c4, c5 } = await createHistory(t);
+
+  const rows = await repo.blame('main', 'docs/f.txt');
+  assert.deepEqual(rows.map(row => [row.line, row.content, row.commit, row.path, row.originalLine]), [
+    [1, 'A', c4, 'docs/f.txt', 1],
+    [2, 'B', c2, 'f.txt', 2],
+    [3, 'c', c1, 'f.txt', 3],
+    [4, 'D', c5, 'docs/f.txt', 4],
+    [5, 'e', c2, 'f.txt', 5]
+  ]);
+
+  const [first] = rows;
+  assert.equal(first.author, 'Bob');
+  assert.equal(first.email, 'bob@example.com');
+  assert.equal(first.summary, 'Capitalize a');
+  assert.equal(rows[2].author, 'Alice');
+});
+
+test('blame at an older commit only sees that commit\'s history', async (t) => {
+  const { repo, c1, c2 } = await createHistory(t);
+
+  const rows = await repo.blame(c2, 'f.txt');
+  assert.deepEqual(rows.map(row => row.commit), [c1, c2, c1, c1, c2]);
+  assert.deepEqual((await repo.blame('main~2', '/docs/f.txt/')).map(row => row.commit), [c1, c2, c1, c1, c2]);
+});
+
+test('blame matches git blame', { skip: !HAS_GIT && 'git is not installed' }, async (t) => {
+  const { repo } = await createHistory(t);
+
+  const porcelain = runGit(['--git-dir', repo.gitdir, 'blame', '--line-porcelain', 'main', '--', 'docs/f.txt']);
+  const expected = porcelain.split('\n').filter(line => /^[0-9a-f]{40} /.test(line)).map(line => line.split(' ')[0]);
+  assert.deepEqual((await repo.blame('main', 'docs/f.txt')).map(row => row.commit), expected);
+});
+
+test('blame refuses folders, binary files and missing paths', async (t) => {
+  const { repo } = await createHistory(t);
+  await repo.addFile('main', 'logo.bin', Buffer.from([0, 1, 2]), ALICE);
+
+  await assert.rejects(repo.blame('main', 'docs'), InvalidArgumentError);
+  await assert.rejects(repo.blame('main', 'logo.bin'), InvalidArgumentError);
+  await assert.rejects(repo.blame('main', 'missing.txt'), NotFoundError);
+});
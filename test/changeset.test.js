@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { parseManifest } from '../lib/changeset.js';
+import { AlreadyExistsError, InvalidArgumentError, NotFoundError } from '../lib/errors.js';
+import { createRepo, WHO } from './helpers.js';
+
+const SCRIPT = fileURLToPath(new URL('../apply-changeset.js', import.meta.url));
+
+// --- HELPER: Run apply-changeset.js, optionally with stdin ---
+function applyChangeset(args, input) {
+  const result = spawnSync(process.execPath, [SCRIPT, ...args, '--author', WHO.author, '--committer', WHO.committer], {
+    input, encoding: 'utf8', timeout: 60000
+  });
+  return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('parseManifest reads JSON and YAML manifests and bare lists', () => {
+  assert.deepEqual(
+    parseManifest('{ "message": "m", "changes": [{ "op": "delete", "path": "a" }] }'),
+    { message: 'm', changes: [{ op: 'delete', path: 'a' }] }
+  );
+  assert.deepEqual(
+    parseManifest('message: m\nparent: abc\nchanges:\n  - { op: add, path: a.txt, content: "hi" }\n'),
+    { message: 'm', parent: 'abc', changes: [{ op: 'add', path: 'a.txt', content: 'hi' }] }
+  );
+  assert.deepEqual(parseManifest('- op: delete\n  path: a\n'), { changes: [{ op: 'delete', path: 'a' }] });
+
+  assert.throws(() => parseManifest('changes: [unclosed'), InvalidArgumentError);
+  assert.throws(() => parseManifest('42'), InvalidArgumentError);
+});
+
+test('add refuses existing files and update refuses missing ones', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  await repo.addFile('main', 'run.sh', '#!/bin/sh\n', { mode: '100755', ...WHO });
+
+  await assert.rejects(repo.writeFiles('main', [{ op: 'add', path: 'README.md', content: 'x' }], { message: 'm', ...WHO }), AlreadyExistsError);
+  await assert.rejects(repo.writeFiles('main', [{ op: 'update', path: 'missing.txt', content: 'x' }], { message: 'm', ...WHO }), NotFoundError);
+  await assert.rejects(repo.writeFiles('main', [{ op: 'update', path: 'README.md', content: 'x', mode: '100600' }], { message: 'm', ...WHO }), InvalidArgumentError);
+  await assert.rejects(repo.writeFiles('main', [{ op: 'rename', path: 'README.md' }], { message: 'm', ...WHO }), InvalidArgumentError);
+
+  const result = await repo.writeFiles('main', [
+    { op: 'update', path: 'run.sh', content: '#!/bin/sh\necho hi\n' },
+    { op: 'add', path: 'logo.bin', content: Buffer.from([0, 1, 2, 255]).toString('base64'), encoding: 'base64' }
+  ], { message: 'Update', ...WHO });
+  assert.deepEqual(result.changes, ['M  run.sh', 'A  logo.bin']);
+  assert.equal((await repo.readFile('main', 'run.sh')).mode, '100755', 'update keeps the mode');
+  assert.deepEqual((await repo.readFile('main', 'logo.bin')).content, Buffer.from([0, 1, 2, 255]));
+});
+
+test('a changeset with one failing change writes nothing', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const before = await repo.resolve('main');
+
+  const err = await repo.writeFiles('main', [
+    { op: 'add', path: 'docs/new.md', content: 'new\n' },
+    { op: 'delete', path: 'README.md' },
+    { op: 'update', path: 'missing.txt', content: 'x' }
+  ], { message: 'Half of it', ...WHO }).catch(e => e);
+
+  assert.ok(err instanceof NotFoundError);
+  assert.equal(await repo.resolve('main'), before);
+  await assert.rejects(repo.readFile('main', 'docs/new.md'), NotFoundError);
+  assert.equal((await repo.readFile('main', 'README.md')).content.toString(), 'Hello World\n');
+});
+
+test('apply-changeset.js applies YAML from a file and JSON from stdin, all or nothing', async (t) => {
+  const { root, repo, cleanup } = await createRepo();
+  t.after(cleanup);
+
+  const yamlFile = path.join(root, 'changes.yaml');
+  fs.writeFileSync(yamlFile, [
+    'message: Restructure docs',
+    'changes:',
+    '  - { op: add, path: docs/guide.md, content: "# Guide\\n" }',
+    '  - { op: move, from: README.md, to: docs/README.md }',
+    ''
+  ].join('\n'));
+  const applied = applyChangeset([repo.gitdir, 'main', yamlFile]);
+  assert.equal(applied.code, 0, applied.stderr);
+  assert.match(applied.stdout, /R {2}README\.md -> docs\/README\.md/);
+  assert.equal((await repo.readFile('main', 'docs/guide.md')).content.toString(), '# Guide\n');
+
+  const before = await repo.resolve('main');
+  const failing = JSON.stringify({
+    message: 'Should not land',
+    changes: [{ op: 'put', path: 'a.txt', content: 'a' }, { op: 'add', path: 'docs/guide.md', content: 'dup' }]
+  });
+  const refused = applyChangeset([repo.gitdir, 'main', '-'], failing);
+  assert.equal(refused.code, 1);
+  assert.match(refused.stderr, /already exists/);
+  assert.equal(await repo.resolve('main'), before);
+  await assert.rejects(repo.readFile('main', 'a.txt'), NotFoundError);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import git from 'isomorphic-git';
+import fs from 'fs';
+import { MergeConflictError } from '../index.js';
+import { createRepo, WHO } from './helpers.js';
+
+const DEV = { author: 'Dev <dev@example.com>', committer: 'Dev <dev@example.com>' };
+
+// --- HELPER: main with three commits on top of the point where release branched off ---
+async function createBranches(t) {
+  const setup = await createRepo();
+  t.after(setup.cleanup);
+  const { repo } = setup;
+  await repo.addFile('main', 'f.txt', 'a\nb\nc\nd\ne\n', WHO);
+  await repo.createBranch('release', 'main');
+  const fixB = (await repo.addFile('main', 'f.txt', 'a\nB\nc\nd\ne\n', { message: 'Fix b', ...DEV })).commit;
+  const addG = (await repo.addFile('main', 'g.txt', 'g\n', { message: 'Add g', ...DEV })).commit;
+  const fixD = (await repo.addFile('main', 'f.txt', 'a\nB\nc\nD\ne\n', { message: 'Fix d', ...DEV })).commit;
+  await repo.addFile('release', 'f.txt', 'a\nb\nc\nDD\ne\n', { message: 'Release d', ...WHO });
+  return { ...setup, fixB, addG, fixD };
+}
+
+async function readCommit(repo, ref) {
+  return (await git.readCommit({ fs, gitdir: repo.gitdir, oid: await repo.resolve(ref) })).commit;
+}
+
+test('cherry-pick keeps the author and message and references the source', async (t) => {
+  const { repo, fixB } = await createBranches(t);
+  const result = await repo.cherryPick([fixB], 'release', { committer: WHO.committer });
+
+  assert.equal(result.status, 'applied');
+  const commit = await readCommit(repo, 'release');
+  assert.equal(commit.author.name, 'Dev');
+  assert.equal(commit.committer.name, 'Test');
+  assert.equal(commit.message, `Fix b\n\n(cherry picked from commit ${fixB})\n`);
+  assert.equal((await repo.readFile('release', 'f.txt')).content.toString(), 'a\nB\nc\nDD\ne\n');
+});
+
+test('a conflicting range changes nothing until it is resolved', async (t) => {
+  const { repo, fixB, addG, fixD } = await createBranches(t);
+  const before = await repo.resolve('release');
+
+  const err = await repo.cherryPick([`${fixB}..main`], 'release', WHO).catch(e => e);
+  assert.ok(err instanceof MergeConflictError);
+  assert.equal(err.data.commit, fixD);
+  assert.equal(await repo.resolve('release'), before);
+
+  const result = await repo.cherryPick([`${fixB}..main`], 'release', {
+    resolutions: { [fixD]: { 'f.txt': { take: 'ours' } } },
+    ...WHO
+  });
+  assert.deepEqual(result.commits.map(c => [c.source, c.status]), [[addG, 'applied'], [fixD, 'empty']]);
+  assert.equal((await repo.readFile('release', 'g.txt')).content.toString(), 'g\n');
+});
+
+test('revert undoes a commit with a "Revert" message', async (t) => {
+  const { repo, addG } = await createBranches(t);
+  const result = await repo.revert([addG], 'main', WHO);
+
+  assert.equal(result.status, 'applied');
+  const commit = await readCommit(repo, 'main');
+  assert.equal(commit.message, `Revert "Add g"\n\nThis reverts commit ${addG}.\n`);
+  assert.equal(commit.author.name, 'Test');
+  assert.equal((await repo.readFile('main', 'f.txt')).content.toString(), 'a\nB\nc\nD\ne\n');
+  assert.equal((await repo.revert([addG], 'main', WHO)).status, 'no-changes');
+});
+
+test('the scripts share the CLI behaviour', async (t) => {
+  const { repo, fixB } = await createBranches(t);
+  const script = (name, args) => spawnSync(process.execPath, [fileURLToPath(new URL(`../${name}`, import.meta.url)), ...args], { encoding: 'utf8', timeout: 60000 });
+
+  const picked = script('cherry-pick.js', [repo.gitdir, 'release', fixB]);
+  assert.equal(picked.status, 0, picked.stderr);
+  assert.match(picked.stdout, /Success! release now points to/);
+
+  const conflict = script('cherry-pick.js', [repo.gitdir, 'release', 'main']);
+  assert.equal(conflict.status, 1);
+  assert.match(conflict.stdout, /f\.txt: base 4,1 \| ours 4,1 \| theirs 4,1/);
+
+  const reverted = script('revert-commit.js', [repo.gitdir, 'release', 'release']);
+  assert.equal(reverted.status, 0, reverted.stderr);
+  assert.equal(script('revert-commit.js', [repo.gitdir]).status, 1);
+});
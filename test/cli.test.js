@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { createRepo, WHO } from './helpers.js';
+
+const BIN = fileURLToPath(new URL('../bin/bare-git.js', import.meta.url));
+
+// --- HELPER: Run bare-git and collect its exit code and output ---
+function bareGit(args) {
+  const result = spawnSync(process.execPath, [BIN, ...args], { encoding: 'utf8', timeout: 60000 });
+  return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('arguments after "--" are written literally', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+
+  const result = bareGit(['--repo', repo.gitdir, 'file', 'add', 'main', 'notes.txt', '--', '-x']);
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal((await repo.readFile('main', 'notes.txt')).content.toString(), '-x');
+
+  const json = bareGit(['--repo', repo.gitdir, 'file', 'add', 'main', 'flags.txt', '--', '--json']);
+  assert.equal(json.code, 0, json.stderr);
+  assert.equal((await repo.readFile('main', 'flags.txt')).content.toString(), '--json');
+});
+
+test('errors map to the documented exit codes', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  await repo.addFile('main', 'a.txt', 'a\n', WHO);
+
+  assert.equal(bareGit(['--repo', repo.gitdir, 'file', 'read', 'main', 'missing.txt']).code, 3);
+  assert.equal(bareGit(['--repo', repo.gitdir, 'file', 'add', 'main', 'b.txt', 'b', '--bogus']).code, 2);
+  const stale = bareGit(['--repo', repo.gitdir, 'file', 'add', 'main', 'b.txt', 'b', '--expect', '0'.repeat(40)]);
+  assert.equal(stale.code, 5);
+});
+
+test('grep -C N prints context lines instead of choosing the repo', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  await repo.addFile('main', 'f.txt', 'one\ntwo\nthree\n', WHO);
+
+  const result = bareGit(['--repo', repo.gitdir, 'grep', 'two', 'main', '-C', '1']);
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stdout, /one/);
+  assert.match(result.stdout, /two/);
+  assert.match(result.stdout, /three/);
+
+  const json = JSON.parse(bareGit(['-C', repo.gitdir, 'grep', 'two', 'main', '-C', '1', '--json']).stdout);
+  assert.deepEqual(json.files[0].lines.map(l => [l.line, l.match]), [[1, false], [2, true], [3, false]]);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InvalidArgumentError } from '../lib/errors.js';
+import { createRepo, runGit, HAS_GIT, WHO } from './helpers.js';
+
+const NINE_LINES = '1\n2\n3\n4\n5\n6\n7\n8\n9\n';
+
+// --- HELPER: A commit that modifies, deletes, adds and changes a binary file ---
+async function createChanges(t) {
+  const setup = await createRepo();
+  t.after(setup.cleanup);
+  const { repo } = setup;
+  await repo.writeFiles('main', [
+    { op: 'put', path: 'f.txt', content: NINE_LINES },
+    { op: 'put', path: 'bin.dat', content: Buffer.from([0, 1, 2]) },
+    { op: 'put', path: 'gone.txt', content: 'bye\n' }
+  ], { message: 'Before', ...WHO });
+  await repo.writeFiles('main', [
+    { op: 'put', path: 'f.txt', content: NINE_LINES.replace('5\n', 'FIVE\n') },
+    { op: 'put', path: 'bin.dat', content: Buffer.from([0, 1, 3]) },
+    { op: 'delete', path: 'gone.txt' },
+    { op: 'put', path: 'new.txt', content: 'hi\n' }
+  ], { message: 'After', ...WHO });
+  return setup;
+}
+
+test('diff reports added, removed, modified and binary files', async (t) => {
+  const { repo } = await createChanges(t);
+
+  const result = await repo.diff('main');
+  assert.equal(result.from, await repo.resolve('main~1'));
+  assert.equal(result.to, await repo.resolve('main'));
+  assert.deepEqual(result.changes.map(c => [c.status, c.path, c.binary]), [
+    ['M', 'bin.dat', true],
+    ['M', 'f.txt', false],
+    ['D', 'gone.txt', false],
+    ['A', 'new.txt', false]
+  ]);
+
+  const [binary, modified, removed, added] = result.changes;
+  assert.match(binary.patch, /^Binary files a\/bin\.dat and b\/bin\.dat differ$/m);
+  assert.match(modified.patch, /^@@ -2,7 \+2,7 @@\n 2\n 3\n 4\n-5\n\+FIVE\n 6\n 7\n 8\n$/m);
+  assert.match(removed.patch, /^deleted file mode 100644\n.*\n--- a\/gone\.txt\n\+\+\+ \/dev\/null\n@@ -1 \+0,0 @@\n-bye\n$/m);
+  assert.match(added.patch, /^new file mode 100644\n.*\n--- \/dev\/null\n\+\+\+ b\/new\.txt\n@@ -0,0 \+1 @@\n\+hi\n$/m);
+});
+
+test('the context option sets the lines around each hunk', async (t) => {
+  const { repo } = await createChanges(t);
+
+  const one = (await repo.diff('main~1', 'main', { path: '', context: 1 })).changes.find(c => c.path === 'f.txt');
+  assert.match(one.patch, /@@ -4,3 \+4,3 @@\n 4\n-5\n\+FIVE\n 6\n$/);
+  const none = (await repo.diff('main~1', 'main', { context: 0 })).changes.find(c => c.path === 'f.txt');
+  assert.match(none.patch, /@@ -5 \+5 @@\n-5\n\+FIVE\n$/);
+
+  await assert.rejects(repo.diff('main', undefined, { context: -1 }), InvalidArgumentError);
+  await assert.rejects(repo.diff('main', undefined, { context: 1.5 }), InvalidArgumentError);
+});
+
+test('patches match git diff', { skip: !HAS_GIT && 'git is not installed' }, async (t) => {
+  const { repo } = await createChanges(t);
+
+  for (const context of [3, 1, 0]) {
+    const ours = (await repo.diff('main~1', 'main', { context })).changes.map(c => c.patch).join('');
+    assert.equal(ours, runGit(['--git-dir', repo.gitdir, 'diff', `-U${context}`, 'main~1', 'main']), `context ${context}`);
+  }
+});
+
+test('diff detects renames and can be limited to a folder', async (t) => {
+  const { repo } = await createChanges(t);
+  await repo.moveFile('main', 'f.txt', 'docs/f.txt', WHO);
+
+  const renamed = await repo.diff('main');
+  assert.deepEqual(renamed.changes.map(c => [c.status, c.oldPath, c.path, c.similarity]), [['R', 'f.txt', 'docs/f.txt', 100]]);
+  assert.match(renamed.changes[0].patch, /^rename from f\.txt\nrename to docs\/f\.txt$/m);
+
+  const plain = await repo.diff('main', undefined, { renames: false, patches: false });
+  assert.deepEqual(plain.changes.map(c => [c.status, c.path]), [['A', 'docs/f.txt'], ['D', 'f.txt']]);
+  assert.equal(plain.changes[0].patch, undefined);
+
+  const scoped = await repo.diff('main~2', 'main', { path: 'docs' });
+  assert.equal(scoped.path, 'docs');
+  assert.deepEqual(scoped.changes.map(c => [c.status, c.path]), [['A', 'docs/f.txt']]);
+});
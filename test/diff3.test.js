@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { merge3, diffLines, splitLines } from '../lib/diff3.js';
+
+// --- HELPER: Run `git merge-file --diff3` on the same inputs, or null without git ---
+function gitMergeFile(base, ours, theirs) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'merge-file-'));
+  try {
+    for (const [name, text] of Object.entries({ base, ours, theirs })) {
+      fs.writeFileSync(path.join(dir, name), text);
+    }
+    const args = ['merge-file', '-p', '--diff3', '-L', 'ours', '-L', 'base', '-L', 'theirs', 'ours', 'base', 'theirs'];
+    try {
+      return execFileSync('git', args, { cwd: dir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      return e.stdout; // Exit code = number of conflicts
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('splitLines keeps line endings and a missing final newline', () => {
+  assert.deepEqual(splitLines('a\nb\r\nc'), ['a\n', 'b\r\n', 'c']);
+  assert.deepEqual(splitLines(''), []);
+});
+
+test('diffLines reports a replaced line as one hunk', () => {
+  const hunks = diffLines(splitLines('a\nb\nc\n'), splitLines('a\nX\nc\n'));
+  assert.equal(hunks.length, 1);
+  assert.equal(hunks[0].aStart, 1);
+  assert.equal(hunks[0].aEnd, 2);
+});
+
+test('changes on one side only merge cleanly', () => {
+  const result = merge3('1\n2\n3\n4\n5\n6\n7\n8\n', '1\nX\n3\n4\n5\n6\n7\n8\n9\n', '0\n1\n2\n3\n4\n5\nY\n7\n8\n');
+  assert.equal(result.clean, true);
+  assert.deepEqual(result.conflicts, []);
+  assert.equal(result.text, '0\n1\nX\n3\n4\n5\nY\n7\n8\n9\n');
+});
+
+test('identical changes on both sides are taken once', () => {
+  const result = merge3('a\nb\nc\n', 'a\nX\nc\n', 'a\nX\nc\n');
+  assert.equal(result.clean, true);
+  assert.equal(result.text, 'a\nX\nc\n');
+});
+
+test('overlapping changes conflict with diff3 markers and 1-based ranges', () => {
+  const result = merge3('a\nb\nc\n', 'a\nX\nc\n', 'a\nY\nc\n', { labels: { ours: 'main', theirs: 'feature' } });
+  assert.equal(result.clean, false);
+  assert.deepEqual(result.conflicts, [{
+    base: { start: 2, count: 1 }, ours: { start: 2, count: 1 }, theirs: { start: 2, count: 1 }
+  }]);
+  assert.equal(result.text, 'a\n<<<<<<< main\nX\n||||||| base\nb\n=======\nY\n>>>>>>> feature\nc\n');
+});
+
+test('touching changes conflict, as in git', () => {
+  const result = merge3('a\nb\nc\n', 'a\nB\nc\n', 'a\nb\nC\n');
+  assert.equal(result.clean, false);
+  assert.equal(result.conflicts.length, 1);
+});
+
+test('markers: false reports conflicts without writing markers', () => {
+  const result = merge3('a\nb\nc\n', 'a\nX\nc\n', 'a\nY\nc\n', { markers: false });
+  assert.equal(result.clean, false);
+  assert.ok(!result.text.includes('<<<<<<<'));
+});
+
+test('favor settles every conflicting hunk with one side', () => {
+  assert.equal(merge3('a\nb\nc\n', 'a\nX\nc\n', 'a\nY\nc\n', { favor: 'ours' }).text, 'a\nX\nc\n');
+  const theirs = merge3('a\nb\nc\n', 'a\nX\nc\n', 'a\nY\nc\n', { favor: 'theirs' });
+  assert.equal(theirs.text, 'a\nY\nc\n');
+  assert.equal(theirs.clean, true);
+});
+
+test('delete on one side and edit elsewhere on the other', () => {
+  const result = merge3('a\nb\nc\nd\ne\n', 'a\nc\nd\ne\n', 'a\nb\nc\nd\nE\n');
+  assert.equal(result.clean, true);
+  assert.equal(result.text, 'a\nc\nd\nE\n');
+});
+
+test('output matches git merge-file', (t) => {
+  const cases = [
+    ['a\nb\nc\n', 'a\nB\nc\n', 'a\nb\nC\n'],
+    ['a\nb\nc\n', 'a\nX\nc\n', 'a\nY\nc\n'],
+    ['1\n2\n3\n4\n5\n6\n7\n8\n', '1\nX\n3\n4\n5\n6\n7\n8\n9\n', '0\n1\n2\n3\n4\n5\nY\n7\n8\n'],
+    ['a\nb\nc\nd\ne\nf\n', 'a\nb\nX\nd\ne\nf\n', 'a\nb\nc\nd\nY\nf\n'],
+    ['x\n', 'x\ny\n', 'x\nz\n'],
+    ['', 'new\n', '']
+  ];
+  for (const [base, ours, theirs] of cases) {
+    const expected = gitMergeFile(base, ours, theirs);
+    if (expected === null) {
+      t.skip('git is not installed');
+      return;
+    }
+    assert.equal(merge3(base, ours, theirs).text, expected, JSON.stringify({ base, ours, theirs }));
+  }
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import git from 'isomorphic-git';
+import { checkRepo } from '../lib/fsck.js';
+import { createRepo, runGit, HAS_GIT, WHO } from './helpers.js';
+
+// --- HELPER: Path of a loose object ---
+function loosePath(gitdir, oid) {
+  return path.join(gitdir, 'objects', oid.slice(0, 2), oid.slice(2));
+}
+
+test('a repo written by BareRepo is clean, for us and for git', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  await repo.addFile('main', 'src/a.txt', 'a\n', WHO);
+  await repo.createBranch('dev', 'main');
+  await repo.createTag('v1', 'main', { message: 'Release' });
+
+  const report = await checkRepo(repo.gitdir);
+  assert.equal(report.ok, true);
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(report.dangling, []);
+  if (HAS_GIT) runGit(['--git-dir', repo.gitdir, 'fsck', '--strict']);
+});
+
+test('a missing reachable object is an error', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const { oid } = await repo.readFile('main', 'README.md');
+  fs.unlinkSync(loosePath(repo.gitdir, oid));
+
+  const report = await checkRepo(repo.gitdir);
+  assert.equal(report.ok, false);
+  assert.ok(report.errors.some(e => e.kind === 'missingObject' && e.oid === oid));
+});
+
+test('an object whose content does not match its name is a hashMismatch', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const { oid } = await repo.readFile('main', 'README.md');
+  const file = loosePath(repo.gitdir, oid);
+  fs.chmodSync(file, 0o644);
+  fs.writeFileSync(file, zlib.deflateSync(Buffer.from('blob 6\0hacked')));
+
+  const report = await checkRepo(repo.gitdir);
+  assert.ok(report.errors.some(e => e.kind === 'hashMismatch' && e.oid === oid));
+});
+
+test('unsorted trees are errors and unreferenced objects are dangling', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const { gitdir } = repo;
+  const blob = await git.writeBlob({ fs, gitdir, blob: Buffer.from('x\n') });
+  const entry = (name) => Buffer.concat([Buffer.from(`100644 ${name}\0`), Buffer.from(blob, 'hex')]);
+  const tree = await git.writeObject({ fs, gitdir, type: 'tree', object: Buffer.concat([entry('b'), entry('a')]), format: 'content' });
+
+  const report = await checkRepo(gitdir);
+  assert.ok(report.errors.some(e => e.kind === 'treeNotSorted' && e.oid === tree));
+  assert.deepEqual(report.dangling.map(d => d.oid), [tree]);
+});
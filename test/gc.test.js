@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import git from 'isomorphic-git';
+import { runGc } from '../lib/gc.js';
+import { checkRepo } from '../lib/fsck.js';
+import { listLooseObjects, listPacks } from '../lib/object-store.js';
+import { createRepo, runGit, HAS_GIT, WHO } from './helpers.js';
+
+test('gc packs reachable objects and refs and prunes unreachable ones', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const { gitdir } = repo;
+  await repo.addFile('main', 'a.txt', 'a\n', WHO);
+  await repo.createBranch('dev', 'main');
+  await repo.addFile('dev', 'b.txt', 'b\n', WHO);
+  const garbage = await git.writeBlob({ fs, gitdir, blob: Buffer.from('unreachable\n') });
+  const head = await repo.resolve('dev');
+
+  const report = await runGc(gitdir, { pruneExpire: 'now' });
+  assert.equal(report.pruned, 1);
+  assert.deepEqual(await listLooseObjects(gitdir), []);
+  assert.equal((await listPacks(gitdir)).length, 1);
+  assert.ok(!fs.existsSync(path.join(gitdir, 'refs', 'heads', 'dev')));
+  assert.match(fs.readFileSync(path.join(gitdir, 'packed-refs'), 'utf8'), /refs\/heads\/dev/);
+
+  assert.equal(await repo.resolve('dev'), head);
+  assert.equal((await repo.readFile('dev', 'b.txt')).content.toString(), 'b\n');
+  await assert.rejects(git.readObject({ fs, gitdir, oid: garbage }));
+  assert.equal((await checkRepo(gitdir)).ok, true);
+  if (HAS_GIT) runGit(['--git-dir', gitdir, 'fsck', '--strict']);
+});
+
+test('gc keeps recent unreachable objects and a dry run changes nothing', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const { gitdir } = repo;
+  const recent = await git.writeBlob({ fs, gitdir, blob: Buffer.from('recent\n') });
+  const before = (await listLooseObjects(gitdir)).length;
+
+  const dry = await runGc(gitdir, { dryRun: true });
+  assert.equal(dry.dryRun, true);
+  assert.equal((await listLooseObjects(gitdir)).length, before);
+  assert.deepEqual(await listPacks(gitdir), []);
+
+  const report = await runGc(gitdir);
+  assert.equal(report.keptUnreachable, 1);
+  assert.equal(report.pruned, 0);
+  assert.ok((await listLooseObjects(gitdir)).some(o => o.oid === recent));
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createServer } from '../index.js';
+import { createRepo, HAS_GIT, WHO } from './helpers.js';
+
+const execFileAsync = promisify(execFile);
+
+// The server runs in this process, so git must run asynchronously
+async function git(args, cwd) {
+  const env = {
+    ...process.env,
+    GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com',
+    GIT_TERMINAL_PROMPT: '0'
+  };
+  const { stdout } = await execFileAsync('git', args, { cwd, env, timeout: 60000 });
+  return stdout;
+}
+
+test('git can clone, fetch and push over smart HTTP', { skip: !HAS_GIT && 'git is not installed', timeout: 120000 }, async (t) => {
+  const { root, repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  await repo.addFile('main', 'src/app.js', 'console.log(1);\n', WHO);
+  await repo.createTag('v1', 'main', { message: 'First release' });
+
+  const server = createServer({ root });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const url = `http://127.0.0.1:${server.address().port}/repo.git`;
+
+  // --- Clone ---
+  const work = path.join(root, 'work');
+  await git(['clone', '-q', url, work]);
+  assert.equal(fs.readFileSync(path.join(work, 'src/app.js'), 'utf8'), 'console.log(1);\n');
+  assert.equal((await git(['rev-parse', 'HEAD'], work)).trim(), await repo.resolve('main'));
+  assert.equal((await git(['tag', '--list'], work)).trim(), 'v1');
+
+  // --- Push a new commit and a new branch ---
+  fs.writeFileSync(path.join(work, 'b.txt'), 'pushed\n');
+  await git(['add', 'b.txt'], work);
+  await git(['commit', '-q', '-m', 'Add b'], work);
+  await git(['push', '-q', 'origin', 'main', 'main:refs/heads/topic'], work);
+  const pushed = (await git(['rev-parse', 'HEAD'], work)).trim();
+  assert.equal(await repo.resolve('main'), pushed);
+  assert.equal(await repo.resolve('topic'), pushed);
+  assert.equal((await repo.readFile('main', 'b.txt')).content.toString(), 'pushed\n');
+
+  // --- Fetch a change made through the API ---
+  await repo.addFile('main', 'c.txt', 'from the api\n', WHO);
+  await git(['pull', '-q', '--ff-only'], work);
+  assert.equal(fs.readFileSync(path.join(work, 'c.txt'), 'utf8'), 'from the api\n');
+
+  // --- A non-fast-forward push is refused ---
+  await git(['reset', '-q', '--hard', 'HEAD~2'], work);
+  fs.writeFileSync(path.join(work, 'd.txt'), 'diverged\n');
+  await git(['add', 'd.txt'], work);
+  await git(['commit', '-q', '-m', 'Diverge'], work);
+  await assert.rejects(git(['push', '-q', 'origin', 'main'], work));
+  assert.equal((await repo.readFile('main', 'c.txt')).content.toString(), 'from the api\n');
+
+  // The pushed objects make a valid repository
+  await git(['--git-dir', repo.gitdir, 'fsck', '--strict']);
+});
+
+test('gzipped request bodies are capped after un-gzipping', async (t) => {
+  const { root, cleanup } = await createRepo();
+  t.after(cleanup);
+
+  const server = createServer({ root });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const url = `http://127.0.0.1:${server.address().port}/repo.git/git-upload-pack`;
+  const headers = { 'Content-Type': 'application/x-git-upload-pack-request', 'Content-Encoding': 'gzip' };
+
+  // About 65 KB on the wire, 65 MB once un-gzipped
+  const bomb = zlib.gzipSync(Buffer.alloc(65 * 1024 * 1024));
+  const tooLarge = await fetch(url, { method: 'POST', headers, body: bomb });
+  assert.equal(tooLarge.status, 413);
+  assert.equal((await tooLarge.json()).error.code, 'BodyTooLargeError');
+
+  const notGzip = await fetch(url, { method: 'POST', headers, body: 'plain text' });
+  assert.equal(notGzip.status, 400);
+});
@@ -0,0 +1,39 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { BareRepo } from '../index.js';
+
+// Shared setup for the test suites: throwaway bare repos under the OS temp dir.
+
+// --- HELPER: A fresh, initialized bare repo; removed again by cleanup() ---
+export async function createRepo({ init = true } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'bare-git-test-'));
+  const repo = new BareRepo(path.join(root, 'repo.git'));
+  if (init) {
+    await repo.init({ author: 'Test <test@example.com>', committer: 'Test <test@example.com>', date: '1714557600 +0000' });
+  }
+  return { root, repo, cleanup: () => fs.rmSync(root, { recursive: true, force: true }) };
+}
+
+// Identity options for writes, so results do not depend on the environment
+export const WHO = { author: 'Test <test@example.com>', committer: 'Test <test@example.com>' };
+
+// --- HELPER: Run git, or return null when it is not installed ---
+export function runGit(args, options = {}) {
+  try {
+    return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], ...options });
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+export const HAS_GIT = (() => {
+  try {
+    execFileSync('git', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch (e) {
+    return false;
+  }
+})();
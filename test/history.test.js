@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readLog, parseDate } from '../lib/history.js';
+import { InvalidArgumentError } from '../lib/errors.js';
+import { createRepo } from './helpers.js';
+
+const ALICE = 'Alice <alice@example.com>';
+const BOB = 'Bob <bob@example.com>';
+
+// --- HELPER: A repo whose commits have fixed committer dates ---
+// init @ 999900000, then:
+//   c1 @ 1000000000 Alice adds a.txt
+//   c2 @ 1000100000 Bob adds b.txt
+//   c3 @ 1000200000 Alice renames a.txt to docs/a.txt
+//   c4 @ 1000300000 Bob changes docs/a.txt
+async function createHistory(t) {
+  const saved = process.env.GIT_COMMITTER_DATE;
+  t.after(() => {
+    if (saved === undefined) delete process.env.GIT_COMMITTER_DATE;
+    else process.env.GIT_COMMITTER_DATE = saved;
+  });
+  const at = (seconds) => { process.env.GIT_COMMITTER_DATE = `${seconds} +0000`; };
+
+  at(999900000);
+  const setup = await createRepo();
+  t.after(setup.cleanup);
+  const { repo } = setup;
+  const text = 'line one\nline two\nline three\n';
+
+  at(1000000000);
+  const c1 = (await repo.addFile('main', 'a.txt', text, { author: ALICE, committer: ALICE })).commit;
+  at(1000100000);
+  const c2 = (await repo.addFile('main', 'b.txt', 'b\n', { author: BOB, committer: BOB })).commit;
+  at(1000200000);
+  const c3 = (await repo.moveFile('main', 'a.txt', 'docs/a.txt', { author: ALICE, committer: ALICE })).commit;
+  at(1000300000);
+  const c4 = (await repo.addFile('main', 'docs/a.txt', `${text}line four\n`, { author: BOB, committer: BOB })).commit;
+  const init = (await repo.resolve('main~4'));
+  return { repo, init, c1, c2, c3, c4 };
+}
+
+test('an invalid author pattern is an InvalidArgumentError', async () => {
+  await assert.rejects(readLog('/nonexistent', 'HEAD', { author: '(' }), InvalidArgumentError);
+});
+
+test('parseDate accepts unix seconds and relative dates', () => {
+  assert.equal(parseDate('1714557600'), 1714557600);
+  const now = Math.floor(Date.now() / 1000);
+  assert.ok(Math.abs(parseDate('2 days ago') - (now - 2 * 86400)) <= 1);
+});
+
+test('readLog filters by path and follows renames', async (t) => {
+  const { repo, c1, c2, c3, c4 } = await createHistory(t);
+  const oids = (log) => log.map(entry => entry.oid);
+
+  assert.deepEqual(oids(await repo.log('main', { path: 'b.txt' })), [c2]);
+  assert.deepEqual(oids(await repo.log('main', { path: 'docs/a.txt' })), [c4, c3]);
+
+  const followed = await repo.log('main', { path: 'docs/a.txt', follow: true });
+  assert.deepEqual(oids(followed), [c4, c3, c1]);
+  assert.equal(followed[1].renamedFrom, 'a.txt');
+  assert.deepEqual(followed.map(entry => entry.path), ['docs/a.txt', 'docs/a.txt', 'a.txt']);
+
+  await assert.rejects(repo.log('main', { follow: true }), InvalidArgumentError);
+});
+
+test('readLog filters by committer date and author', async (t) => {
+  const { repo, init, c1, c2, c3, c4 } = await createHistory(t);
+  const oids = (log) => log.map(entry => entry.oid);
+
+  assert.deepEqual(oids(await repo.log('main', { since: '1000100000' })), [c4, c3, c2]);
+  assert.deepEqual(oids(await repo.log('main', { until: '1000100000' })), [c2, c1, init]);
+  assert.deepEqual(oids(await repo.log('main', { since: '2001-09-10T00:00:00Z', until: '2001-09-12T00:00:00Z' })), [c3, c2]);
+  assert.deepEqual(oids(await repo.log('main', { author: 'bob@' })), [c4, c2]);
+  await assert.rejects(repo.log('main', { since: 'someday' }), InvalidArgumentError);
+});
+
+test('readLog pages with maxCount and skip', async (t) => {
+  const { repo, init, c1, c2, c3, c4 } = await createHistory(t);
+  const oids = (log) => log.map(entry => entry.oid);
+
+  assert.deepEqual(oids(await repo.log('main')), [c4, c3, c2, c1, init]);
+  assert.deepEqual(oids(await repo.log('main', { maxCount: 2 })), [c4, c3]);
+  assert.deepEqual(oids(await repo.log('main', { maxCount: 2, skip: 2 })), [c2, c1]);
+  assert.deepEqual(oids(await repo.log('main', { skip: 4 })), [init]);
+  assert.deepEqual(oids(await repo.log('main', { maxCount: 0 })), []);
+  // skip counts only commits that pass the filters
+  assert.deepEqual(oids(await repo.log('main', { author: 'alice', skip: 1 })), [c1]);
+  await assert.rejects(repo.log('main', { skip: -1 }), InvalidArgumentError);
+});
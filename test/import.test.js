@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { ConcurrencyError, InvalidArgumentError } from '../lib/errors.js';
+import { createRepo, WHO } from './helpers.js';
+
+const SCRIPT = fileURLToPath(new URL('../import-directory.js', import.meta.url));
+
+// --- HELPER: Write `files` (path -> content) below `dir` ---
+function writeDir(dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    const file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+  return dir;
+}
+
+// --- HELPER: The paths and modes of every file in the branch ---
+async function fileModes(repo, ref = 'main') {
+  const { entries } = await repo.listFiles(ref, '', { recursive: true });
+  return Object.fromEntries(entries.filter(e => e.type !== 'tree').map(e => [e.path, e.mode]));
+}
+
+test('importDirectory skips ignored files and keeps the executable bit and symlinks', async (t) => {
+  const { root, repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const dir = writeDir(path.join(root, 'site'), {
+    '.gitignore': '*.log\nbuild/\n!keep.log\n',
+    'index.html': '<h1>Hi</h1>\n',
+    'debug.log': 'noise\n',
+    'keep.log': 'kept\n',
+    'build/out.js': 'built\n',
+    'secret.txt': 'hunter2\n',
+    'bin/run.sh': '#!/bin/sh\necho run\n',
+    'copy.html': '<h1>Hi</h1>\n',
+    '.git/config': 'not ours\n'
+  });
+  fs.chmodSync(path.join(dir, 'bin/run.sh'), 0o755);
+  fs.symlinkSync('index.html', path.join(dir, 'link.html'));
+  fs.mkdirSync(path.join(dir, 'empty'));
+
+  const result = await repo.importDirectory('main', dir, { exclude: ['secret.txt'], message: 'Import site', ...WHO });
+  assert.equal(result.unchanged, false);
+  assert.deepEqual(await fileModes(repo), {
+    '.gitignore': '100644',
+    'bin/run.sh': '100755',
+    'copy.html': '100644',
+    'index.html': '100644',
+    'keep.log': '100644',
+    'link.html': '120000'
+  });
+  assert.equal((await repo.readFile('main', 'link.html')).content.toString(), 'index.html');
+  assert.deepEqual(result.changes, [
+    'A  .gitignore', 'A  bin/run.sh', 'A  copy.html', 'A  index.html', 'A  keep.log', 'A  link.html', 'D  README.md'
+  ]);
+  assert.equal(result.files, 6);
+  // copy.html has the same content as index.html, so it shares its blob
+  assert.equal(result.blobsWritten, 5);
+});
+
+test('re-importing an unchanged directory makes no commit and writes no blobs', async (t) => {
+  const { root, repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const dir = writeDir(path.join(root, 'site'), { 'a.txt': 'a\n', 'docs/b.txt': 'b\n' });
+
+  const first = await repo.importDirectory('main', dir, WHO);
+  const reflogSize = (await repo.reflog('main')).entries.length;
+
+  const again = await repo.importDirectory('main', dir, WHO);
+  assert.equal(again.unchanged, true);
+  assert.equal(again.commit, first.commit);
+  assert.deepEqual(again.changes, []);
+  assert.equal(again.blobsWritten, 0);
+  assert.equal(await repo.resolve('main'), first.commit);
+  assert.equal((await repo.reflog('main')).entries.length, reflogSize);
+
+  fs.writeFileSync(path.join(dir, 'docs/b.txt'), 'b2\n');
+  const changed = await repo.importDirectory('main', dir, WHO);
+  assert.deepEqual(changed.changes, ['M  docs/b.txt']);
+  assert.equal(changed.blobsWritten, 1);
+  assert.equal(changed.parent, first.commit);
+});
+
+test('importDirectory with a folder replaces only that folder', async (t) => {
+  const { root, repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  await repo.writeFiles('main', [
+    { op: 'put', path: 'docs/old.md', content: 'old\n' },
+    { op: 'put', path: 'docs/keep.md', content: 'keep\n' },
+    { op: 'put', path: 'src/a.js', content: 'a();\n' }
+  ], { message: 'Add files', ...WHO });
+  const dir = writeDir(path.join(root, 'docs'), { 'keep.md': 'keep\n', 'new.md': 'new\n' });
+
+  const result = await repo.importDirectory('main', dir, { folder: 'docs', ...WHO });
+  assert.deepEqual(result.changes, ['A  docs/new.md', 'D  docs/old.md']);
+  assert.deepEqual(Object.keys(await fileModes(repo)), ['README.md', 'docs/keep.md', 'docs/new.md', 'src/a.js']);
+  assert.equal((await repo.log('main', { maxCount: 1 }))[0].message, 'Import docs into docs\n');
+
+  // An empty directory removes the folder
+  const empty = path.join(root, 'empty');
+  fs.mkdirSync(empty);
+  await repo.importDirectory('main', empty, { folder: 'docs', ...WHO });
+  assert.deepEqual(Object.keys(await fileModes(repo)), ['README.md', 'src/a.js']);
+});
+
+test('importDirectory refuses missing directories, unreadable exclude files and stale parents', async (t) => {
+  const { root, repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const dir = writeDir(path.join(root, 'site'), { 'a.txt': 'a\n' });
+  const start = await repo.resolve('main');
+
+  await assert.rejects(repo.importDirectory('main', path.join(root, 'missing'), WHO), InvalidArgumentError);
+  await assert.rejects(repo.importDirectory('main', path.join(dir, 'a.txt'), WHO), InvalidArgumentError);
+  await assert.rejects(repo.importDirectory('main', dir, { excludeFrom: path.join(root, 'nope'), ...WHO }), InvalidArgumentError);
+  await repo.addFile('main', 'b.txt', 'b\n', WHO);
+  await assert.rejects(repo.importDirectory('main', dir, { expectedParent: start, ...WHO }), ConcurrencyError);
+});
+
+test('import-directory.js reports counts and unchanged imports', async (t) => {
+  const { root, repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const dir = writeDir(path.join(root, 'site'), { 'a.txt': 'a\n', 'b.txt': 'b\n', 'skip.tmp': 'x\n' });
+  const run = () => spawnSync(process.execPath, [
+    SCRIPT, repo.gitdir, 'main', dir, '--exclude', '*.tmp', '--verbose', '--author', WHO.author, '--committer', WHO.committer
+  ], { encoding: 'utf8', timeout: 60000 });
+
+  const first = run();
+  assert.equal(first.status, 0, first.stderr);
+  assert.match(first.stdout, /^A {2}a\.txt$/m);
+  assert.match(first.stdout, /Files: 2 \(2 added, 0 modified, 1 deleted; 2 blobs written\)/);
+  assert.match(first.stdout, /Success! Imported /);
+
+  const second = run();
+  assert.equal(second.status, 0, second.stderr);
+  assert.match(second.stdout, /Success! Nothing changed; main stays at [0-9a-f]{7}\./);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlreadyExistsError, ConcurrencyError, InvalidArgumentError, NotFoundError } from '../lib/errors.js';
+import { createRepo, runGit, HAS_GIT, WHO } from './helpers.js';
+
+// --- HELPER: A repo where main moved twice after the initial commit ---
+async function createMovedRepo(t) {
+  const setup = await createRepo();
+  t.after(setup.cleanup);
+  const { repo } = setup;
+  const init = await repo.resolve('main');
+  const c1 = (await repo.addFile('main', 'a.txt', 'a\n', WHO)).commit;
+  const c2 = (await repo.addFile('main', 'b.txt', 'b\n', WHO)).commit;
+  return { repo, init, c1, c2 };
+}
+
+test('the reflog lists every value of a branch and of HEAD, newest first', async (t) => {
+  const { repo, init, c1, c2 } = await createMovedRepo(t);
+
+  const { ref, entries } = await repo.reflog('main');
+  assert.equal(ref, 'refs/heads/main');
+  assert.deepEqual(entries.map(e => [e.index, e.oldOid, e.newOid, e.message]), [
+    [0, c1, c2, 'commit: Add b.txt'],
+    [1, init, c1, 'commit: Add a.txt'],
+    [2, null, init, 'commit (initial): Initial commit via isomorphic-git']
+  ]);
+  assert.equal(entries[0].committer.email, 'test@example.com');
+  // HEAD points at main, so it logs the same moves
+  assert.deepEqual((await repo.reflog()).entries.map(e => e.newOid), [c2, c1, init]);
+
+  await assert.rejects(repo.reflog('nope'), NotFoundError);
+});
+
+test('@{n} names where a ref was n moves ago', async (t) => {
+  const { repo, init, c1, c2 } = await createMovedRepo(t);
+
+  assert.equal(await repo.resolve('main@{0}'), c2);
+  assert.equal(await repo.resolve('main@{1}'), c1);
+  assert.equal(await repo.resolve('main@{2}'), init);
+  assert.equal(await repo.resolve('@{1}'), c1, 'a bare @{n} reads HEAD\'s reflog');
+  assert.equal(await repo.resolve('main@{1}~1'), init);
+  await assert.rejects(repo.resolve('main@{3}'), NotFoundError);
+});
+
+test('resetBranch moves a branch back to a reflog entry and logs it', async (t) => {
+  const { repo, c1, c2 } = await createMovedRepo(t);
+
+  assert.deepEqual(await repo.resetBranch('main', 'main@{1}'), { ref: 'refs/heads/main', oldOid: c2, oid: c1 });
+  assert.equal(await repo.resolve('main'), c1);
+  const [latest] = (await repo.reflog('main')).entries;
+  assert.deepEqual([latest.oldOid, latest.newOid, latest.message], [c2, c1, 'reset: moving to main@{1}']);
+
+  // Undo the reset: main@{1} is now c2 again
+  await repo.resetBranch('main', 'main@{1}');
+  assert.equal(await repo.resolve('main'), c2);
+});
+
+test('resetBranch refuses a stale expectedParent, missing branches and non-branches', async (t) => {
+  const { repo, c1, c2 } = await createMovedRepo(t);
+  await repo.createTag('v1', c1);
+
+  await assert.rejects(repo.resetBranch('main', c1, { expectedParent: c1 }), ConcurrencyError);
+  assert.equal(await repo.resolve('main'), c2, 'a refused reset leaves the branch alone');
+  await repo.resetBranch('main', c1, { expectedParent: c2 });
+  assert.equal(await repo.resolve('main'), c1);
+
+  await assert.rejects(repo.resetBranch('gone', c1), NotFoundError);
+  await assert.rejects(repo.resetBranch('refs/tags/v1', c2), InvalidArgumentError);
+  await assert.rejects(repo.resetBranch('main', 'main@{9}'), NotFoundError);
+  assert.equal(await repo.resolve('main'), c1);
+});
+
+test('a deleted branch keeps its reflog and can be restored', async (t) => {
+  const { repo, c1, c2 } = await createMovedRepo(t);
+  await repo.createBranch('topic', c1);
+  await repo.addFile('topic', 'c.txt', 'c\n', WHO);
+  const tip = await repo.resolve('topic');
+
+  assert.equal(await repo.deleteBranch('topic'), tip);
+  const { entries } = await repo.reflog('topic');
+  assert.deepEqual([entries[0].oldOid, entries[0].newOid, entries[0].message], [tip, null, 'branch: deleted']);
+  // The deletion itself names no commit; the entry before it does
+  await assert.rejects(repo.resolve('topic@{0}'), NotFoundError);
+  assert.equal(await repo.resolve('topic@{1}'), tip);
+
+  assert.deepEqual(await repo.restoreBranch('topic'), { ref: 'refs/heads/topic', oid: tip });
+  assert.equal((await repo.readFile('topic', 'c.txt')).content.toString(), 'c\n');
+  assert.match((await repo.reflog('topic')).entries[0].message, /^branch: Restored from reflog at /);
+
+  await assert.rejects(repo.restoreBranch('topic'), AlreadyExistsError);
+  await assert.rejects(repo.restoreBranch('never'), NotFoundError);
+  assert.equal(await repo.resolve('main'), c2);
+});
+
+test('git reads the reflogs we write', { skip: !HAS_GIT && 'git is not installed' }, async (t) => {
+  const { repo, init, c1, c2 } = await createMovedRepo(t);
+  await repo.resetBranch('main', 'main@{1}');
+
+  const log = runGit(['--git-dir', repo.gitdir, 'reflog', 'show', '--format=%H %gs', 'main']);
+  assert.equal(log, [
+    `${c1} reset: moving to main@{1}`,
+    `${c2} commit: Add b.txt`,
+    `${c1} commit: Add a.txt`,
+    `${init} commit (initial): Initial commit via isomorphic-git`,
+    ''
+  ].join('\n'));
+});
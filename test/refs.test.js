@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { updateRef, deleteRef, readRef } from '../lib/refs.js';
+import { readReflog } from '../lib/reflog.js';
+import { runGc } from '../lib/gc.js';
+import { ConcurrencyError, InvalidArgumentError, NotFoundError } from '../lib/errors.js';
+import { createRepo, WHO } from './helpers.js';
+
+test('updateRef is a compare-and-swap that records a reflog entry', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const { gitdir } = repo;
+  const first = await repo.resolve('main');
+  const { commit: second } = await repo.addFile('main', 'a.txt', 'a\n', WHO);
+
+  await updateRef(gitdir, 'refs/heads/topic', first, null, { message: 'branch: test' });
+  await assert.rejects(updateRef(gitdir, 'refs/heads/topic', second, null), ConcurrencyError);
+  await assert.rejects(updateRef(gitdir, 'refs/heads/topic', second, second), ConcurrencyError);
+  await updateRef(gitdir, 'refs/heads/topic', second, first, { message: 'reset: forward' });
+  assert.equal(await readRef(gitdir, 'refs/heads/topic'), second);
+
+  const log = await readReflog(gitdir, 'refs/heads/topic');
+  assert.deepEqual(log.map(e => e.message), ['reset: forward', 'branch: test']);
+  assert.ok(!fs.existsSync(path.join(gitdir, 'refs/heads/topic.lock')));
+});
+
+test('only one of two racing updates from the same parent wins', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const start = await repo.resolve('main');
+
+  const results = await Promise.allSettled([
+    repo.addFile('main', 'a.txt', 'a\n', { expectedParent: start, ...WHO }),
+    repo.addFile('main', 'b.txt', 'b\n', { expectedParent: start, ...WHO })
+  ]);
+  const won = results.filter(r => r.status === 'fulfilled');
+  const lost = results.filter(r => r.status === 'rejected');
+  assert.equal(won.length, 1);
+  assert.equal(lost.length, 1);
+  assert.ok(lost[0].reason instanceof ConcurrencyError);
+  assert.equal(await repo.resolve('main'), won[0].value.commit);
+});
+
+test('a held lock makes the update fail instead of overwriting', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const { gitdir } = repo;
+  const start = await repo.resolve('main');
+  fs.writeFileSync(path.join(gitdir, 'refs/heads/main.lock'), '');
+
+  const err = await updateRef(gitdir, 'refs/heads/main', start, start).catch(e => e);
+  assert.ok(err instanceof ConcurrencyError);
+  assert.equal(err.data.locked, true);
+  assert.ok(fs.existsSync(path.join(gitdir, 'refs/heads/main.lock')), 'someone else\'s lock is left alone');
+});
+
+test('deleteRef removes packed refs and keeps the reflog', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const { gitdir } = repo;
+  await repo.createBranch('old', 'main');
+  await runGc(gitdir);
+  const oid = await readRef(gitdir, 'refs/heads/old');
+
+  await assert.rejects(deleteRef(gitdir, 'refs/heads/old', '0'.repeat(40)), ConcurrencyError);
+  assert.equal(await deleteRef(gitdir, 'refs/heads/old', oid), oid);
+  assert.equal(await readRef(gitdir, 'refs/heads/old'), null);
+  assert.doesNotMatch(fs.readFileSync(path.join(gitdir, 'packed-refs'), 'utf8'), /refs\/heads\/old/);
+  assert.equal((await readReflog(gitdir, 'refs/heads/old'))[0].newOid, null);
+  await assert.rejects(deleteRef(gitdir, 'refs/heads/old'), NotFoundError);
+});
+
+test('invalid ref names are refused', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const oid = await repo.resolve('main');
+  for (const ref of ['refs/heads/a..b', 'refs/heads/x.lock', 'refs/heads/a b', 'heads/main']) {
+    await assert.rejects(updateRef(repo.gitdir, ref, oid, undefined), InvalidArgumentError, ref);
+  }
+});
+
+test('the reflog is written while the lock is held, before the ref moves', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const { gitdir } = repo;
+  const start = await repo.resolve('main');
+  const { commit } = await repo.addFile('main', 'a.txt', 'a\n', WHO);
+
+  // A reflog that cannot be written stops the update before the ref moves
+  await updateRef(gitdir, 'refs/heads/topic', start, null);
+  fs.rmSync(path.join(gitdir, 'logs/refs/heads/topic'));
+  fs.mkdirSync(path.join(gitdir, 'logs/refs/heads/topic'));
+  await assert.rejects(updateRef(gitdir, 'refs/heads/topic', commit, start));
+  assert.equal(await readRef(gitdir, 'refs/heads/topic'), start);
+  assert.ok(!fs.existsSync(path.join(gitdir, 'refs/heads/topic.lock')));
+});
+
+test('concurrent updates log a reflog chain in the order they moved the ref', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const { gitdir } = repo;
+  const oids = [await repo.resolve('main')];
+  for (const name of ['a', 'b', 'c', 'd']) {
+    oids.push((await repo.addFile('main', `${name}.txt`, `${name}\n`, WHO)).commit);
+  }
+
+  const results = await Promise.allSettled(oids.map(oid => updateRef(gitdir, 'refs/heads/race', oid, undefined)));
+  const applied = results.filter(r => r.status === 'fulfilled').length;
+  assert.ok(applied >= 1);
+
+  const log = await readReflog(gitdir, 'refs/heads/race');
+  assert.equal(log.length, applied);
+  assert.equal(log[0].newOid, await readRef(gitdir, 'refs/heads/race'));
+  for (let i = 0; i < log.length - 1; i++) {
+    assert.equal(log[i].oldOid, log[i + 1].newOid, `entry ${i} starts where entry ${i + 1} ended`);
+  }
+  assert.equal(log[log.length - 1].oldOid, null);
+});
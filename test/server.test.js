@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createServer } from '../index.js';
+import { createRepo } from './helpers.js';
+
+// --- HELPER: Start a server on a free port for the repos under `root` ---
+async function startServer(t, root) {
+  const server = createServer({ root });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('files can be written and read back, with 409 for a stale expectedParent', async (t) => {
+  const { root, repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const base = await startServer(t, root);
+  const start = await repo.resolve('main');
+
+  const put = await fetch(`${base}/repos/repo.git/files/docs/a.txt?ref=main&expectedParent=${start}`, { method: 'PUT', body: 'hello\n' });
+  assert.equal(put.status, 200);
+  const get = await fetch(`${base}/repos/repo.git/files/docs/a.txt?ref=main`);
+  assert.equal(await get.text(), 'hello\n');
+
+  const stale = await fetch(`${base}/repos/repo.git/files/docs/b.txt?ref=main&expectedParent=${start}`, { method: 'PUT', body: 'b' });
+  assert.equal(stale.status, 409);
+  assert.equal((await stale.json()).error.code, 'ConcurrencyError');
+});
+
+test('a malformed percent-encoding in the path is a 400', async (t) => {
+  const { root, cleanup } = await createRepo();
+  t.after(cleanup);
+  const base = await startServer(t, root);
+
+  const res = await fetch(`${base}/repos/%E0%A4%A/branches`);
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.code, 'InvalidArgumentError');
+});
+
+test('an oversized body gets a 413 response before the connection closes', { timeout: 60000 }, async (t) => {
+  const { root, cleanup } = await createRepo();
+  t.after(cleanup);
+  const base = await startServer(t, root);
+
+  const chunk = Buffer.alloc(1024 * 1024, 'x');
+  const { status, body } = await new Promise((resolve, reject) => {
+    let answered = false;
+    const req = http.request(`${base}/repos/repo.git/files/big.bin?ref=main`, { method: 'PUT' }, (res) => {
+      answered = true;
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString()) }));
+      res.on('error', reject);
+    });
+    // The server stops reading, so the upload may be cut off - but only after the answer
+    req.on('error', (err) => {
+      if (!answered) reject(err);
+    });
+    let sent = 0;
+    const writeMore = () => {
+      while (sent < 65) {
+        sent++;
+        if (!req.write(chunk)) {
+          req.once('drain', writeMore);
+          return;
+        }
+      }
+      req.end();
+    };
+    writeMore();
+  });
+
+  assert.equal(status, 413);
+  assert.equal(body.error.code, 'BodyTooLargeError');
+});
+
+test('writes without a ref go to the branch HEAD points to', async (t) => {
+  const { root, repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const base = await startServer(t, root);
+  const start = await repo.resolve('main');
+
+  const put = await fetch(`${base}/repos/repo.git/files/a.txt`, { method: 'PUT', body: 'a\n' });
+  assert.equal(put.status, 200);
+  const written = await put.json();
+  assert.equal(written.ref, 'refs/heads/main');
+  assert.equal(written.parent, start);
+
+  const move = await fetch(`${base}/repos/repo.git/move`, { method: 'POST', body: JSON.stringify({ from: 'a.txt', to: 'b.txt' }) });
+  assert.equal(move.status, 200);
+  const del = await fetch(`${base}/repos/repo.git/files/b.txt`, { method: 'DELETE' });
+  assert.equal(del.status, 200);
+
+  const branches = await (await fetch(`${base}/repos/repo.git/branches`)).json();
+  assert.deepEqual(branches.map(b => b.name), ['main']);
+  assert.equal((await del.json()).commit, await repo.resolve('main'));
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import git from 'isomorphic-git';
+import { parseSignatureDate, resolveSignature, resolveSignatures } from '../lib/signature.js';
+import { InvalidArgumentError } from '../lib/errors.js';
+import { createRepo } from './helpers.js';
+
+const IDENTITY_VARS = ['GIT_AUTHOR_NAME', 'GIT_AUTHOR_EMAIL', 'GIT_AUTHOR_DATE', 'GIT_COMMITTER_NAME', 'GIT_COMMITTER_EMAIL', 'GIT_COMMITTER_DATE'];
+
+// --- HELPER: Run with the identity variables set to `vars` (and the others unset) ---
+function withIdentityEnv(t, vars) {
+  const saved = Object.fromEntries(IDENTITY_VARS.map(key => [key, process.env[key]]));
+  for (const key of IDENTITY_VARS) delete process.env[key];
+  Object.assign(process.env, vars);
+  t.after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+}
+
+test('parseSignatureDate reads git, unix and ISO dates', () => {
+  const local = (timestamp) => new Date(timestamp * 1000).getTimezoneOffset();
+
+  assert.deepEqual(parseSignatureDate('1714557600 +0200'), { timestamp: 1714557600, timezoneOffset: -120 });
+  assert.deepEqual(parseSignatureDate('@1714557600 -0530'), { timestamp: 1714557600, timezoneOffset: 330 });
+  assert.deepEqual(parseSignatureDate('1714557600'), { timestamp: 1714557600, timezoneOffset: local(1714557600) });
+  assert.deepEqual(parseSignatureDate('@0'), { timestamp: 0, timezoneOffset: local(0) });
+  assert.deepEqual(parseSignatureDate('2024-05-01T12:00:00+02:00'), { timestamp: 1714557600, timezoneOffset: -120 });
+  assert.deepEqual(parseSignatureDate('2024-05-01T10:00:00Z'), { timestamp: 1714557600, timezoneOffset: 0 });
+
+  const noZone = parseSignatureDate('2024-05-01T12:00:00');
+  assert.equal(noZone.timestamp, Math.floor(new Date(2024, 4, 1, 12).getTime() / 1000));
+  assert.equal(noZone.timezoneOffset, local(noZone.timestamp));
+});
+
+test('parseSignatureDate refuses short bare numbers and nonsense', () => {
+  for (const value of ['2024', '20240501', '2024 +0200', 'next tuesday-ish']) {
+    assert.throws(() => parseSignatureDate(value), InvalidArgumentError, value);
+  }
+});
+
+test('identities fall back from explicit to env to config to the default', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const { gitdir } = repo;
+
+  withIdentityEnv(t, {});
+  assert.deepEqual(
+    (({ name, email }) => ({ name, email }))(await resolveSignature(gitdir, 'author')),
+    { name: 'API Bot', email: 'bot@example.com' }
+  );
+
+  await git.setConfig({ fs, gitdir, path: 'user.name', value: 'Config User' });
+  await git.setConfig({ fs, gitdir, path: 'user.email', value: 'config@example.com' });
+  let author = await resolveSignature(gitdir, 'author');
+  assert.equal(author.name, 'Config User');
+  assert.equal(author.email, 'config@example.com');
+
+  process.env.GIT_AUTHOR_NAME = 'Env Author';
+  process.env.GIT_AUTHOR_EMAIL = 'env@example.com';
+  process.env.GIT_AUTHOR_DATE = '1714557600 +0200';
+  author = await resolveSignature(gitdir, 'author');
+  assert.deepEqual(author, { name: 'Env Author', email: 'env@example.com', timestamp: 1714557600, timezoneOffset: -120 });
+  // GIT_AUTHOR_* does not apply to the committer
+  assert.equal((await resolveSignature(gitdir, 'committer')).name, 'Config User');
+
+  author = await resolveSignature(gitdir, 'author', { explicit: 'Given <given@example.com>', date: '@1700000000 +0000' });
+  assert.deepEqual(author, { name: 'Given', email: 'given@example.com', timestamp: 1700000000, timezoneOffset: 0 });
+});
+
+test('date sets the author date only, like git commit --date', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  withIdentityEnv(t, {});
+
+  const before = Math.floor(Date.now() / 1000);
+  const { author, committer } = await resolveSignatures(repo.gitdir, { author: 'A <a@example.com>', date: '1714557600 +0200' });
+  assert.equal(author.timestamp, 1714557600);
+  assert.ok(committer.timestamp >= before);
+  await assert.rejects(resolveSignatures(repo.gitdir, { author: 'no email' }), InvalidArgumentError);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlreadyExistsError, InvalidArgumentError, NotFoundError } from '../lib/errors.js';
+import { createRepo, runGit, HAS_GIT, WHO } from './helpers.js';
+
+test('tags are created, listed and deleted', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const first = await repo.resolve('main');
+  const second = (await repo.addFile('main', 'a.txt', 'a\n', WHO)).commit;
+
+  const light = await repo.createTag('v1', first);
+  assert.deepEqual(light, { name: 'v1', type: 'lightweight', oid: first, commit: first });
+  const annotated = await repo.createTag('refs/tags/v2', 'main', {
+    message: 'Release 2\n', tagger: 'Rel <rel@example.com>', date: '1714557600 +0000'
+  });
+  assert.equal(annotated.name, 'v2');
+  assert.equal(annotated.type, 'annotated');
+  assert.equal(annotated.commit, second);
+  assert.notEqual(annotated.oid, second);
+
+  assert.deepEqual(await repo.listTags(), [
+    { name: 'v1', type: 'lightweight', oid: first, commit: first, tagger: null, message: null },
+    {
+      name: 'v2',
+      type: 'annotated',
+      oid: annotated.oid,
+      commit: second,
+      tagger: { name: 'Rel', email: 'rel@example.com', timestamp: 1714557600 },
+      message: 'Release 2\n'
+    }
+  ]);
+  assert.equal(await repo.resolve('v2'), second, 'an annotated tag resolves to its commit');
+
+  assert.equal(await repo.deleteTag('v2'), annotated.oid);
+  assert.equal(await repo.deleteTag('refs/tags/v1'), first);
+  assert.deepEqual(await repo.listTags(), []);
+  await assert.rejects(repo.deleteTag('v1'), NotFoundError);
+});
+
+test('an existing tag only moves with force', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const first = await repo.resolve('main');
+  const second = (await repo.addFile('main', 'a.txt', 'a\n', WHO)).commit;
+  await repo.createTag('v1', first);
+
+  await assert.rejects(repo.createTag('v1', second), AlreadyExistsError);
+  await assert.rejects(repo.createTag('v1', second, { message: 'again' }), AlreadyExistsError);
+  assert.equal(await repo.resolve('v1'), first);
+
+  await repo.createTag('v1', second, { force: true });
+  assert.equal(await repo.resolve('v1'), second);
+});
+
+test('invalid tag names and targets are refused', async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+
+  for (const name of ['bad..name', 'with space', 'v1.lock', 'trailing/', '.hidden', 'a:b']) {
+    await assert.rejects(repo.createTag(name), InvalidArgumentError, name);
+  }
+  await assert.rejects(repo.createTag('v1', 'no-such-branch'), NotFoundError);
+  const blob = (await repo.readFile('main', 'README.md')).oid;
+  await assert.rejects(repo.createTag('v1', blob), InvalidArgumentError);
+  assert.deepEqual(await repo.listTags(), []);
+});
+
+test('git reads the tags we write', { skip: !HAS_GIT && 'git is not installed' }, async (t) => {
+  const { repo, cleanup } = await createRepo();
+  t.after(cleanup);
+  const head = await repo.resolve('main');
+  await repo.createTag('v1');
+  await repo.createTag('v2', 'main', { message: 'Release 2\n', tagger: 'Rel <rel@example.com>', date: '1714557600 +0000' });
+
+  const gitDir = ['--git-dir', repo.gitdir];
+  assert.equal(runGit([...gitDir, 'tag', '--list']), 'v1\nv2\n');
+  assert.equal(runGit([...gitDir, 'cat-file', '-t', 'v2']), 'tag\n');
+  assert.equal(runGit([...gitDir, 'rev-parse', 'v2^{commit}']).trim(), head);
+  assert.match(runGit([...gitDir, 'cat-file', '-p', 'v2']), /^tagger Rel <rel@example\.com> 1714557600 \+0000$/m);
+});